@@ -1,3 +1,17 @@
+// compress-gallery.js
+// Recompress the original gallery photos in place to save disk space:
+//
+//   npm run compress-images              # public/images/gallery
+//   node compress-gallery.js <dir>       # another folder
+//
+// Uploads are made into WebP versions automatically (utils/gallery.js);
+// those in the sizes/ folder are left alone, as recompressing them again
+// would only lose quality.
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const { GALLERY_DIR, SIZES_DIR } = require("./utils/gallery");
+
 // Recursively walk through a directory, compressing JPEG, PNG, and WebP files.
 async function compressDir(dir) {
   const files = fs.readdirSync(dir);
@@ -5,13 +19,14 @@ async function compressDir(dir) {
     const filePath = path.join(dir, file);
     const stat = fs.statSync(filePath);
     if (stat.isDirectory()) {
+      if (filePath === SIZES_DIR) continue;
       // Recurse into subdirectories
       await compressDir(filePath);
     } else {
       // Process only JPEG, PNG, or WebP files (case-insensitive)
       const ext = path.extname(file).toLowerCase();
       try {
-        if (ext === ".JPG" || ext === ".jpeg") {
+        if (ext === ".jpg" || ext === ".jpeg") {
           // Compress JPEG: adjust quality down from 100 (max). Higher quality
           // values produce larger files; lower values save more space but
           // degrade image fidelity. 75 is a reasonable default.
@@ -47,3 +62,8 @@ async function compressDir(dir) {
     }
   }
 }
+
+compressDir(path.resolve(process.argv[2] || GALLERY_DIR)).catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
@@ -3,14 +3,73 @@ const mongoose = require("mongoose");
 const fs = require("fs");
 const path = require("path");
 const Book = require("../models/Book");
+const Librarian = require("../models/Librarian");
+const { hashPassword } = require("../utils/password");
+const { advanceCounters } = require("../utils/idGen");
+const { addMissingLocations } = require("../utils/locations");
+const Photo = require("../models/Photo");
+const { addMissingPhotos } = require("../utils/gallery");
 require("dotenv").config();
 
+/**
+ * Seed an empty database: the books in data/books.json, the gallery
+ * photos already on disk and the first librarian account.
+ */
+async function seedDatabase() {
+  // Seed only if empty
+  const count = await Book.countDocuments();
+  if (count === 0) {
+    const seedPath = path.join(__dirname, "..", "data", "books.json");
+    const data = JSON.parse(fs.readFileSync(seedPath, "utf-8"));
+    await Book.insertMany(data);
+    // New books are numbered after the seeded ones
+    await advanceCounters();
+    // Their shelves make up the list the book forms pick from
+    await addMissingLocations();
+    console.log("📥 Books imported from JSON");
+  }
+
+  // The images already in public/images/gallery make up the first
+  // gallery; later ones are uploaded from the dashboard
+  if (!(await Photo.exists({}))) {
+    const added = await addMissingPhotos();
+    if (added.length) console.log(`🖼️  ${added.length} gallery photos added`);
+  }
+
+  // Create the first librarian account if none exist yet.  The
+  // credentials come from ADMIN_USERNAME/ADMIN_PASSWORD; further accounts
+  // are added from the dashboard (/admin/librarians).
+  const username = (process.env.ADMIN_USERNAME || "aips").toLowerCase();
+  const librarians = await Librarian.countDocuments();
+  if (librarians === 0) {
+    const password = process.env.ADMIN_PASSWORD || "aipslib123";
+    await Librarian.create({
+      username,
+      fullName: "Administrator",
+      passwordHash: await hashPassword(password),
+      role: "admin",
+    });
+    console.log(`👤 Librarian account "${username}" created`);
+    if (!process.env.ADMIN_PASSWORD) {
+      console.warn("⚠️  Using the default password – change it after signing in");
+    }
+  } else if (!(await Librarian.exists({ role: "admin", isActive: true }))) {
+    // Accounts created before roles existed default to "librarian"; make
+    // sure someone can still manage staff accounts.
+    await Librarian.updateOne({ username }, { role: "admin" });
+  }
+}
+
 /**
  * Connect to MongoDB and seed the database if empty.
  * Reads the MongoDB URI from the MONGODB_URI environment variable.
  * If undefined, falls back to a local database.
+ *
+ * Scripts that only read or change existing data (migrate.js,
+ * import-books.js) pass `{ seed: false }` so that running them never
+ * writes anything else.
  */
-const connectDB = async () => {
+const connectDB = async ({ seed = true } = {}) => {
   try {
     // Read the MongoDB URI from the MONGODB_URI environment variable.  If it is
     // undefined fall back to a local database.  Avoid hardcoding credentials in
@@ -21,14 +80,7 @@ const connectDB = async () => {
     await mongoose.connect(MONGODB_URI);
     console.log("✅ MongoDB Connected");
 
-    // Seed only if empty
-    const count = await Book.countDocuments();
-    if (count === 0) {
-      const seedPath = path.join(__dirname, "..", "data", "books.json");
-      const data = JSON.parse(fs.readFileSync(seedPath, "utf-8"));
-      await Book.insertMany(data);
-      console.log("📥 Books imported from JSON");
-    }
+    if (seed) await seedDatabase();
   } catch (err) {
     console.error("❌ DB Error:", err);
     process.exit(1);
@@ -0,0 +1,94 @@
+// config/loanPolicy.js
+require("dotenv").config();
+
+/**
+ * Borrowing rules for each `User.memberType`.
+ *
+ *   loanDays    – how long a copy may be kept before it is due
+ *   finePerDay  – fine charged for every overdue day after the grace period
+ *   graceDays   – overdue days that are not charged
+ *   maxFine     – cap on the fine for a single loan
+ *   maxLoans    – how many copies a member may have out at once
+ *   maxRenewals – how many times one loan may be renewed
+ *   renewOverdueDays – how many days overdue a loan may be and still be
+ *                 renewed; keep it within graceDays so renewing never
+ *                 wipes out a fine that has already started to accrue
+ *
+ * Amounts are in rupees.  Edit the values below to change the policy.
+ */
+const POLICIES = {
+  student: {
+    loanDays: 14,
+    maxLoans: 3,
+    finePerDay: 10,
+    graceDays: 2,
+    maxFine: 500,
+    maxRenewals: 2,
+    renewOverdueDays: 2,
+  },
+  teacher: {
+    loanDays: 30,
+    maxLoans: 10,
+    finePerDay: 5,
+    graceDays: 3,
+    maxFine: 300,
+    maxRenewals: 3,
+    renewOverdueDays: 3,
+  },
+  staff: {
+    loanDays: 21,
+    maxLoans: 5,
+    finePerDay: 5,
+    graceDays: 3,
+    maxFine: 300,
+    maxRenewals: 2,
+    renewOverdueDays: 3,
+  },
+  foreigner: {
+    loanDays: 14,
+    maxLoans: 2,
+    finePerDay: 20,
+    graceDays: 1,
+    maxFine: 1000,
+    maxRenewals: 1,
+    renewOverdueDays: 0,
+  },
+};
+
+// Used for any member whose type is missing from the table above
+const DEFAULT_POLICY = POLICIES.student;
+
+/** Helper: a whole number from the environment, 0 included */
+const whole = (name, fallback) => {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+// Members owing more than this cannot borrow until they pay (0: any fine
+// blocks).  Can be overridden with the FINE_BLOCK_THRESHOLD environment
+// variable.
+const FINE_BLOCK_THRESHOLD = whole("FINE_BLOCK_THRESHOLD", 200);
+
+// Days a returned copy is kept aside for the next member in the hold
+// queue before it passes to the one after.  Override with HOLD_PICKUP_DAYS.
+const HOLD_PICKUP_DAYS = whole("HOLD_PICKUP_DAYS", 3);
+
+// Length of a membership, from registration or from each renewal.
+// Override with MEMBERSHIP_MONTHS.
+const MEMBERSHIP_MONTHS = whole("MEMBERSHIP_MONTHS", 12);
+
+const CURRENCY = "Rs";
+
+/** Return the borrowing rules for a member type */
+function getPolicy(memberType) {
+  return POLICIES[memberType] || DEFAULT_POLICY;
+}
+
+module.exports = {
+  POLICIES,
+  FINE_BLOCK_THRESHOLD,
+  HOLD_PICKUP_DAYS,
+  MEMBERSHIP_MONTHS,
+  CURRENCY,
+  getPolicy,
+};
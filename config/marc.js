@@ -0,0 +1,33 @@
+// config/marc.js
+require("dotenv").config();
+
+/**
+ * MARC21 exchange with other libraries (utils/marc.js).
+ *
+ *   MARC_ORG_CODE – our MARC organization code, written to 003 and 852 $a
+ *                   of exported records.  Imported records carrying it
+ *                   (our own exports) also bring back their BookID and
+ *                   shelf; those of other libraries do not.
+ */
+const MARC_ORG_CODE = process.env.MARC_ORG_CODE || "AIPS";
+
+/**
+ * MARC language codes (008/35-37, 041 $a) and the names books are
+ * catalogued with.  Other codes are imported as they are.
+ */
+const LANGUAGES = {
+  eng: "English",
+  urd: "Urdu",
+  ara: "Arabic",
+  per: "Persian",
+  pan: "Punjabi",
+  snd: "Sindhi",
+  pus: "Pashto",
+  hin: "Hindi",
+  fre: "French",
+  ger: "German",
+  spa: "Spanish",
+  chi: "Chinese",
+};
+
+module.exports = { MARC_ORG_CODE, LANGUAGES };
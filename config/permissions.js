@@ -0,0 +1,72 @@
+// config/permissions.js
+
+/**
+ * What each librarian role may do.  Routes declare the permission they
+ * need with `requirePermission(...)` (middleware/auth.js) and views use
+ * `can(permission)` to hide actions the signed-in librarian cannot use.
+ *
+ *   catalog:edit     – add and update books and their copies
+ *   catalog:delete   – delete books (they go to the trash)
+ *   catalog:import   – bulk import books from CSV/XLSX (admins only)
+ *   circulation      – issue and return books
+ *   holds:manage     – place, reorder and cancel holds
+ *   fines:collect    – record fine payments
+ *   loans:view       – loan histories and copies of books, members' loans
+ *   members:view     – member list and the member search endpoint
+ *   members:edit     – register members
+ *   members:delete   – delete members (they go to the trash)
+ *   data:export      – download books, members and loans as CSV/JSON/XLSX
+ *   labels:print     – print book spine labels (and member ID cards, with
+ *                      members:view)
+ *   shelves:manage   – add, rename and remove shelves, move books between
+ *                      them
+ *   stocktake:run    – count shelves against the catalog (acting on the
+ *                      report also needs catalog:edit)
+ *   gallery:manage   – upload, caption, tag, reorder and delete gallery
+ *                      photos, and arrange them in albums
+ *   staff:manage     – librarian accounts and their roles
+ *   audit:view       – the audit log of catalog, member and circulation
+ *                      changes (admins only)
+ *   trash:manage     – restore or permanently delete books and members
+ *                      from the trash (admins only)
+ *   reminders:manage – email reminder templates, sent notices and sending
+ *                      reminders by hand (admins only)
+ */
+const ROLES = {
+  admin: ["*"],
+  librarian: [
+    "catalog:edit",
+    "catalog:delete",
+    "circulation",
+    "holds:manage",
+    "fines:collect",
+    "loans:view",
+    "members:view",
+    "members:edit",
+    "members:delete",
+    "data:export",
+    "labels:print",
+    "shelves:manage",
+    "stocktake:run",
+    "gallery:manage",
+  ],
+  assistant: [
+    "circulation",
+    "holds:manage",
+    "loans:view",
+    "members:view",
+    "labels:print",
+    "stocktake:run",
+  ],
+  readonly: ["loans:view", "members:view"],
+};
+
+const ROLE_NAMES = Object.keys(ROLES);
+
+/** Does `role` grant `permission`? */
+function roleAllows(role, permission) {
+  const granted = ROLES[role] || [];
+  return granted.includes("*") || granted.includes(permission);
+}
+
+module.exports = { ROLES, ROLE_NAMES, roleAllows };
@@ -0,0 +1,116 @@
+// config/reminders.js
+require("dotenv").config();
+
+/**
+ * Email reminders (utils/reminders.js), sent by a scheduler inside the
+ * app over SMTP.  Reminders are off until SMTP_HOST is set; for local
+ * testing point it at a test SMTP server such as MailHog or smtp4dev
+ * (SMTP_HOST=localhost SMTP_PORT=1025).
+ *
+ *   SMTP_HOST, SMTP_PORT   – mail server (port 587 by default)
+ *   SMTP_SECURE            – "true" for TLS from the start (port 465)
+ *   SMTP_USER, SMTP_PASS   – credentials, if the server needs them
+ *   MAIL_FROM              – sender address of every reminder
+ *   REMINDER_DAYS_BEFORE   – days before the due date to send "due soon"
+ *                            (0: on the due date itself)
+ *   OVERDUE_REPEAT_DAYS    – days between repeated overdue notices for the
+ *                            same loan (0: only one overdue notice)
+ *   REMINDER_INTERVAL_MINUTES – how often the scheduler looks for
+ *                            reminders to send
+ */
+const SMTP = {
+  host: process.env.SMTP_HOST || "",
+  port: Number(process.env.SMTP_PORT) || 587,
+  secure: process.env.SMTP_SECURE === "true",
+  user: process.env.SMTP_USER || "",
+  pass: process.env.SMTP_PASS || "",
+};
+
+const MAIL_FROM = process.env.MAIL_FROM || "AIPS Library <library@localhost>";
+
+/** Helper: a whole number of days from the environment, 0 included */
+const days = (name, fallback) => {
+  const value = Number.parseInt(process.env[name], 10);
+  return Number.isNaN(value) || value < 0 ? fallback : value;
+};
+
+const REMINDER_DAYS_BEFORE = days("REMINDER_DAYS_BEFORE", 2);
+const OVERDUE_REPEAT_DAYS = days("OVERDUE_REPEAT_DAYS", 7);
+const REMINDER_INTERVAL_MINUTES =
+  Number(process.env.REMINDER_INTERVAL_MINUTES) || 60;
+
+// A reminder that failed to send is retried on later runs this many times
+const MAX_ATTEMPTS = 3;
+
+/**
+ * The kinds of reminder and the template each starts with.  Librarians
+ * can edit the templates on /admin/reminders; these defaults are used
+ * until they do (and again after "Reset").
+ *
+ * Placeholders in {{braces}}: name, memberID, library and items (one
+ * line per book).  Each line of items is built from `item`, which may
+ * use title, bookID, dueDate, daysOverdue and pickupBy.
+ */
+const KINDS = {
+  "due-soon": {
+    label: "Due soon",
+    subject: "Library books due soon",
+    body: [
+      "Dear {{name}},",
+      "",
+      "This is a reminder that the following books are due back soon:",
+      "",
+      "{{items}}",
+      "",
+      "You can renew them from your library account if no one is waiting for them.",
+      "",
+      "{{library}}",
+    ].join("\n"),
+    item: "- {{title}} ({{bookID}}), due {{dueDate}}",
+  },
+  overdue: {
+    label: "Overdue",
+    subject: "Overdue library books",
+    body: [
+      "Dear {{name}},",
+      "",
+      "The following books are overdue. Please return them as soon as possible;",
+      "fines are charged for every day a book is late.",
+      "",
+      "{{items}}",
+      "",
+      "{{library}}",
+    ].join("\n"),
+    item: "- {{title}} ({{bookID}}), due {{dueDate}}, {{daysOverdue}} day(s) overdue",
+  },
+  "hold-ready": {
+    label: "Hold ready",
+    subject: "Your reserved book is ready",
+    body: [
+      "Dear {{name}},",
+      "",
+      "A book you reserved is waiting for you at the library desk:",
+      "",
+      "{{items}}",
+      "",
+      "{{library}}",
+    ].join("\n"),
+    item: "- {{title}} ({{bookID}}), collect by {{pickupBy}}",
+  },
+};
+
+const KIND_NAMES = Object.keys(KINDS);
+
+const LIBRARY_NAME = "AIPS Library Islamabad";
+
+module.exports = {
+  SMTP,
+  MAIL_FROM,
+  REMINDER_DAYS_BEFORE,
+  OVERDUE_REPEAT_DAYS,
+  REMINDER_INTERVAL_MINUTES,
+  MAX_ATTEMPTS,
+  KINDS,
+  KIND_NAMES,
+  LIBRARY_NAME,
+};
@@ -0,0 +1,211 @@
+// controllers/accountController.js
+// Member self-service portal: members sign in with their memberID and a
+// PIN set by a librarian, then see their loans, fines and holds.
+const User = require("../models/User");
+const Loan = require("../models/Loan");
+const Hold = require("../models/Hold");
+const { findBookByParam } = require("../utils/lookup");
+const { verifyPassword } = require("../utils/password");
+const { calculateFine, memberAccount } = require("../utils/fines");
+const { renewLoan } = require("../utils/circulation");
+const { ACTIVE, queueFor, placeHold, cancelHold } = require("../utils/holds");
+const { startMemberSession, endMemberSession } = require("../middleware/auth");
+const { getPolicy, CURRENCY } = require("../config/loanPolicy");
+const { audit } = require("../utils/audit");
+
+// Wrong PINs allowed before the portal login is locked, and for how long
+const MAX_PIN_FAILURES = 5;
+const PIN_LOCK_MS = 15 * 60 * 1000;
+
+/** Helper: redirect back to the account page with a message */
+const back = (res, msg) =>
+  res.redirect("/account?msg=" + encodeURIComponent(msg));
+
+/** GET /account/login */
+exports.renderLogin = (req, res) => {
+  if (req.member) return res.redirect("/account");
+  res.render("account/login");
+};
+
+/** POST /account/login — memberID + PIN */
+exports.login = async (req, res, next) => {
+  try {
+    const memberID = String(req.body?.memberID || "")
+      .trim()
+      .toUpperCase();
+    const pin = String(req.body?.pin || "").trim();
+
+    if (!memberID || !pin) {
+      return res.status(400).render("account/login", {
+        error: "Please enter your member ID and PIN.",
+      });
+    }
+
+    const invalid = () =>
+      res.status(401).render("account/login", {
+        error: "Invalid member ID or PIN.",
+      });
+
+    const member = await User.findOne({ memberID }).select("+pinHash");
+    if (!member || !member.isActive || member.archivedAt || !member.pinHash) {
+      return invalid();
+    }
+
+    if (member.pinLockedUntil && member.pinLockedUntil > new Date()) {
+      return res.status(429).render("account/login", {
+        error:
+          "Too many wrong PINs. Please try again later or ask a librarian.",
+      });
+    }
+
+    if (!(await verifyPassword(pin, member.pinHash))) {
+      member.pinFailures = (member.pinFailures || 0) + 1;
+      if (member.pinFailures >= MAX_PIN_FAILURES) {
+        member.pinFailures = 0;
+        member.pinLockedUntil = new Date(Date.now() + PIN_LOCK_MS);
+      }
+      await member.save();
+      return invalid();
+    }
+
+    member.pinFailures = 0;
+    member.pinLockedUntil = undefined;
+    await member.save();
+    await startMemberSession(req, res, member);
+    return res.redirect("/account");
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /account/logout */
+exports.logout = async (req, res, next) => {
+  try {
+    await endMemberSession(req, res);
+    return res.redirect("/");
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** GET /account — loans, fines, holds and history of the signed-in member */
+exports.dashboard = async (req, res, next) => {
+  try {
+    const member = req.member;
+    const now = new Date();
+
+    const [loans, account, allHolds] = await Promise.all([
+      Loan.find({ member: member._id })
+        .sort({ issueDate: -1 })
+        .limit(100)
+        .populate("book", "BookID Title Author")
+        .lean(),
+      memberAccount(member),
+      Hold.find({ member: member._id, status: { $in: ACTIVE } })
+        .populate("book", "BookID Title Author")
+        .lean(),
+    ]);
+
+    const current = loans
+      .filter((l) => l.status === "issued")
+      .map((l) => ({
+        ...l,
+        overdue: l.dueDate < now,
+        currentFine: calculateFine(l, member.memberType, now).amount,
+      }));
+    const history = loans.filter((l) => l.status === "returned");
+
+    // Queue position of each hold (skipping holds on deleted books)
+    const holds = allHolds.filter((h) => h.book);
+    for (const h of holds) {
+      const queue = await queueFor(h.book._id);
+      h.rank = queue.findIndex((q) => String(q._id) === String(h._id)) + 1;
+    }
+
+    res.render("account/index", {
+      member,
+      current,
+      history,
+      holds,
+      account,
+      policy: getPolicy(member.memberType),
+      currency: CURRENCY,
+      query: req.query,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /account/holds — place a hold on a book (by BookID) */
+exports.placeHold = async (req, res, next) => {
+  try {
+    const book = await findBookByParam(req.body.bookId);
+    if (!book) return back(res, "Book not found.");
+
+    const result = await placeHold(book, req.member, { placedBy: "portal" });
+    if (result.ok) {
+      await audit(req, "hold.place", { type: "Hold", after: result.hold });
+    }
+    return back(
+      res,
+      result.ok
+        ? `Hold placed on ${book.title}. You are number ${result.rank} in the queue.`
+        : result.msg
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /account/holds/:id/cancel — cancel one of the member's own holds */
+exports.cancelHold = async (req, res, next) => {
+  try {
+    const hold = await Hold.findOne({
+      _id: req.params.id,
+      member: req.member._id,
+    }).catch(() => null);
+    if (!hold) return back(res, "Hold not found.");
+
+    const before = hold.toObject();
+    const cancelled = await cancelHold(hold);
+    if (cancelled) {
+      await audit(req, "hold.cancel", { type: "Hold", before, after: hold });
+    }
+    return back(
+      res,
+      cancelled ? "Hold cancelled." : "Hold is no longer active."
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /account/loans/:id/renew — renew one of the member's own loans */
+exports.renewLoan = async (req, res, next) => {
+  try {
+    const loan = await Loan.findOne({
+      _id: req.params.id,
+      member: req.member._id,
+    }).catch(() => null);
+    if (!loan) return back(res, "Loan not found.");
+
+    const before = loan.toObject();
+    const result = await renewLoan(loan, req.member, { renewedBy: "portal" });
+    if (result.ok) {
+      await audit(req, "loan.renew", {
+        type: "Loan",
+        before,
+        after: result.loan,
+      });
+    }
+    return back(
+      res,
+      result.ok
+        ? `Renewed. New due date: ${result.loan.dueDate.toDateString()}.`
+        : result.msg
+    );
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,973 @@
+// controllers/apiController.js
+// Handlers for the JSON API mounted at /api/v1 (see routes/apiRoutes.js
+// and docs/openapi.json).  Every handler replies with JSON: `{ data }`
+// for single records, `{ data, meta }` for pages, and ApiError bodies
+// (utils/api.js) for failures.
+const Book = require("../models/Book");
+const User = require("../models/User");
+const Loan = require("../models/Loan");
+const Hold = require("../models/Hold");
+const Copy = require("../models/Copy");
+const Librarian = require("../models/Librarian");
+const { ApiError, pageParams, sendPage } = require("../utils/api");
+const { findBookByParam, findMemberByParam } = require("../utils/lookup");
+const {
+  MEMBER_TYPES,
+  GENDERS,
+  bookFilter,
+  memberFilter,
+  loanFilter,
+} = require("../utils/filters");
+const {
+  issueCopy,
+  returnCopy,
+  closeLoan,
+  renewLoan,
+} = require("../utils/circulation");
+const { ACTIVE, placeHold, cancelHold } = require("../utils/holds");
+const { ensureCopies, setCopyCount } = require("../utils/copies");
+const { generateBookID, generateMemberID } = require("../utils/idGen");
+const { verifyPassword } = require("../utils/password");
+const { isPhone, isEmail } = require("../utils/validators");
+const { startSession, endSession, staffName } = require("../middleware/auth");
+const { ROLES } = require("../config/permissions");
+const { audit } = require("../utils/audit");
+const { archiveRecord } = require("../utils/archive");
+const { membershipEnd } = require("../utils/members");
+const stats = require("../utils/stats");
+const {
+  listLocations,
+  resolveShelf,
+  shelfUsage,
+} = require("../utils/locations");
+const { DAY_MS, addDays, addMonths } = require("../utils/dates");
+const { parseIsbn, checkIsbn } = require("../utils/isbn");
+const { coverUrls } = require("../utils/covers");
+
+// ------------------ Serializers ------------------
+// API records use camelCase names and `id` for the Mongo _id, whatever
+// the stored field names are.
+
+const bookOut = (b) => ({
+  id: String(b._id),
+  bookID: b.BookID,
+  title: b.Title,
+  author: b.Author,
+  category: b.Category,
+  year: b.Year,
+  isbn13: b.ISBN13,
+  isbn10: b.ISBN10,
+  publisher: b.Publisher,
+  edition: b.Edition,
+  language: b.Language,
+  totalCopies: b.TotalCopies,
+  availableCopies: b.AvailableCopies,
+  shelfNo: b.ShelfNo,
+  shelf: b.Shelf,
+  cover: coverUrls(b),
+  createdAt: b.createdAt,
+  updatedAt: b.updatedAt,
+});
+
+const memberOut = (u) => ({
+  id: String(u._id),
+  memberID: u.memberID,
+  fullName: u.fullName,
+  phone: u.phone,
+  email: u.email,
+  memberType: u.memberType,
+  gender: u.gender,
+  isActive: u.isActive !== false,
+  expiresAt: u.expiresAt,
+  createdAt: u.createdAt,
+});
+
+/** Helper: a referenced book/member, summarized when it was populated */
+function ref(v, summary) {
+  if (!v) return null;
+  return v._id ? summary(v) : { id: String(v) };
+}
+const bookRef = (b) => ({
+  id: String(b._id),
+  bookID: b.BookID,
+  title: b.Title,
+});
+const memberRef = (u) => ({
+  id: String(u._id),
+  memberID: u.memberID,
+  fullName: u.fullName,
+});
+const copyRef = (c) => ({
+  id: String(c._id),
+  accessionNo: c.accessionNo,
+  barcode: c.barcode,
+});
+
+const copyOut = (c) => ({
+  ...copyRef(c),
+  acquiredAt: c.acquiredAt,
+  price: c.price,
+  condition: c.condition,
+  status: c.status,
+  notes: c.notes,
+});
+
+const loanOut = (l) => ({
+  id: String(l._id),
+  book: ref(l.book, bookRef),
+  member: ref(l.member, memberRef),
+  copy: ref(l.copy, copyRef),
+  issuedBy: l.issuedBy,
+  returnedTo: l.returnedTo,
+  issueDate: l.issueDate,
+  dueDate: l.dueDate,
+  returnDate: l.returnDate,
+  renewals: l.renewals || [],
+  fine: l.fine || 0,
+  finePaid: l.finePaid || 0,
+  status: l.status,
+});
+
+const holdOut = (h) => ({
+  id: String(h._id),
+  book: ref(h.book, bookRef),
+  member: ref(h.member, memberRef),
+  placedBy: h.placedBy,
+  position: h.position,
+  status: h.status,
+  readyAt: h.readyAt,
+  expiresAt: h.expiresAt,
+  createdAt: h.createdAt,
+});
+
+const locationOut = (l, usage) => ({
+  id: String(l._id),
+  room: l.room,
+  rack: l.rack,
+  shelfNo: l.shelfNo,
+  capacity: l.capacity,
+  categories: l.categories,
+  titles: usage.titles,
+  copies: usage.copies,
+});
+
+const REF_POPULATE = [
+  ["book", "BookID Title"],
+  ["member", "memberID fullName"],
+];
+const LOAN_POPULATE = [...REF_POPULATE, ["copy", "accessionNo barcode"]];
+
+// ------------------ Helpers ------------------
+
+/** Helper: plain object of a document, for the serializers */
+const plain = (doc) => (doc.toObject ? doc.toObject() : doc);
+
+/** Helper: trimmed string, or undefined when empty */
+const text = (v) =>
+  v === undefined || v === null || String(v).trim() === ""
+    ? undefined
+    : String(v).trim();
+
+/** Helper: load a book by _id or BookID, or fail with 404 (or if trashed) */
+async function bookOr404(id) {
+  const book = await findBookByParam(id);
+  if (!book || book.archivedAt)
+    throw new ApiError(404, "not_found", "Book not found.");
+  return book;
+}
+
+/** Helper: load a member by _id or memberID, or 404 (also if trashed) */
+async function memberOr404(id) {
+  const member = await findMemberByParam(id);
+  if (!member || member.archivedAt)
+    throw new ApiError(404, "not_found", "Member not found.");
+  return member;
+}
+
+/** Helper: load a document by _id, or fail with 404 */
+async function byIdOr404(model, id, label) {
+  const doc = await model.findById(id).catch(() => null);
+  if (!doc) throw new ApiError(404, "not_found", `${label} not found.`);
+  return doc;
+}
+
+/**
+ * Validate the book fields of a request body.  With `partial` only the
+ * fields present are checked (PATCH); otherwise a title is required.
+ * Returns stored (PascalCase) field names.
+ */
+function bookInput(body, { partial = false } = {}) {
+  const data = {};
+  const errors = [];
+
+  for (const [key, field] of [
+    ["bookID", "BookID"],
+    ["title", "Title"],
+    ["author", "Author"],
+    ["category", "Category"],
+    ["publisher", "Publisher"],
+    ["edition", "Edition"],
+    ["language", "Language"],
+    ["shelfNo", "ShelfNo"],
+    ["shelf", "Shelf"],
+  ]) {
+    if (text(body[key]) !== undefined) data[field] = text(body[key]);
+  }
+  if (!partial && !data.Title) errors.push("title is required.");
+
+  // `isbn` may be an ISBN-10 or ISBN-13; both forms are stored
+  if (text(body.isbn)) {
+    const isbn = parseIsbn(text(body.isbn));
+    if (!isbn.ok) {
+      errors.push(isbn.msg);
+    } else {
+      data.ISBN13 = isbn.isbn13;
+      data.ISBN10 = isbn.isbn10;
+    }
+  }
+
+  const maxYear = new Date().getFullYear() + 1;
+  for (const [key, field, min, max] of [
+    ["year", "Year", 1000, maxYear],
+    ["totalCopies", "TotalCopies", 0, Infinity],
+    ["availableCopies", "AvailableCopies", 0, Infinity],
+  ]) {
+    if (body[key] === undefined || body[key] === null || body[key] === "") {
+      continue;
+    }
+    const n = Number(body[key]);
+    if (!Number.isInteger(n) || n < min || n > max) {
+      errors.push(
+        max === Infinity
+          ? `${key} must be a whole number of at least ${min}.`
+          : `${key} must be a whole number between ${min} and ${max}.`
+      );
+    } else {
+      data[field] = n;
+    }
+  }
+
+  if (errors.length) {
+    throw new ApiError(422, "validation_failed", "Invalid book.", { errors });
+  }
+  return data;
+}
+
+/**
+ * Check the shelf of validated book fields against the listed shelves
+ * (utils/locations.js) and store it as the list spells it.  A PATCH
+ * giving only one of shelf and shelfNo keeps the book's other half.
+ */
+async function checkShelf(data, book = {}) {
+  if (data.Shelf === undefined && data.ShelfNo === undefined) return;
+  const where = await resolveShelf({
+    shelf: data.Shelf ?? book.Shelf,
+    shelfNo: data.ShelfNo ?? book.ShelfNo,
+  });
+  if (!where.ok) {
+    throw new ApiError(422, "validation_failed", "Invalid book.", {
+      errors: [where.msg],
+    });
+  }
+  data.Shelf = where.Shelf;
+  data.ShelfNo = where.ShelfNo;
+}
+
+/** Refuse an ISBN that another book (not `book`) already has */
+async function checkIsbnFree(data, book = null) {
+  if (!data.ISBN13) return;
+  const result = await checkIsbn(data.ISBN13, book);
+  if (!result.ok) throw new ApiError(409, "duplicate", result.msg);
+}
+
+/** Validate the member fields of a request body (see bookInput) */
+function memberInput(body, { partial = false } = {}) {
+  const data = {};
+  const errors = [];
+
+  if (text(body.fullName) !== undefined) data.fullName = text(body.fullName);
+  else if (!partial) errors.push("fullName is required.");
+
+  if (text(body.phone) !== undefined) {
+    if (isPhone(text(body.phone))) data.phone = text(body.phone);
+    else errors.push("phone is not a valid phone number.");
+  }
+  if (text(body.email) !== undefined) {
+    if (isEmail(text(body.email))) data.email = text(body.email).toLowerCase();
+    else errors.push("email is not a valid email address.");
+  }
+  if (body.memberType !== undefined || !partial) {
+    if (MEMBER_TYPES.includes(body.memberType)) {
+      data.memberType = body.memberType;
+    } else {
+      errors.push(`memberType must be one of ${MEMBER_TYPES.join(", ")}.`);
+    }
+  }
+  if (body.gender !== undefined || !partial) {
+    if (GENDERS.includes(body.gender)) data.gender = body.gender;
+    else errors.push(`gender must be one of ${GENDERS.join(", ")}.`);
+  }
+  if (body.isActive !== undefined) {
+    if (typeof body.isActive === "boolean") data.isActive = body.isActive;
+    else errors.push("isActive must be true or false.");
+  }
+  if (body.expiresAt !== undefined) {
+    const d = body.expiresAt === null ? null : new Date(body.expiresAt);
+    if (d && Number.isNaN(d.getTime())) {
+      errors.push("expiresAt must be a date (YYYY-MM-DD).");
+    } else {
+      data.expiresAt = d;
+    }
+  }
+
+  if (errors.length) {
+    throw new ApiError(422, "validation_failed", "Invalid member.", {
+      errors,
+    });
+  }
+  return data;
+}
+
+// ------------------ Auth ------------------
+
+/** POST /api/v1/auth/login — { username, password } → bearer token */
+exports.login = async (req, res, next) => {
+  try {
+    const username = String(req.body?.username || "")
+      .trim()
+      .toLowerCase();
+    const password = String(req.body?.password || "");
+    if (!username || !password) {
+      throw new ApiError(
+        400,
+        "missing_credentials",
+        "username and password are required."
+      );
+    }
+
+    const librarian = await Librarian.findOne({ username });
+    const valid =
+      librarian &&
+      librarian.isActive &&
+      (await verifyPassword(password, librarian.passwordHash));
+    if (!valid) {
+      throw new ApiError(
+        401,
+        "invalid_credentials",
+        "Invalid username or password."
+      );
+    }
+
+    const token = await startSession(req, res, librarian);
+    librarian.lastLoginAt = new Date();
+    await librarian.save();
+    res.status(201).json({
+      data: {
+        token,
+        librarian: {
+          username: librarian.username,
+          fullName: librarian.fullName,
+          role: librarian.role,
+        },
+      },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /api/v1/auth/logout — revoke the current session */
+exports.logout = async (req, res, next) => {
+  try {
+    await endSession(req, res);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** GET /api/v1/auth/me — the signed-in librarian and what they may do */
+exports.me = (req, res) => {
+  const { username, fullName, role } = req.librarian;
+  res.json({
+    data: { username, fullName, role, permissions: ROLES[role] || [] },
+  });
+};
+
+// ------------------ Books ------------------
+
+/**
+ * GET /api/v1/books — same search and filters as /books:
+ * ?q=&title=&author=&category=&shelf=&yearFrom=&yearTo=&available=true
+ */
+exports.listBooks = async (req, res, next) => {
+  try {
+    const params = pageParams(req, {
+      sortable: {
+        bookID: "BookID",
+        title: "Title",
+        author: "Author",
+        year: "Year",
+        createdAt: "createdAt",
+      },
+      // Text searches are ranked by relevance unless ?sort= says otherwise
+      defaultSort: req.query.q
+        ? { score: { $meta: "textScore" } }
+        : { createdAt: 1 },
+    });
+
+    await sendPage(res, Book, bookFilter(req.query), params, bookOut);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** GET /api/v1/books/:id — by _id or BookID */
+exports.getBook = async (req, res, next) => {
+  try {
+    const book = await bookOr404(req.params.id);
+    res.json({ data: bookOut(plain(book)) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** GET /api/v1/books/:id/copies — every physical copy, by accession no. */
+exports.listCopies = async (req, res, next) => {
+  try {
+    const book = await bookOr404(req.params.id);
+    await ensureCopies(book);
+    const copies = await Copy.find({ book: book._id })
+      .sort({ accessionNo: 1 })
+      .lean();
+    res.json({ data: copies.map(copyOut) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /api/v1/books */
+exports.createBook = async (req, res, next) => {
+  try {
+    const data = bookInput(req.body || {});
+    await checkShelf(data);
+    await checkIsbnFree(data);
+    if (data.TotalCopies === undefined) data.TotalCopies = 1;
+    if (
+      data.AvailableCopies !== undefined &&
+      data.AvailableCopies !== data.TotalCopies
+    ) {
+      throw new ApiError(
+        422,
+        "validation_failed",
+        "A new book starts with every copy available."
+      );
+    }
+    data.AvailableCopies = data.TotalCopies;
+    if (!data.BookID) data.BookID = await generateBookID("AIPSLIB", 6);
+
+    const book = await Book.create(data);
+    await ensureCopies(book);
+    await audit(req, "book.create", {
+      type: "Book",
+      after: await Book.findById(book._id).lean(),
+    });
+    res
+      .status(201)
+      .location(`${req.baseUrl}/books/${book._id}`)
+      .json({ data: bookOut(plain(book)) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * PATCH /api/v1/books/:id — catalog fields and totalCopies.  A new total
+ * adds copies, or withdraws copies that are on the shelf.
+ */
+exports.updateBook = async (req, res, next) => {
+  try {
+    const book = await bookOr404(req.params.id);
+    const before = book.toObject();
+    const data = bookInput(req.body || {}, { partial: true });
+    delete data.BookID;
+    await checkShelf(data, book);
+    await checkIsbnFree(data, book);
+    if (data.AvailableCopies !== undefined) {
+      throw new ApiError(
+        422,
+        "validation_failed",
+        "availableCopies cannot be set directly; it follows the copies."
+      );
+    }
+
+    if (data.TotalCopies !== undefined) {
+      const result = await setCopyCount(book, data.TotalCopies);
+      if (!result.ok) throw new ApiError(409, "copies_on_loan", result.msg);
+      delete data.TotalCopies;
+    }
+
+    const updated = await Book.findByIdAndUpdate(
+      book._id,
+      { $set: data },
+      { new: true }
+    );
+    await audit(req, "book.update", { type: "Book", before, after: updated });
+    res.json({ data: bookOut(plain(updated)) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * DELETE /api/v1/books/:id — moves the book to the trash, where an admin
+ * can restore or purge it.  Refused while copies are on loan.
+ */
+exports.deleteBook = async (req, res, next) => {
+  try {
+    const book = await bookOr404(req.params.id);
+    const result = await archiveRecord("Book", book, { req });
+    if (!result.ok) throw new ApiError(409, "copies_on_loan", result.msg);
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ------------------ Members ------------------
+
+/** GET /api/v1/members — ?q=&type=&gender= */
+exports.listMembers = async (req, res, next) => {
+  try {
+    const params = pageParams(req, {
+      sortable: {
+        memberID: "memberID",
+        fullName: "fullName",
+        memberType: "memberType",
+        createdAt: "createdAt",
+      },
+      defaultSort: { createdAt: -1 },
+    });
+    await sendPage(res, User, memberFilter(req.query), params, memberOut);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** GET /api/v1/members/:id — by _id or memberID */
+exports.getMember = async (req, res, next) => {
+  try {
+    const member = await memberOr404(req.params.id);
+    res.json({ data: memberOut(plain(member)) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /api/v1/members */
+exports.createMember = async (req, res, next) => {
+  try {
+    const data = memberInput(req.body || {});
+    const member = await User.create({
+      expiresAt: membershipEnd(),
+      ...data,
+      memberID: await generateMemberID(),
+    });
+    await audit(req, "member.create", { type: "User", after: member });
+    res
+      .status(201)
+      .location(`${req.baseUrl}/members/${member._id}`)
+      .json({ data: memberOut(plain(member)) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** PATCH /api/v1/members/:id */
+exports.updateMember = async (req, res, next) => {
+  try {
+    const member = await memberOr404(req.params.id);
+    const before = member.toObject();
+    member.set(memberInput(req.body || {}, { partial: true }));
+    await member.save();
+    await audit(req, "member.update", { type: "User", before, after: member });
+    res.json({ data: memberOut(plain(member)) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ------------------ Loans ------------------
+
+/** GET /api/v1/loans — ?book=&member=&status=&from=&to= */
+exports.listLoans = async (req, res, next) => {
+  try {
+    const params = pageParams(req, {
+      sortable: {
+        issueDate: "issueDate",
+        dueDate: "dueDate",
+        returnDate: "returnDate",
+      },
+      defaultSort: { issueDate: -1 },
+    });
+    const filter = await loanFilter(req.query);
+    if (!filter) {
+      throw new ApiError(404, "not_found", "Book or member not found.");
+    }
+    await sendPage(res, Loan, filter, params, loanOut, LOAN_POPULATE);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** GET /api/v1/loans/:id */
+exports.getLoan = async (req, res, next) => {
+  try {
+    const loan = await byIdOr404(Loan, req.params.id, "Loan");
+    await loan.populate(
+      LOAN_POPULATE.map(([path, select]) => ({ path, select }))
+    );
+    res.json({ data: loanOut(plain(loan)) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /api/v1/loans — { book, member } issues a copy; an optional
+ * `copy` barcode picks the copy handed over
+ */
+exports.createLoan = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    if (!body.book || !body.member) {
+      throw new ApiError(
+        422,
+        "validation_failed",
+        "book and member are required."
+      );
+    }
+    const book = await bookOr404(body.book);
+    const member = await memberOr404(body.member);
+
+    const result = await issueCopy(book, member, {
+      issuedBy: staffName(req),
+      copy: text(body.copy),
+    });
+    if (!result.ok) {
+      const code = result.noCopies ? "no_copies" : result.reason;
+      throw new ApiError(409, code || "issue_refused", result.msg);
+    }
+    await audit(req, "loan.issue", { type: "Loan", after: result.loan });
+    res
+      .status(201)
+      .location(`${req.baseUrl}/loans/${result.loan._id}`)
+      .json({ data: loanOut(plain(result.loan)) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /api/v1/loans/:id/return */
+exports.returnLoan = async (req, res, next) => {
+  try {
+    const loan = await byIdOr404(Loan, req.params.id, "Loan");
+    if (loan.status !== "issued") {
+      throw new ApiError(
+        409,
+        "already_returned",
+        "This loan is already returned."
+      );
+    }
+    const [book, member, copy] = await Promise.all([
+      Book.findById(loan.book),
+      User.findById(loan.member),
+      loan.copy ? Copy.findById(loan.copy) : null,
+    ]);
+
+    // This loan's own copy, so a member holding two copies of the book
+    // returns the one named; a purged book has only the loan left to close
+    const returnedTo = staffName(req);
+    const result = book
+      ? await returnCopy(book, member, {
+          returnedTo,
+          copy: copy ? copy.barcode : undefined,
+        })
+      : await closeLoan(loan, member, { returnedTo });
+    if (!result.ok) throw new ApiError(409, "return_refused", result.msg);
+    await audit(req, "loan.return", {
+      type: "Loan",
+      after: result.loan,
+      book,
+      member,
+    });
+    res.json({
+      data: loanOut(plain(result.loan)),
+      meta: { holdReady: result.readyHolds.length > 0 },
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /api/v1/loans/:id/renew */
+exports.renewLoan = async (req, res, next) => {
+  try {
+    const loan = await byIdOr404(Loan, req.params.id, "Loan");
+    const member = await User.findById(loan.member);
+    if (!member) throw new ApiError(404, "not_found", "Member not found.");
+
+    const before = loan.toObject();
+    const result = await renewLoan(loan, member, {
+      renewedBy: staffName(req),
+    });
+    if (!result.ok) throw new ApiError(409, "renewal_refused", result.msg);
+    await audit(req, "loan.renew", {
+      type: "Loan",
+      before,
+      after: result.loan,
+    });
+    res.json({ data: loanOut(plain(result.loan)) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ------------------ Holds ------------------
+
+/** GET /api/v1/holds — ?book=&member=&status= (active holds by default) */
+exports.listHolds = async (req, res, next) => {
+  try {
+    const params = pageParams(req, {
+      sortable: { position: "position", createdAt: "createdAt" },
+      defaultSort: { book: 1, position: 1 },
+    });
+
+    const filter = { status: { $in: ACTIVE } };
+    if (req.query.status) {
+      const statuses = Hold.schema.path("status").enumValues;
+      if (!statuses.includes(req.query.status)) {
+        throw new ApiError(
+          400,
+          "invalid_status",
+          `status must be one of ${statuses.join(", ")}.`
+        );
+      }
+      filter.status = req.query.status;
+    }
+    if (req.query.book) filter.book = (await bookOr404(req.query.book))._id;
+    if (req.query.member) {
+      filter.member = (await memberOr404(req.query.member))._id;
+    }
+    await sendPage(res, Hold, filter, params, holdOut, REF_POPULATE);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /api/v1/holds — { book, member } joins the hold queue */
+exports.createHold = async (req, res, next) => {
+  try {
+    const body = req.body || {};
+    if (!body.book || !body.member) {
+      throw new ApiError(
+        422,
+        "validation_failed",
+        "book and member are required."
+      );
+    }
+    const book = await bookOr404(body.book);
+    const member = await memberOr404(body.member);
+
+    const result = await placeHold(book, member, { placedBy: staffName(req) });
+    if (!result.ok) throw new ApiError(409, "hold_refused", result.msg);
+    await audit(req, "hold.place", { type: "Hold", after: result.hold });
+    res
+      .status(201)
+      .location(`${req.baseUrl}/holds/${result.hold._id}`)
+      .json({ data: holdOut(plain(result.hold)), meta: { rank: result.rank } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** DELETE /api/v1/holds/:id — cancel an active hold */
+exports.cancelHold = async (req, res, next) => {
+  try {
+    const hold = await byIdOr404(Hold, req.params.id, "Hold");
+    const before = hold.toObject();
+    if (!(await cancelHold(hold))) {
+      throw new ApiError(409, "hold_closed", "This hold is no longer active.");
+    }
+    await audit(req, "hold.cancel", { type: "Hold", before, after: hold });
+    res.status(204).end();
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ------------------ Shelves ------------------
+
+/** GET /api/v1/shelves — the listed shelves, with the books on each */
+exports.listShelves = async (req, res, next) => {
+  try {
+    const [locations, usage] = await Promise.all([
+      listLocations(),
+      shelfUsage(),
+    ]);
+    const none = { titles: 0, copies: 0 };
+    res.json({
+      data: locations.map((l) => locationOut(l, usage.get(l.key) || none)),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+// ------------------ Statistics ------------------
+
+// Longest range GET /stats/loans counts day by day
+const MAX_DAYS = 366;
+
+/** Helper: a Date for a YYYY-MM-DD query value (local midnight) */
+function statsDay(value, name) {
+  const d = /^\d{4}-\d{2}-\d{2}$/.test(value)
+    ? new Date(`${value}T00:00:00`)
+    : new Date(NaN);
+  if (Number.isNaN(d.getTime())) {
+    throw new ApiError(400, "invalid_date", `${name} must be YYYY-MM-DD.`);
+  }
+  return d;
+}
+
+/**
+ * Helper: the `{ from, to }` range of ?from=&to= (both days included;
+ * `to` is returned as the following midnight).  Without them the range
+ * is the last 30 days, or the last 12 months for ?interval=month.
+ */
+function statsRange(query, interval = "day") {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+  const to = addDays(query.to ? statsDay(query.to, "to") : today, 1);
+  let from;
+  if (query.from) from = statsDay(query.from, "from");
+  else if (interval === "month") from = addMonths(to, -12);
+  else from = addDays(to, -30);
+
+  if (from >= to) {
+    throw new ApiError(400, "invalid_range", "from must not be after to.");
+  }
+  if (interval === "day" && Math.round((to - from) / DAY_MS) > MAX_DAYS) {
+    throw new ApiError(
+      400,
+      "range_too_long",
+      `Daily counts cover at most ${MAX_DAYS} days; use interval=month.`
+    );
+  }
+  return { from, to };
+}
+
+/** Helper: the range as it is reported back in `meta` */
+const rangeOut = ({ from, to }) => ({
+  from: from.toISOString(),
+  to: to.toISOString(),
+  timeZone: stats.TIME_ZONE,
+});
+
+/** Helper: ?limit= for the top-N lists (1-50, default 10) */
+const topLimit = (query) =>
+  Math.min(50, Math.max(1, parseInt(query.limit, 10) || 10));
+
+/** GET /api/v1/stats/loans — ?from=&to=&interval=day|month */
+exports.loanStats = async (req, res, next) => {
+  try {
+    const interval = req.query.interval || "day";
+    if (!["day", "month"].includes(interval)) {
+      throw new ApiError(
+        400,
+        "invalid_interval",
+        "interval must be day or month."
+      );
+    }
+    const range = statsRange(req.query, interval);
+    const data = await stats.loansOverTime(range, interval);
+    res.json({ data, meta: { ...rangeOut(range), interval } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** GET /api/v1/stats/top-titles — ?from=&to=&limit= */
+exports.topTitles = async (req, res, next) => {
+  try {
+    const range = statsRange(req.query);
+    const rows = await stats.topTitles(range, topLimit(req.query));
+    res.json({
+      data: rows.map((r) => ({ book: bookOut(r.book), loans: r.loans })),
+      meta: rangeOut(range),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** GET /api/v1/stats/top-categories — ?from=&to=&limit= */
+exports.topCategories = async (req, res, next) => {
+  try {
+    const range = statsRange(req.query);
+    const data = await stats.topCategories(range, topLimit(req.query));
+    res.json({ data, meta: rangeOut(range) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** GET /api/v1/stats/members — borrowing by member type and gender */
+exports.memberStats = async (req, res, next) => {
+  try {
+    const range = statsRange(req.query);
+    const data = await stats.memberActivity(range);
+    res.json({ data, meta: rangeOut(range) });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** GET /api/v1/stats/overdue — open loans past due, as of now */
+exports.overdueStats = async (req, res, next) => {
+  try {
+    const now = new Date();
+    const data = await stats.overdueSummary(now);
+    res.json({ data, meta: { asOf: now.toISOString() } });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** GET /api/v1/stats/collection — titles and copies by category and shelf */
+exports.collectionStats = async (req, res, next) => {
+  try {
+    res.json({ data: await stats.collectionSummary() });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** GET /api/v1/stats/never-borrowed — books never lent out, paginated */
+exports.neverBorrowed = async (req, res, next) => {
+  try {
+    const params = pageParams(req, {
+      sortable: {
+        bookID: "BookID",
+        title: "Title",
+        category: "Category",
+        createdAt: "createdAt",
+      },
+      defaultSort: { createdAt: 1 },
+    });
+    const filter = await stats.neverBorrowedFilter();
+    await sendPage(res, Book, filter, params, bookOut);
+  } catch (err) {
+    next(err);
+  }
+};
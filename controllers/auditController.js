@@ -0,0 +1,80 @@
+// controllers/auditController.js
+const AuditLog = require("../models/AuditLog");
+const { findBookByParam, findMemberByParam } = require("../utils/lookup");
+
+// Entries per page of the audit log
+const PER_PAGE = 50;
+
+/** Helper: a date from a yyyy-mm-dd input, or null when empty/invalid */
+function day(value, endOfDay) {
+  if (!value) return null;
+  const d = new Date(`${value}T00:00:00`);
+  if (Number.isNaN(d.getTime())) return null;
+  if (endOfDay) d.setDate(d.getDate() + 1);
+  return d;
+}
+
+/** Helper: regex source matching `s` literally */
+const escapeRegex = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * GET /admin/audit — the audit log, newest first.  Filters: ?from=&to=
+ * (dates), ?actor= (librarian username or memberID), ?book= (BookID or
+ * _id), ?member= (memberID or _id) and ?action= (e.g. "loan" or
+ * "loan.issue").
+ */
+exports.listAudit = async (req, res, next) => {
+  try {
+    const q = req.query;
+    const filter = {};
+    let notFound = "";
+
+    const from = day(q.from);
+    const to = day(q.to, true);
+    if (from || to) {
+      filter.at = { ...(from && { $gte: from }), ...(to && { $lt: to }) };
+    }
+    if (q.actor && q.actor.trim()) filter.actor = q.actor.trim();
+    if (q.action && q.action.trim()) {
+      filter.action = new RegExp(`^${escapeRegex(q.action.trim())}`);
+    }
+    if (q.book && q.book.trim()) {
+      const book = await findBookByParam(q.book);
+      if (book) filter.book = book._id;
+      else notFound = `No book matches ${q.book.trim()}.`;
+    }
+    if (q.member && q.member.trim()) {
+      const member = await findMemberByParam(q.member);
+      if (member) filter.member = member._id;
+      else notFound = `No member matches ${q.member.trim()}.`;
+    }
+
+    const total = notFound ? 0 : await AuditLog.countDocuments(filter);
+    const totalPages = Math.max(1, Math.ceil(total / PER_PAGE));
+    const page = Math.min(Math.max(parseInt(q.page, 10) || 1, 1), totalPages);
+    const [entries, actors] = await Promise.all([
+      total
+        ? AuditLog.find(filter)
+            .sort({ at: -1, _id: -1 })
+            .skip((page - 1) * PER_PAGE)
+            .limit(PER_PAGE)
+            .populate("book", "BookID Title")
+            .populate("member", "memberID fullName")
+            .lean()
+        : [],
+      AuditLog.distinct("actor", { actorType: "librarian" }),
+    ]);
+
+    res.render("admin/audit", {
+      entries,
+      actors: actors.sort(),
+      total,
+      page,
+      totalPages,
+      notFound,
+      query: q,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -1,12 +1,28 @@
 // controllers/bookController.js
 const Book = require("../models/Book");
-const User = require("../models/User");
-// We use the cookie module to parse raw cookie headers in order to
-// determine whether the current request is from an authenticated admin.
-const cookie = require("cookie");
+// The session middleware sets `req.librarian` for signed-in librarians;
+// `staffName` reads the username recorded on loans and holds.
+const { staffName } = require("../middleware/auth");
+const { findBookByParam, findMemberByParam } = require("../utils/lookup");
 const {
-  Types: { ObjectId },
-} = require("mongoose");
+  checkBorrower,
+  issueCopy,
+  returnCopy,
+} = require("../utils/circulation");
+const { placeHold, queueFor } = require("../utils/holds");
+const { CURRENCY } = require("../config/loanPolicy");
+const { bookFilter, bookSort } = require("../utils/filters");
+const { ensureCopies, setCopyCount } = require("../utils/copies");
+const { audit } = require("../utils/audit");
+const { archiveRecord } = require("../utils/archive");
+const { resolveShelf } = require("../utils/locations");
+const { checkIsbn } = require("../utils/isbn");
+const {
+  coverUrls,
+  checkUpload,
+  storeCover,
+  deleteCoverFiles,
+} = require("../utils/covers");
 
 // Import our ID generator to generate new book IDs atomically.
 const { generateBookID } = require("../utils/idGen");
@@ -56,72 +72,42 @@ function redirectTarget(req) {
   return ref.includes("/books") ? "/books" : "/";
 }
 
-/** Helper: find by Mongo _id OR by bookID/BookID (AIPSLIB code) or by numeric tail */
-async function findBookByParam(idOrCode) {
-  const raw = norm(idOrCode);
-
-  // 1) Mongo ObjectId
-  if (ObjectId.isValid(raw)) {
-    const byId = await Book.findById(raw);
-    if (byId) return byId;
-  }
-
-  // 2) Exact AIPSLIB code match (bookID/BookID)
-  const exact = await Book.findOne({ $or: [{ bookID: raw }, { BookID: raw }] });
-  if (exact) return exact;
-
-  // 3) If the param is all digits (e.g., "2"), try padded and regex variants
-  if (/^\d+$/.test(raw)) {
-    const padded = `AIPSLIB${String(Number(raw)).padStart(6, "0")}`;
-
-    // Try exact padded first
-    const byPadded = await Book.findOne({
-      $or: [{ bookID: padded }, { BookID: padded }],
-    });
-    if (byPadded) return byPadded;
-
-    // Try regex that matches any AIPSLIB with zero-padded or non-padded tail equal to these digits
-    const tailRegex = new RegExp(`^AIPSLIB0*${Number(raw)}$`, "i");
-    const byRegex = await Book.findOne({
-      $or: [{ bookID: tailRegex }, { BookID: tailRegex }],
-    });
-    if (byRegex) return byRegex;
-  }
-
-  // 4) As a last resort, try case-insensitive match on bookID fields
-  const ci = await Book.findOne({
-    $or: [
-      { bookID: { $regex: `^${raw}$`, $options: "i" } },
-      { BookID: { $regex: `^${raw}$`, $options: "i" } },
-    ],
-  });
-  return ci || null;
+/**
+ * Facet counts for the catalog search.  Each facet is counted with every
+ * other filter applied but not its own, so picking a category still shows
+ * how many results the other categories would give.
+ */
+async function catalogFacets(query) {
+  const count = (without, field) =>
+    Book.aggregate([
+      { $match: bookFilter({ ...query, [without]: "" }) },
+      { $group: { _id: field, count: { $sum: 1 } } },
+      { $sort: { count: -1, _id: 1 } },
+      { $limit: 50 },
+    ]);
+
+  const [categories, shelves, availability] = await Promise.all([
+    count("category", "$Category"),
+    count("shelf", "$Shelf"),
+    count("available", { $gt: ["$AvailableCopies", 0] }),
+  ]);
+  return {
+    categories: categories.filter((c) => c._id),
+    shelves: shelves.filter((s) => s._id),
+    available: (availability.find((a) => a._id === true) || {}).count || 0,
+  };
 }
 
 //
 
 /** GET /books — list with add form */exports.listBooks = async (req, res, next) => {
   try {
-    const { title = "", author = "", page = 1 } = req.query; // Default page = 1
+    const { page = 1 } = req.query; // Default page = 1
     const perPage = 10; // Books per page
-    const conditions = [];
 
-    // Title filter
-    if (title && String(title).trim()) {
-      const t = String(title).trim();
-      const regex = new RegExp(t, "i");
-      conditions.push({ $or: [{ title: regex }, { Title: regex }] });
-    }
-
-    // Author filter
-    if (author && String(author).trim()) {
-      const a = String(author).trim();
-      const regex = new RegExp(a, "i");
-      conditions.push({ $or: [{ author: regex }, { Author: regex }] });
-    }
-
-    // Build the final MongoDB filter
-    const filter = conditions.length > 0 ? { $and: conditions } : {};
+    // Search, filters and sort (shared with the books export and the API)
+    const filter = bookFilter(req.query);
+    const { key: sortKey, sort } = bookSort(req.query);
 
     // Calculate the total number of books
     const totalBooks = await Book.countDocuments(filter);
@@ -133,20 +119,24 @@ async function findBookByParam(idOrCode) {
 
     // When no results, skip querying and show a friendly message
     const hasResults = totalBooks > 0;
-    const books = hasResults
-      ? await Book.find(filter)
-          .sort({ createdAt: 1, _id: 1 })
-          .skip((currentPage - 1) * perPage) // Skip books from previous pages
-          .limit(perPage) // Limit to perPage number of books
-          .lean()
-      : [];
+    const [books, facets] = await Promise.all([
+      hasResults
+        ? Book.find(filter)
+            .sort(sort)
+            .skip((currentPage - 1) * perPage) // Skip books from previous pages
+            .limit(perPage) // Limit to perPage number of books
+            .lean()
+        : [],
+      catalogFacets(req.query),
+    ]);
     
     // Not-found message that echoes the user's search query (title/author)
     // Format: 'Sorry, no book or author was found with that name [search term].'
+    const textSearch = req.query.q ? String(req.query.q).trim() : "";
     const titleSearch = req.query.title ? String(req.query.title).trim() : "";
     const authorSearch = req.query.author ? String(req.query.author).trim() : "";
-    // Use title if available, otherwise use author, otherwise empty
-    const searchTerm = titleSearch || authorSearch;
+    // Use the search box, then title, then author, otherwise empty
+    const searchTerm = textSearch || titleSearch || authorSearch;
 
     const notFoundMessage = !hasResults && searchTerm
       ? `Sorry, no book or author was found with that name ${searchTerm}.`
@@ -154,9 +144,8 @@ async function findBookByParam(idOrCode) {
       ? "Sorry, no book or author was found with that name."
       : "";
 
-    // Determine admin status by inspecting the isAdmin cookie
-    const cookies = cookie.parse(req.headers.cookie || "");
-    const isAdmin = cookies.isAdmin === "1";
+    // Show librarian-only actions when someone is signed in
+    const isAdmin = Boolean(req.librarian);
 
     // Render the page with books and pagination data
     res.render("showBooks", {
@@ -167,6 +156,9 @@ async function findBookByParam(idOrCode) {
       totalPages,
       totalBooks, // Pass totalBooks to display
       notFoundMessage, // Pass the notFoundMessage to the view
+      facets,
+      sortKey,
+      coverUrls,
     });
   } catch (err) {
     next(err);
@@ -177,18 +169,37 @@ async function findBookByParam(idOrCode) {
 /** POST /books/add */
 exports.addBook = async (req, res, next) => {
   try {
+    // A cover image is checked before anything is saved
+    const upload = await checkUpload(req);
+    if (!upload.ok) {
+      return res.redirect("/books/add?msg=" + encodeURIComponent(upload.msg));
+    }
+
     // Map inputs (support both lowercase and legacy names)
     let bookID = norm(req.body.bookID || req.body.BookID);
     if (!bookID) bookID = await generateNextBookID();
 
-    let totalCopies = toInt(req.body.totalCopies || req.body.TotalCopies);
-    let availableCopies = toInt(
-      req.body.availableCopies || req.body.AvailableCopies
+    // Every copy of a new book starts on the shelf; one Copy document is
+    // created for each (see utils/copies.js)
+    const totalCopies = Math.max(
+      0,
+      toInt(req.body.totalCopies || req.body.TotalCopies) ?? 0
     );
 
-    // If available not provided, default to total
-    if (availableCopies === undefined && Number.isFinite(totalCopies)) {
-      availableCopies = totalCopies;
+    // The shelf is picked from the list; older forms send it as text
+    const where = await resolveShelf({
+      location: norm(req.body.location),
+      shelf: norm(req.body.shelf || req.body.Shelf),
+      shelfNo: norm(req.body.shelfNo || req.body.ShelfNo),
+    });
+    if (!where.ok) {
+      return res.redirect("/books/add?msg=" + encodeURIComponent(where.msg));
+    }
+
+    // ISBN-10 or ISBN-13; stored as both where possible (utils/isbn.js)
+    const isbn = await checkIsbn(req.body.isbn || req.body.ISBN);
+    if (!isbn.ok) {
+      return res.redirect("/books/add?msg=" + encodeURIComponent(isbn.msg));
     }
 
     const doc = {
@@ -197,13 +208,29 @@ exports.addBook = async (req, res, next) => {
       author: norm(req.body.author || req.body.Author),
       category: norm(req.body.category || req.body.Category),
       year: toInt(req.body.year || req.body.Year),
+      isbn13: isbn.ISBN13,
+      isbn10: isbn.ISBN10 || undefined,
+      publisher: norm(req.body.publisher || req.body.Publisher) || undefined,
+      edition: norm(req.body.edition || req.body.Edition) || undefined,
+      language: norm(req.body.language || req.body.Language) || undefined,
       totalCopies,
-      availableCopies,
-      shelfNo: norm(req.body.shelfNo || req.body.ShelfNo),
-      shelf: norm(req.body.shelf || req.body.Shelf),
+      availableCopies: totalCopies,
+      shelfNo: where.ShelfNo,
+      shelf: where.Shelf,
     };
 
-    await Book.create(doc);
+    // Original kept, WebP versions made for the pages (utils/covers.js)
+    if (req.file) doc.cover = await storeCover(bookID, req.file, { req });
+
+    let book;
+    try {
+      book = await Book.create(doc);
+    } catch (err) {
+      await deleteCoverFiles(doc.cover);
+      throw err;
+    }
+    await ensureCopies(book);
+    await audit(req, "book.create", { type: "Book", after: book });
     res.redirect("/books");
   } catch (err) {
     next(err);
@@ -214,24 +241,23 @@ exports.addBook = async (req, res, next) => {
 exports.updateBook = async (req, res, next) => {
   try {
     const book = await findBookByParam(req.params.id);
-    if (!book) {
+    if (!book || book.archivedAt) {
       return res.redirect(
         redirectTarget(req) + "?msg=" + encodeURIComponent("Book not found.")
       );
     }
 
+    const before = book.toObject();
+
     // Build update payload from form (lowercase or legacy)
     const update = {
       title: norm(req.body.title || req.body.Title),
       author: norm(req.body.author || req.body.Author),
       category: norm(req.body.category || req.body.Category),
       year: toInt(req.body.year || req.body.Year),
-      totalCopies: toInt(req.body.totalCopies || req.body.TotalCopies),
-      availableCopies: toInt(
-        req.body.availableCopies || req.body.AvailableCopies
-      ),
-      shelfNo: norm(req.body.shelfNo || req.body.ShelfNo),
-      shelf: norm(req.body.shelf || req.body.Shelf),
+      publisher: norm(req.body.publisher || req.body.Publisher),
+      edition: norm(req.body.edition || req.body.Edition),
+      language: norm(req.body.language || req.body.Language),
     };
 
     // Remove empty/undefined
@@ -239,37 +265,83 @@ exports.updateBook = async (req, res, next) => {
       if (update[k] === undefined || update[k] === "") delete update[k];
     }
 
-    // Clamp available to total if needed
-    const newTotal =
-      update.totalCopies ?? num(book.totalCopies, book.TotalCopies);
-    let newAvail =
-      update.availableCopies ?? num(book.availableCopies, book.AvailableCopies);
-
-    if (newTotal !== undefined && newAvail === undefined) {
-      newAvail = Math.min(
-        num(book.availableCopies, book.AvailableCopies, 0) ?? 0,
-        newTotal
+    const isbn = await checkIsbn(req.body.isbn || req.body.ISBN, book);
+    if (!isbn.ok) {
+      return res.redirect(
+        redirectTarget(req) + "?msg=" + encodeURIComponent(isbn.msg)
       );
     }
-    if (newTotal !== undefined && newAvail !== undefined) {
-      newAvail = Math.max(0, Math.min(newAvail, newTotal));
+    const upload = await checkUpload(req);
+    if (!upload.ok) {
+      return res.redirect(
+        redirectTarget(req) + "?msg=" + encodeURIComponent(upload.msg)
+      );
+    }
+    if (isbn.ISBN13) {
+      update.isbn13 = isbn.ISBN13;
+      update.isbn10 = isbn.ISBN10 || undefined;
+    }
+
+    // A shelf picked from the list, or given as text by older forms (the
+    // missing half taken from the book).  "current" keeps a shelf that
+    // is not listed.
+    const location = norm(req.body.location);
+    const shelf = norm(req.body.shelf || req.body.Shelf);
+    const shelfNo = norm(req.body.shelfNo || req.body.ShelfNo);
+    if (location !== "current" && (location || shelf || shelfNo)) {
+      const where = await resolveShelf({
+        location,
+        shelf: shelf || book.Shelf,
+        shelfNo: shelfNo || book.ShelfNo,
+      });
+      if (!where.ok) {
+        return res.redirect(
+          redirectTarget(req) + "?msg=" + encodeURIComponent(where.msg)
+        );
+      }
+      update.shelf = where.Shelf;
+      update.shelfNo = where.ShelfNo;
+    }
+
+    // A new cover replaces the old one; "removeCover" takes it off.  The
+    // old files are deleted once the book no longer points at them.
+    const oldCover = book.cover && book.cover.name ? before.cover : null;
+    if (req.file) {
+      update.cover = await storeCover(book.BookID, req.file, { req });
+    } else if (req.body.removeCover) {
+      update.cover = undefined;
     }
-    if (newTotal !== undefined) update.totalCopies = newTotal;
-    if (newAvail !== undefined) update.availableCopies = newAvail;
 
     // ✅ Use document.set so aliases map correctly to stored PascalCase fields
     book.set(update);
 
-    // Keep legacy mirrors in sync (so older code paths reading PascalCase still work)
-    if (update.totalCopies !== undefined) book.TotalCopies = update.totalCopies;
-    if (update.availableCopies !== undefined)
-      book.AvailableCopies = update.availableCopies;
+    try {
+      await book.save();
+    } catch (err) {
+      await deleteCoverFiles(update.cover);
+      throw err;
+    }
+    if ("cover" in update) await deleteCoverFiles(oldCover);
+
+    // Available copies follow the status of each copy; a new total adds
+    // copies or withdraws ones on the shelf.  Applied once the rest of
+    // the update is saved, so a failed save leaves the copies as they were.
+    let msg = "Book updated successfully.";
+    const totalCopies = toInt(req.body.totalCopies || req.body.TotalCopies);
+    if (totalCopies !== undefined && totalCopies !== book.TotalCopies) {
+      const result = await setCopyCount(book, Math.max(0, totalCopies));
+      if (!result.ok) {
+        msg = `Book updated, but the copies were not: ${result.msg}`;
+      }
+    }
 
-    await book.save();
+    await audit(req, "book.update", {
+      type: "Book",
+      before,
+      after: await Book.findById(book._id).lean(),
+    });
     return res.redirect(
-      redirectTarget(req) +
-        "?msg=" +
-        encodeURIComponent("Book updated successfully.")
+      redirectTarget(req) + "?msg=" + encodeURIComponent(msg)
     );
   } catch (err) {
     console.error("updateBook error:", err);
@@ -282,8 +354,18 @@ exports.updateBook = async (req, res, next) => {
 /** POST /books/delete/:id */
 exports.deleteBook = async (req, res, next) => {
   try {
-    await Book.findByIdAndDelete(req.params.id);
-    res.redirect("/books");
+    // Deleting moves the book to the trash (see utils/archive.js)
+    const book = await findBookByParam(req.params.id);
+    if (!book) {
+      return res.redirect(
+        redirectTarget(req) + "?msg=" + encodeURIComponent("Book not found.")
+      );
+    }
+
+    const result = await archiveRecord("Book", book, { req });
+    return res.redirect(
+      redirectTarget(req) + "?msg=" + encodeURIComponent(result.msg)
+    );
   } catch (err) {
     next(err);
   }
@@ -293,7 +375,7 @@ exports.deleteBook = async (req, res, next) => {
 exports.lookupBook = async (req, res, next) => {
   try {
     const book = await findBookByParam(req.params.id);
-    if (!book) {
+    if (!book || book.archivedAt) {
       return res.status(404).json({ ok: false, msg: "Book not found." });
     }
 
@@ -302,6 +384,10 @@ exports.lookupBook = async (req, res, next) => {
     const available =
       availableRaw === undefined && total > 0 ? total : availableRaw ?? 0;
 
+    // Copies set aside for "ready" holds cannot be issued to anyone else
+    const queue = await queueFor(book._id);
+    const reserved = queue.filter((h) => h.status === "ready").length;
+
     return res.json({
       ok: true,
       data: {
@@ -311,11 +397,19 @@ exports.lookupBook = async (req, res, next) => {
         author: book.author || book.Author || "",
         category: book.category || book.Category || "",
         year: book.year || book.Year || "",
+        isbn: book.ISBN13 || "",
+        isbn10: book.ISBN10 || "",
+        publisher: book.Publisher || "",
+        edition: book.Edition || "",
+        language: book.Language || "",
+        cover: coverUrls(book),
         shelfNo: book.shelfNo || book.ShelfNo || "",
         shelf: book.shelf || book.Shelf || "",
         total,
         available,
-        canIssue: available > 0,
+        reserved,
+        holds: queue.length,
+        canIssue: available - reserved > 0,
       },
     });
   } catch (err) {
@@ -323,6 +417,31 @@ exports.lookupBook = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /books/eligibility/:id?member=… — JSON check run by the issue modal
+ * once a book and a member are chosen, so a refusal and its reason show
+ * up before the form is submitted.
+ */
+exports.checkIssue = async (req, res, next) => {
+  try {
+    const [book, member] = await Promise.all([
+      findBookByParam(req.params.id),
+      findMemberByParam(req.query.member),
+    ]);
+    if (!book) {
+      return res.status(404).json({ ok: false, msg: "Book not found." });
+    }
+    if (!member) {
+      return res.status(404).json({ ok: false, msg: "Member not found." });
+    }
+
+    const result = await checkBorrower(member, book);
+    return res.json(result);
+  } catch (err) {
+    next(err);
+  }
+};
+
 /** POST /books/issue/:id */
 exports.issueBook = async (req, res, next) => {
   try {
@@ -334,84 +453,46 @@ exports.issueBook = async (req, res, next) => {
     }
 
     /*
-     * Always compute the total and available counts using both the
-     * PascalCase and camelCase fields. The helper `num()` coerces strings
-     * and numbers safely and returns the first numeric value it finds.  If
-     * `availableCopies` is undefined but a total is present, we assume all
-     * copies are available initially. This avoids situations where
-     * the alias is undefined and would previously cause issuing to silently
-     * fail.
+     * Every issued copy is recorded as a Loan against a member, so a
+     * member must be selected.  Accept either the Mongo _id posted by the
+     * dashboard dropdown or a typed memberID (AIPSMEM0001).
      */
-    const total = num(book.totalCopies, book.TotalCopies, 0) ?? 0;
-    let available = num(book.availableCopies, book.AvailableCopies);
-    if (available === undefined && total > 0) available = total;
-    available = available ?? 0;
-
-    if (available <= 0) {
+    const member = await findMemberByParam(req.body.userId);
+    if (!member) {
       return res.redirect(
         redirectTarget(req) +
           "?msg=" +
-          encodeURIComponent("No copies available to issue.")
+          encodeURIComponent("Please select the member borrowing this book.")
       );
     }
 
-    /*
-     * Optionally associate this issued copy with a member.  If a
-     * userId is provided in the POST body and corresponds to an
-     * existing user, we'll record that user in the book.borrowers
-     * array.  If no user is provided (e.g., issuing from the table
-     * view), the issue will still decrement the available count but
-     * will not record a borrower.
-     */
-    const { userId } = req.body;
-    let member = null;
-    if (userId) {
-      try {
-        member = await User.findById(userId);
-      } catch {
-        member = null;
+    const result = await issueCopy(book, member, {
+      issuedBy: staffName(req),
+      copy: norm(req.body.copy),
+    });
+    if (!result.ok && result.noCopies) {
+      // Nothing on the shelf for this member: put them in the hold queue
+      // so the next returned copy is set aside for them in turn.
+      const hold = await placeHold(book, member, { placedBy: staffName(req) });
+      if (hold.ok) {
+        await audit(req, "hold.place", { type: "Hold", after: hold.hold });
       }
-    }
-
-    // Build the atomic update: decrement available copies and push borrower
-    const updateDoc = {
-      $inc: { availableCopies: -1, AvailableCopies: -1 },
-    };
-    if (member) {
-      updateDoc.$push = { borrowers: member._id };
-    }
-    /*
-     * Perform an atomic update to decrement the available count.  The
-     * `availableCopies` field defined in the schema is an alias for
-     * `AvailableCopies`.  As explained in the Mongoose documentation,
-     * aliases and other virtuals are not stored in MongoDB and cannot
-     * be used in queries【893694647605822†L276-L277】.  Querying on the alias
-     * silently fails because MongoDB never sees that field.  To
-     * correctly enforce that a copy is available we must query on
-     * the actual stored field.  We'll include both the camelCase and
-     * PascalCase names in an `$or` condition so the query matches
-     * whichever field is present.
-     */
-    const updated = await Book.findOneAndUpdate(
-      {
-        _id: book._id,
-        $or: [{ availableCopies: { $gt: 0 } }, { AvailableCopies: { $gt: 0 } }],
-      },
-      updateDoc,
-      { new: true }
-    );
-    if (!updated) {
-      // Another concurrent request may have consumed the last copy
+      const msg = hold.ok
+        ? `${result.msg} ${member.fullName} (${member.memberID}) has been placed on hold (position ${hold.rank}).`
+        : `${result.msg} ${hold.msg}`;
       return res.redirect(
-        redirectTarget(req) +
-          "?msg=" +
-          encodeURIComponent("No copies available to issue.")
+        redirectTarget(req) + "?msg=" + encodeURIComponent(msg)
       );
     }
-    let msg = "Book issued successfully.";
-    if (member) {
-      msg = `Book issued successfully to ${member.fullName} (${member.memberID}).`;
+    if (!result.ok) {
+      return res.redirect(
+        redirectTarget(req) + "?msg=" + encodeURIComponent(result.msg)
+      );
     }
+
+    await audit(req, "loan.issue", { type: "Loan", after: result.loan });
+    const due = result.loan.dueDate.toDateString();
+    const msg = `Copy ${result.copy.barcode} issued successfully to ${member.fullName} (${member.memberID}). Due ${due}.`;
     return res.redirect(
       redirectTarget(req) + "?msg=" + encodeURIComponent(msg)
     );
@@ -430,52 +511,50 @@ exports.returnBook = async (req, res, next) => {
       );
     }
 
-    const total = num(book.totalCopies, book.TotalCopies, 0) ?? 0;
-    let available = num(book.availableCopies, book.AvailableCopies);
-    // If undefined, treat as 0 (all copies issued)
-    if (available === undefined) available = 0;
-
-    // Determine which member is returning the book (optional)
-    const { userId } = req.body;
+    // Determine which member is returning the book (optional when only
+    // one member currently holds a copy)
     let member = null;
-    if (userId) {
-      try {
-        member = await User.findById(userId);
-      } catch {
-        member = null;
+    if (req.body.userId) {
+      member = await findMemberByParam(req.body.userId);
+      if (!member) {
+        return res.redirect(
+          redirectTarget(req) +
+            "?msg=" +
+            encodeURIComponent("Member not found.")
+        );
       }
     }
 
-    // Prevent exceeding total copies
-    if (total > 0 && available >= total) {
+    const result = await returnCopy(book, member, {
+      returnedTo: staffName(req),
+      copy: norm(req.body.copy),
+    });
+    if (!result.ok) {
       return res.redirect(
-        redirectTarget(req) +
-          "?msg=" +
-          encodeURIComponent("All copies already returned.")
+        redirectTarget(req) + "?msg=" + encodeURIComponent(result.msg)
       );
     }
 
-    const newAvailable =
-      total > 0 ? Math.min(available + 1, total) : available + 1;
-    book.availableCopies = newAvailable;
-    book.AvailableCopies = newAvailable;
-    // Remove borrower record if possible
-    if (book.borrowers && book.borrowers.length) {
-      if (member) {
-        const idx = book.borrowers.findIndex((id) => id.toString() === userId);
-        if (idx !== -1) {
-          book.borrowers.splice(idx, 1);
-        }
-      } else {
-        // remove the first borrower if no user specified or found
-        book.borrowers.shift();
-      }
-    }
-    await book.save();
+    await audit(req, "loan.return", {
+      type: "Loan",
+      after: result.loan,
+      book,
+      note: result.loan ? undefined : "Copy issued before loans were recorded",
+    });
+
     let msg = "Book returned successfully.";
     if (member) {
       msg = `Book returned successfully by ${member.fullName} (${member.memberID}).`;
     }
+    if (result.loan && result.loan.fine > 0) {
+      msg += ` Overdue fine: ${CURRENCY} ${result.loan.fine}.`;
+    }
+    if (result.readyHolds.length) {
+      const next = await findMemberByParam(result.readyHolds[0].member);
+      if (next) {
+        msg += ` Keep this copy aside: it is on hold for ${next.fullName} (${next.memberID}).`;
+      }
+    }
     return res.redirect(
       redirectTarget(req) + "?msg=" + encodeURIComponent(msg)
     );
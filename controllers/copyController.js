@@ -0,0 +1,174 @@
+// controllers/copyController.js
+const Copy = require("../models/Copy");
+const Loan = require("../models/Loan");
+const { findBookByParam } = require("../utils/lookup");
+const { refreshHolds } = require("../utils/holds");
+const { audit } = require("../utils/audit");
+const {
+  CONDITIONS,
+  STATUSES,
+  addCopies,
+  ensureCopies,
+  syncCopyCounts,
+} = require("../utils/copies");
+
+// Statuses a librarian can set by hand; "on_loan" only comes from
+// issuing and returning at the desk.
+const SETTABLE = STATUSES.filter((s) => s !== "on_loan");
+
+/** Helper: back to a book's copies page with a message */
+const back = (res, bookId, msg) =>
+  res.redirect(`/copies/book/${bookId}?msg=` + encodeURIComponent(msg));
+
+/** Helper: optional form number, or undefined when left empty */
+const optNumber = (v) =>
+  v === undefined || v === null || String(v).trim() === ""
+    ? undefined
+    : Number(v);
+
+/** Helper: optional form date, or undefined when empty or invalid */
+function optDate(v) {
+  if (!v) return undefined;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+/** GET /copies/book/:id — every copy of a book and who has it */
+exports.listCopies = async (req, res, next) => {
+  try {
+    const book = await findBookByParam(req.params.id);
+    if (!book) return res.status(404).render("404");
+    await ensureCopies(book);
+
+    const [copies, loans] = await Promise.all([
+      Copy.find({ book: book._id }).sort({ accessionNo: 1 }).lean(),
+      Loan.find({ book: book._id, status: "issued" })
+        .populate("member", "memberID fullName")
+        .lean(),
+    ]);
+    const loanOf = new Map(loans.map((l) => [String(l.copy), l]));
+
+    const counts = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+    for (const c of copies) counts[c.status] += 1;
+
+    res.render("copies/index", {
+      book,
+      copies: copies.map((c) => ({ ...c, loan: loanOf.get(String(c._id)) })),
+      counts,
+      conditions: CONDITIONS,
+      statuses: SETTABLE,
+      query: req.query,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /copies/book/:id — add one or more copies */
+exports.addCopies = async (req, res, next) => {
+  try {
+    const book = await findBookByParam(req.params.id);
+    if (!book) return res.status(404).render("404");
+
+    const count = Number(req.body.count || 1);
+    if (!Number.isInteger(count) || count < 1 || count > 100) {
+      return back(res, book._id, "Add between 1 and 100 copies at a time.");
+    }
+    const price = optNumber(req.body.price);
+    if (price !== undefined && !(price >= 0)) {
+      return back(res, book._id, "Price must be a positive number.");
+    }
+    const condition = CONDITIONS.includes(req.body.condition)
+      ? req.body.condition
+      : "new";
+
+    await ensureCopies(book);
+    const added = await addCopies(book, count, {
+      acquiredAt: optDate(req.body.acquiredAt) || new Date(),
+      price,
+      condition,
+    });
+    for (const copy of added) {
+      await audit(req, "copy.create", { type: "Copy", after: copy });
+    }
+    await syncCopyCounts(book._id);
+    const ready = await refreshHolds(book._id);
+
+    let msg = `Added ${count} ${count === 1 ? "copy" : "copies"}: ${added
+      .map((c) => c.accessionNo)
+      .join(", ")}.`;
+    if (ready.length) msg += ` ${ready.length} now set aside for holds.`;
+    return back(res, book._id, msg);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * POST /copies/:id — edit a copy's barcode, condition, price, notes or
+ * status.  A copy on loan keeps its status until it is returned.
+ */
+exports.updateCopy = async (req, res, next) => {
+  try {
+    const copy = await Copy.findById(req.params.id).catch(() => null);
+    if (!copy) return res.status(404).render("404");
+
+    const update = {};
+    const barcode = String(req.body.barcode || "").trim();
+    if (barcode && barcode !== copy.barcode) {
+      if (await Copy.exists({ barcode, _id: { $ne: copy._id } })) {
+        return back(res, copy.book, `Barcode ${barcode} is already in use.`);
+      }
+      update.barcode = barcode;
+    }
+
+    if (CONDITIONS.includes(req.body.condition)) {
+      update.condition = req.body.condition;
+    }
+    const price = optNumber(req.body.price);
+    if (price !== undefined) {
+      if (!(price >= 0)) {
+        return back(res, copy.book, "Price must be a positive number.");
+      }
+      update.price = price;
+    }
+    if (req.body.notes !== undefined) {
+      update.notes = String(req.body.notes).trim();
+    }
+
+    const filter = { _id: copy._id };
+    const status = req.body.status;
+    if (status && status !== copy.status) {
+      if (copy.status === "on_loan") {
+        return back(
+          res,
+          copy.book,
+          `Copy ${copy.barcode} is on loan; return it before changing its status.`
+        );
+      }
+      if (!SETTABLE.includes(status)) {
+        return back(res, copy.book, "Unknown copy status.");
+      }
+      // Only if the status is still the one shown, so a copy issued in
+      // the meantime is not taken off the loan
+      filter.status = copy.status;
+      update.status = status;
+    }
+
+    const saved = await Copy.findOneAndUpdate(filter, update, { new: true });
+    if (!saved) {
+      return back(res, copy.book, "This copy has just changed. Try again.");
+    }
+    await audit(req, "copy.update", {
+      type: "Copy",
+      before: copy,
+      after: saved,
+    });
+    await syncCopyCounts(copy.book);
+    await refreshHolds(copy.book);
+
+    return back(res, copy.book, `Copy ${saved.barcode} updated.`);
+  } catch (err) {
+    next(err);
+  }
+};
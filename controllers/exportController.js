@@ -0,0 +1,155 @@
+// controllers/exportController.js
+const Book = require("../models/Book");
+const User = require("../models/User");
+const Loan = require("../models/Loan");
+const {
+  bookFilter,
+  bookSort,
+  memberFilter,
+  loanFilter,
+} = require("../utils/filters");
+const { streamExport } = require("../utils/exporter");
+const { MARC_FORMATS, streamMarc } = require("../utils/marc");
+
+/** Helper: YYYY-MM-DD of a date, or empty */
+const day = (d) => (d ? new Date(d).toISOString().slice(0, 10) : "");
+
+/** Helper: today's date for export file names */
+const stamp = () => day(new Date());
+
+const BOOK_COLUMNS = [
+  { header: "Book ID", key: "bookID", value: (b) => b.BookID },
+  { header: "Title", key: "title", value: (b) => b.Title },
+  { header: "Author", key: "author", value: (b) => b.Author },
+  { header: "Category", key: "category", value: (b) => b.Category },
+  { header: "Year", key: "year", value: (b) => b.Year },
+  { header: "ISBN", key: "isbn", value: (b) => b.ISBN13 },
+  { header: "Publisher", key: "publisher", value: (b) => b.Publisher },
+  { header: "Edition", key: "edition", value: (b) => b.Edition },
+  { header: "Language", key: "language", value: (b) => b.Language },
+  { header: "Total Copies", key: "totalCopies", value: (b) => b.TotalCopies },
+  {
+    header: "Available Copies",
+    key: "availableCopies",
+    value: (b) => b.AvailableCopies,
+  },
+  { header: "Shelf No", key: "shelfNo", value: (b) => b.ShelfNo },
+  { header: "Shelf", key: "shelf", value: (b) => b.Shelf },
+];
+
+const MEMBER_COLUMNS = [
+  { header: "Member ID", key: "memberID", value: (u) => u.memberID },
+  { header: "Full Name", key: "fullName", value: (u) => u.fullName },
+  { header: "Type", key: "memberType", value: (u) => u.memberType },
+  { header: "Gender", key: "gender", value: (u) => u.gender },
+  { header: "Phone", key: "phone", value: (u) => u.phone },
+  { header: "Email", key: "email", value: (u) => u.email },
+  { header: "Active", key: "isActive", value: (u) => u.isActive !== false },
+  { header: "Expires", key: "expiresAt", value: (u) => day(u.expiresAt) },
+  { header: "Registered", key: "createdAt", value: (u) => day(u.createdAt) },
+];
+
+const LOAN_COLUMNS = [
+  { header: "Book ID", key: "bookID", value: (l) => l.book && l.book.BookID },
+  { header: "Title", key: "title", value: (l) => l.book && l.book.Title },
+  {
+    header: "Member ID",
+    key: "memberID",
+    value: (l) => l.member && l.member.memberID,
+  },
+  {
+    header: "Member",
+    key: "memberName",
+    value: (l) => l.member && l.member.fullName,
+  },
+  { header: "Copy", key: "copy", value: (l) => l.copy && l.copy.barcode },
+  { header: "Issued", key: "issueDate", value: (l) => day(l.issueDate) },
+  { header: "Due", key: "dueDate", value: (l) => day(l.dueDate) },
+  { header: "Returned", key: "returnDate", value: (l) => day(l.returnDate) },
+  {
+    header: "Renewals",
+    key: "renewals",
+    value: (l) => (l.renewals || []).length,
+  },
+  { header: "Fine", key: "fine", value: (l) => l.fine || 0 },
+  { header: "Fine Paid", key: "finePaid", value: (l) => l.finePaid || 0 },
+  { header: "Status", key: "status", value: (l) => l.status },
+  { header: "Issued By", key: "issuedBy", value: (l) => l.issuedBy },
+  { header: "Returned To", key: "returnedTo", value: (l) => l.returnedTo },
+];
+
+/**
+ * Helper: stream `cursor` in the requested `?format=` (default CSV), or
+ * as MARC21 records when `options.marc` allows it.  Errors after the
+ * download has started can no longer become an error page, so the
+ * connection is dropped instead.
+ */
+async function send(req, res, next, options) {
+  try {
+    const format = String(req.query.format || "csv").toLowerCase();
+    const sent =
+      options.marc && Object.hasOwn(MARC_FORMATS, format)
+        ? await streamMarc(res, format, options)
+        : await streamExport(res, format, options);
+    if (!sent) {
+      res
+        .status(400)
+        .send(
+          options.marc
+            ? "Unsupported format. Use csv, json, xlsx, marc or marcxml."
+            : "Unsupported format. Use csv, json or xlsx."
+        );
+    }
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    next(err);
+  }
+}
+
+/**
+ * GET /exports/books — same search, filters and sort as /books; also
+ * ?format=marc (MARC21) or marcxml for other libraries
+ */
+exports.exportBooks = (req, res, next) =>
+  send(req, res, next, {
+    filename: `books-${stamp()}`,
+    columns: BOOK_COLUMNS,
+    marc: true,
+    cursor: Book.find(bookFilter(req.query))
+      .sort(bookSort(req.query).sort)
+      .lean()
+      .cursor(),
+  });
+
+/** GET /exports/members — same ?q=&type=&gender= filters as /members */
+exports.exportMembers = (req, res, next) =>
+  send(req, res, next, {
+    filename: `members-${stamp()}`,
+    columns: MEMBER_COLUMNS,
+    cursor: User.find(memberFilter(req.query))
+      .sort({ memberID: 1 })
+      .lean()
+      .cursor(),
+  });
+
+/** GET /exports/loans — ?book=&member=&status=&from=&to= */
+exports.exportLoans = async (req, res, next) => {
+  try {
+    const filter = await loanFilter(req.query);
+    if (!filter) return res.status(404).send("Book or member not found.");
+
+    return send(req, res, next, {
+      filename: `loans-${stamp()}`,
+      columns: LOAN_COLUMNS,
+      cursor: Loan.find(filter)
+        .sort({ issueDate: -1 })
+        .populate("book", "BookID Title")
+        .populate("member", "memberID fullName")
+        .populate("copy", "barcode")
+        .lean()
+        .cursor(),
+    });
+  } catch (err) {
+    next(err);
+  }
+};
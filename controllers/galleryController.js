@@ -0,0 +1,202 @@
+// controllers/galleryController.js
+const Photo = require("../models/Photo");
+const Album = require("../models/Album");
+const {
+  MAX_PHOTOS,
+  photoSources,
+  uploadPhotos,
+  savePhoto,
+  deletePhoto,
+  reorderPhotos,
+  listAlbums,
+  saveAlbum,
+  deleteAlbum,
+  addMissingPhotos,
+} = require("../utils/gallery");
+
+// Photos per page of the public gallery
+const PER_PAGE = 24;
+
+/** Helper: trimmed text of a query value */
+const norm = (v) => (v === null || v === undefined ? "" : String(v)).trim();
+
+/** Helper: a photo with the URLs its page needs (see photoSources) */
+const withSources = (p) => ({ ...p, ...photoSources(p) });
+
+/**
+ * Helper: redirect back to the gallery manager with a message, showing
+ * the album the form was sent from
+ */
+const back = (req, res, msg, album = norm(req.query.album)) => {
+  const shown = album ? `album=${encodeURIComponent(album)}&` : "";
+  res.redirect(`/admin/gallery?${shown}msg=${encodeURIComponent(msg)}`);
+};
+
+/**
+ * GET /gallery — the public gallery, a page at a time, optionally one
+ * album's photos (?album=) or those with a tag (?tag=).
+ */
+exports.showGallery = async (req, res, next) => {
+  try {
+    // Empty albums are not offered
+    const albums = (await listAlbums()).filter((a) => a.photos);
+    const album = albums.find((a) => String(a._id) === req.query.album);
+    const tag = norm(req.query.tag).toLowerCase();
+    const filter = {
+      ...(album && { album: album._id }),
+      ...(tag && { tags: tag }),
+    };
+
+    const totalPhotos = await Photo.countDocuments(filter);
+    const totalPages = Math.max(1, Math.ceil(totalPhotos / PER_PAGE));
+    const requestedPage = parseInt(req.query.page, 10) || 1;
+    const currentPage = Math.min(Math.max(requestedPage, 1), totalPages);
+    const photos = await Photo.find(filter)
+      .sort({ position: 1, _id: 1 })
+      .skip((currentPage - 1) * PER_PAGE)
+      .limit(PER_PAGE)
+      .lean();
+
+    res.render("gallery", {
+      title: album ? `${album.name} – Library Gallery` : "Library Gallery",
+      albums,
+      album,
+      tag,
+      photos: photos.map(withSources),
+      currentPage,
+      totalPages,
+      totalPhotos,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * GET /admin/gallery — the gallery manager: upload form, albums, and the
+ * photos in order (one album's with ?album=, or ?album=none for those in
+ * no album)
+ */
+exports.manageGallery = async (req, res, next) => {
+  try {
+    const shown = norm(req.query.album);
+    const albums = await listAlbums();
+    const album = albums.find((a) => String(a._id) === shown) || null;
+    const filter = album
+      ? { album: album._id }
+      : shown === "none"
+      ? { album: null }
+      : {};
+
+    const [photos, unlisted] = await Promise.all([
+      Photo.find(filter).sort({ position: 1, _id: 1 }).lean(),
+      addMissingPhotos({ dryRun: true }),
+    ]);
+    res.render("admin/gallery", {
+      albums,
+      album,
+      shown: album ? String(album._id) : shown === "none" ? "none" : "",
+      photos: photos.map(withSources),
+      unlisted,
+      maxPhotos: MAX_PHOTOS,
+      query: req.query,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/gallery/photos — upload photos, made into their versions */
+exports.uploadPhotos = async (req, res, next) => {
+  try {
+    const result = await uploadPhotos(req);
+    return back(req, res, result.msg);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/gallery/photos/order — save the order of the photos shown */
+exports.reorderPhotos = async (req, res, next) => {
+  try {
+    const result = await reorderPhotos(req.body.order, { req });
+    return back(req, res, result.msg);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/gallery/photos/scan — add images copied into the folder */
+exports.addMissingPhotos = async (req, res, next) => {
+  try {
+    const added = await addMissingPhotos();
+    return back(
+      req,
+      res,
+      added.length
+        ? `${added.length} photo(s) added from the gallery folder.`
+        : "No new images in the gallery folder."
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/gallery/photos/:id — change a photo's caption, tags and album */
+exports.updatePhoto = async (req, res, next) => {
+  try {
+    const photo = await Photo.findById(req.params.id).catch(() => null);
+    if (!photo) return back(req, res, "Photo not found.");
+    const result = await savePhoto(photo, req.body, { req });
+    return back(req, res, result.msg);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/gallery/photos/:id/delete — delete a photo and its files */
+exports.deletePhoto = async (req, res, next) => {
+  try {
+    const photo = await Photo.findById(req.params.id).catch(() => null);
+    if (!photo) return back(req, res, "Photo not found.");
+    const result = await deletePhoto(photo, { req });
+    return back(req, res, result.msg);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/gallery/albums — add an album */
+exports.createAlbum = async (req, res, next) => {
+  try {
+    const result = await saveAlbum(null, req.body, { req });
+    return back(req, res, result.msg);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/gallery/albums/:id — rename, describe or reorder an album */
+exports.updateAlbum = async (req, res, next) => {
+  try {
+    const album = await Album.findById(req.params.id).catch(() => null);
+    if (!album) return back(req, res, "Album not found.");
+    const result = await saveAlbum(album, req.body, { req });
+    return back(req, res, result.msg);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/gallery/albums/:id/delete — remove an album, keeping its photos */
+exports.deleteAlbum = async (req, res, next) => {
+  try {
+    const album = await Album.findById(req.params.id).catch(() => null);
+    if (!album) return back(req, res, "Album not found.");
+    const result = await deleteAlbum(album, { req });
+    // It is gone; show every photo
+    return back(req, res, result.msg, "");
+  } catch (err) {
+    next(err);
+  }
+};
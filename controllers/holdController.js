@@ -0,0 +1,109 @@
+// controllers/holdController.js
+const Hold = require("../models/Hold");
+const { staffName } = require("../middleware/auth");
+const { findBookByParam, findMemberByParam } = require("../utils/lookup");
+const {
+  ACTIVE,
+  refreshHolds,
+  placeHold,
+  cancelHold,
+  moveHold,
+} = require("../utils/holds");
+const { audit } = require("../utils/audit");
+
+/** Helper: redirect back to the holds page with a message */
+const back = (res, msg) =>
+  res.redirect("/holds?msg=" + encodeURIComponent(msg));
+
+/** GET /holds — every active hold, grouped by book in queue order */
+exports.listHolds = async (req, res, next) => {
+  try {
+    // Expire lapsed pickups and promote waiting members before showing
+    const bookIds = await Hold.distinct("book", { status: { $in: ACTIVE } });
+    for (const id of bookIds) await refreshHolds(id);
+
+    const holds = await Hold.find({ status: { $in: ACTIVE } })
+      .sort({ book: 1, position: 1, createdAt: 1 })
+      .populate("book", "BookID Title Author AvailableCopies")
+      .populate("member", "memberID fullName memberType")
+      .lean();
+
+    // Group consecutive holds by book, keeping queue order
+    const groups = [];
+    for (const h of holds) {
+      if (!h.book) continue;
+      const last = groups[groups.length - 1];
+      if (last && String(last.book._id) === String(h.book._id)) {
+        last.holds.push(h);
+      } else {
+        groups.push({ book: h.book, holds: [h] });
+      }
+    }
+
+    res.render("holds/index", { groups, query: req.query });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /holds — place a hold for a member on a book */
+exports.createHold = async (req, res, next) => {
+  try {
+    const book = await findBookByParam(req.body.bookId);
+    if (!book) return back(res, "Book not found.");
+    const member = await findMemberByParam(req.body.userId);
+    if (!member) return back(res, "Member not found.");
+
+    const result = await placeHold(book, member, { placedBy: staffName(req) });
+    if (result.ok) {
+      await audit(req, "hold.place", { type: "Hold", after: result.hold });
+    }
+    return back(
+      res,
+      result.ok
+        ? `${member.fullName} placed on hold for ${book.title} (position ${result.rank}).`
+        : result.msg
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /holds/:id/move — move a hold up or down its queue */
+exports.moveHold = async (req, res, next) => {
+  try {
+    const hold = await Hold.findById(req.params.id).catch(() => null);
+    if (!hold) return back(res, "Hold not found.");
+
+    const direction = req.body.direction === "up" ? "up" : "down";
+    const result = await moveHold(hold, direction);
+    if (result.ok) {
+      await audit(req, "hold.move", {
+        type: "Hold",
+        before: hold,
+        after: await Hold.findById(hold._id).lean(),
+        note: `Moved ${direction}`,
+      });
+    }
+    return back(res, result.msg);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /holds/:id/cancel — cancel a hold, passing any reserved copy on */
+exports.cancelHold = async (req, res, next) => {
+  try {
+    const hold = await Hold.findById(req.params.id).catch(() => null);
+    if (!hold) return back(res, "Hold not found.");
+
+    const before = hold.toObject();
+    const cancelled = await cancelHold(hold);
+    if (cancelled) {
+      await audit(req, "hold.cancel", { type: "Hold", before, after: hold });
+    }
+    return back(res, cancelled ? "Hold cancelled." : "Hold is no longer active.");
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,115 @@
+// controllers/importController.js
+const crypto = require("crypto");
+const {
+  readImportFile,
+  planImport,
+  applyImport,
+} = require("../utils/bookImport");
+
+// Previewed rows waiting for their commit, by token.  They stay on the
+// server, in this process, so the commit imports exactly what was
+// previewed; each librarian has at most one, for PREVIEW_MINUTES.
+const previews = new Map();
+const PREVIEW_MINUTES = 30;
+
+/** Helper: keep the rows of a preview and return the token naming them */
+function keepPreview(req, rows, filename) {
+  const librarian = req.librarian ? req.librarian.username : "";
+  const now = Date.now();
+  for (const [token, p] of previews) {
+    if (p.expires < now || p.librarian === librarian) previews.delete(token);
+  }
+  const token = crypto.randomBytes(16).toString("hex");
+  previews.set(token, {
+    rows,
+    filename,
+    librarian,
+    expires: now + PREVIEW_MINUTES * 60 * 1000,
+  });
+  return token;
+}
+
+/** Helper: the preview `token` names, if it is this librarian's and current */
+function takePreview(req, token) {
+  const preview = previews.get(String(token || ""));
+  const librarian = req.librarian ? req.librarian.username : "";
+  if (!preview || preview.librarian !== librarian) return null;
+  previews.delete(String(token));
+  return preview.expires < Date.now() ? null : preview;
+}
+
+/** Helper: render the import page */
+const render = (res, locals = {}) =>
+  res.render("admin/import", {
+    plan: null,
+    token: "",
+    filename: "",
+    result: null,
+    error: "",
+    ...locals,
+  });
+
+/** GET /admin/import — upload form */
+exports.renderImport = (req, res) => render(res);
+
+/**
+ * POST /admin/import — parse the uploaded CSV/XLSX/MARC file and show the
+ * dry run.
+ * Nothing is saved; the parsed rows are kept on the server under a token
+ * the commit form sends back, so the commit step re-checks exactly what
+ * was previewed.
+ */
+exports.previewImport = async (req, res, next) => {
+  try {
+    if (req.importError) {
+      return render(res.status(400), { error: req.importError });
+    }
+    if (!req.file) {
+      return render(res.status(400), {
+        error: "Choose a CSV, XLSX or MARC file.",
+      });
+    }
+
+    let parsed;
+    try {
+      parsed = await readImportFile(req.file.buffer, req.file.originalname);
+    } catch (err) {
+      return render(res.status(400), {
+        error: `Could not read ${req.file.originalname}: ${err.message}`,
+      });
+    }
+    if (!parsed.rows.length) {
+      return render(res.status(400), {
+        error: "The file has no rows below its header, or no records.",
+      });
+    }
+
+    render(res, {
+      plan: await planImport(parsed.rows),
+      token: keepPreview(req, parsed.rows, req.file.originalname),
+      filename: req.file.originalname,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/import/commit — re-plan the previewed rows and apply them */
+exports.commitImport = async (req, res, next) => {
+  try {
+    const preview = takePreview(req, req.body.token);
+    if (!preview) {
+      return render(res.status(400), {
+        error:
+          "The preview has expired or was already imported. Upload the file again.",
+      });
+    }
+
+    // The catalog may have changed since the preview, so plan again
+    const plan = await planImport(preview.rows);
+    const result = await applyImport(plan, { req });
+    render(res, { plan, filename: preview.filename, result });
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,187 @@
+// controllers/labelController.js
+const Book = require("../models/Book");
+const User = require("../models/User");
+const { bookFilter, memberFilter, MEMBER_TYPES } = require("../utils/filters");
+const {
+  LAYOUTS,
+  SYMBOLOGIES,
+  sheetCount,
+  renderSVG,
+  renderPDF,
+} = require("../utils/labels");
+
+// Enough for a full catalog run in a few batches without tying up the
+// server drawing thousands of codes in one request
+const MAX_LABELS = 1000;
+
+/** Helper: back to the labels page with a message */
+const back = (res, msg) =>
+  res.redirect("/labels?msg=" + encodeURIComponent(msg));
+
+/**
+ * Helper: an ID typed for a range.  Bare numbers are expanded the way
+ * idGen.js numbers them, so "12" means AIPSLIB000012 for books.
+ */
+function rangeId(value, prefix, width) {
+  const s = String(value || "")
+    .trim()
+    .toUpperCase();
+  if (!s) return "";
+  return /^\d+$/.test(s) ? prefix + s.padStart(width, "0") : s;
+}
+
+/** Helper: `{ $gte, $lte }` for ?from=&to=, or null without a range */
+function idRange(query, prefix, width) {
+  const from = rangeId(query.from, prefix, width);
+  const to = rangeId(query.to, prefix, width);
+  if (!from && !to) return null;
+  return { ...(from && { $gte: from }), ...(to && { $lte: to }) };
+}
+
+/** Helper: day in the label's text, e.g. "31 Dec 2026" */
+const day = (d) =>
+  new Date(d).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+  });
+
+/**
+ * Helper: draw `items` in the requested `?format=`: the whole run as one
+ * PDF, or the `?sheet=` (1-based) as SVG.
+ */
+async function sendSheets(req, res, items, { filename, defaultLayout }) {
+  // Only the listed names; "constructor" and the like are not layouts
+  const layout = Object.hasOwn(LAYOUTS, req.query.layout)
+    ? LAYOUTS[req.query.layout]
+    : LAYOUTS[defaultLayout];
+  const symbology = Object.hasOwn(SYMBOLOGIES, req.query.code)
+    ? req.query.code
+    : "code128";
+  const perSheet = layout.cols * layout.rows;
+  const skip = Math.min(
+    perSheet - 1,
+    Math.max(0, parseInt(req.query.skip, 10) || 0)
+  );
+  const options = {
+    layout,
+    symbology,
+    skip,
+    outline: ["1", "true"].includes(String(req.query.outline)),
+  };
+
+  if (req.query.format === "svg") {
+    const sheets = sheetCount(layout, items.length, skip);
+    const sheet = Math.max(1, parseInt(req.query.sheet, 10) || 1);
+    if (sheet > sheets) {
+      return back(res, `There are only ${sheets} sheets to print.`);
+    }
+    res.setHeader("Content-Type", "image/svg+xml; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `inline; filename="${filename}-${sheet}-of-${sheets}.svg"`
+    );
+    return res.send(renderSVG(items, { ...options, sheet: sheet - 1 }));
+  }
+
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `inline; filename="${filename}.pdf"`);
+  return renderPDF(res, items, options);
+}
+
+/** GET /labels — choose what to print and on which sheets */
+exports.renderLabels = (req, res) => {
+  res.render("labels/index", {
+    layouts: LAYOUTS,
+    symbologies: SYMBOLOGIES,
+    memberTypes: MEMBER_TYPES,
+    maxLabels: MAX_LABELS,
+    query: req.query,
+  });
+};
+
+/**
+ * GET /labels/books — spine labels: BookID as a code, the title, and
+ * the shelf and shelf number.  Takes ?from=&to= BookIDs and the catalog
+ * filters of /books.
+ */
+exports.bookLabels = async (req, res, next) => {
+  try {
+    const filter = bookFilter(req.query);
+    const range = idRange(req.query, "AIPSLIB", 6);
+    if (range) filter.BookID = range;
+
+    const books = await Book.find(filter)
+      .sort({ BookID: 1 })
+      .limit(MAX_LABELS + 1)
+      .select("BookID Title Shelf ShelfNo")
+      .lean();
+    if (books.length === 0) return back(res, "No books match.");
+    if (books.length > MAX_LABELS) {
+      return back(
+        res,
+        `More than ${MAX_LABELS} books match. Print them in smaller ranges.`
+      );
+    }
+
+    const items = books.map((b) => ({
+      code: b.BookID,
+      lines: [
+        b.Title,
+        [b.Shelf && `Shelf ${b.Shelf}`, b.ShelfNo && `No. ${b.ShelfNo}`]
+          .filter(Boolean)
+          .join(" · "),
+      ],
+    }));
+    await sendSheets(req, res, items, {
+      filename: "book-labels",
+      defaultLayout: "l7160",
+    });
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    next(err);
+  }
+};
+
+/**
+ * GET /labels/members — ID cards: memberID as a code, the member's name,
+ * type and membership end date.  Takes ?from=&to= memberIDs and the
+ * filters of /members/list.
+ */
+exports.memberCards = async (req, res, next) => {
+  try {
+    const filter = memberFilter(req.query);
+    const range = idRange(req.query, "AIPSMEM", 4);
+    if (range) filter.memberID = range;
+
+    const members = await User.find(filter)
+      .sort({ memberID: 1 })
+      .limit(MAX_LABELS + 1)
+      .select("memberID fullName memberType expiresAt")
+      .lean();
+    if (members.length === 0) return back(res, "No members match.");
+    if (members.length > MAX_LABELS) {
+      return back(
+        res,
+        `More than ${MAX_LABELS} members match. Print them in smaller ranges.`
+      );
+    }
+
+    const items = members.map((m) => ({
+      code: m.memberID,
+      lines: [
+        m.fullName,
+        m.memberType &&
+          `${m.memberType[0].toUpperCase()}${m.memberType.slice(1)} member`,
+        m.expiresAt && `Valid until ${day(m.expiresAt)}`,
+      ],
+    }));
+    await sendSheets(req, res, items, {
+      filename: "member-cards",
+      defaultLayout: "cards-a4",
+    });
+  } catch (err) {
+    if (res.headersSent) return res.destroy(err);
+    next(err);
+  }
+};
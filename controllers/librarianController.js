@@ -0,0 +1,155 @@
+// controllers/librarianController.js
+const Librarian = require("../models/Librarian");
+const Session = require("../models/Session");
+const { hashPassword } = require("../utils/password");
+const { revokeSessions } = require("../middleware/auth");
+const { ROLE_NAMES } = require("../config/permissions");
+
+// Minimum password length for librarian accounts
+const MIN_PASSWORD = 8;
+
+/** Helper: redirect back to the accounts page with a message */
+const back = (res, msg) =>
+  res.redirect("/admin/librarians?msg=" + encodeURIComponent(msg));
+
+/** GET /admin/librarians — list accounts with their live session counts */
+exports.listLibrarians = async (req, res, next) => {
+  try {
+    const [librarians, live] = await Promise.all([
+      Librarian.find({}).sort({ username: 1 }).lean(),
+      Session.aggregate([
+        { $match: { revokedAt: null, expiresAt: { $gt: new Date() } } },
+        { $group: { _id: "$librarian", count: { $sum: 1 } } },
+      ]),
+    ]);
+    const sessions = Object.fromEntries(
+      live.map((s) => [String(s._id), s.count])
+    );
+
+    res.render("admin/librarians", {
+      librarians,
+      sessions,
+      roles: ROLE_NAMES,
+      me: req.librarian,
+      query: req.query,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/librarians — create an account */
+exports.createLibrarian = async (req, res, next) => {
+  try {
+    const username = (req.body.username || "").trim().toLowerCase();
+    const fullName = (req.body.fullName || "").trim();
+    const password = String(req.body.password || "");
+    const role = ROLE_NAMES.includes(req.body.role)
+      ? req.body.role
+      : "librarian";
+
+    if (!/^[a-z0-9._-]{3,32}$/.test(username)) {
+      return back(
+        res,
+        "Username must be 3-32 letters, digits, dots, dashes or underscores."
+      );
+    }
+    if (!fullName) return back(res, "Full name is required.");
+    if (password.length < MIN_PASSWORD) {
+      return back(res, `Password must be at least ${MIN_PASSWORD} characters.`);
+    }
+
+    await Librarian.create({
+      username,
+      fullName,
+      passwordHash: await hashPassword(password),
+      role,
+    });
+    return back(res, `Librarian account created: ${username} (${role})`);
+  } catch (err) {
+    if (err?.code === 11000) return back(res, "That username is taken.");
+    next(err);
+  }
+};
+
+/** POST /admin/librarians/:id/password — set a new password */
+exports.setPassword = async (req, res, next) => {
+  try {
+    const librarian = await Librarian.findById(req.params.id).catch(() => null);
+    if (!librarian) return back(res, "Librarian not found.");
+
+    const password = String(req.body.password || "");
+    if (password.length < MIN_PASSWORD) {
+      return back(res, `Password must be at least ${MIN_PASSWORD} characters.`);
+    }
+
+    librarian.passwordHash = await hashPassword(password);
+    await librarian.save();
+
+    // A changed password signs the account out everywhere else
+    await Session.updateMany(
+      {
+        librarian: librarian._id,
+        revokedAt: null,
+        _id: { $ne: req.authSession._id },
+      },
+      { revokedAt: new Date() }
+    );
+    return back(res, `Password updated for ${librarian.username}.`);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/librarians/:id/role — change what an account may do */
+exports.setRole = async (req, res, next) => {
+  try {
+    const librarian = await Librarian.findById(req.params.id).catch(() => null);
+    if (!librarian) return back(res, "Librarian not found.");
+    if (!ROLE_NAMES.includes(req.body.role)) return back(res, "Invalid role.");
+    if (String(librarian._id) === String(req.librarian._id)) {
+      return back(res, "You cannot change your own role.");
+    }
+
+    librarian.role = req.body.role;
+    await librarian.save();
+    return back(res, `${librarian.username} is now ${librarian.role}.`);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/librarians/:id/active — activate or deactivate an account */
+exports.toggleActive = async (req, res, next) => {
+  try {
+    const librarian = await Librarian.findById(req.params.id).catch(() => null);
+    if (!librarian) return back(res, "Librarian not found.");
+    if (String(librarian._id) === String(req.librarian._id)) {
+      return back(res, "You cannot deactivate your own account.");
+    }
+
+    librarian.isActive = !librarian.isActive;
+    await librarian.save();
+    if (!librarian.isActive) await revokeSessions(librarian._id);
+
+    return back(
+      res,
+      `${librarian.username} ${librarian.isActive ? "activated" : "deactivated"}.`
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/librarians/:id/revoke — sign an account out of every device */
+exports.revokeAll = async (req, res, next) => {
+  try {
+    const librarian = await Librarian.findById(req.params.id).catch(() => null);
+    if (!librarian) return back(res, "Librarian not found.");
+
+    const count = await revokeSessions(librarian._id);
+    return back(res, `Revoked ${count} session(s) for ${librarian.username}.`);
+  } catch (err) {
+    next(err);
+  }
+};
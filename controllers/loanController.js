@@ -0,0 +1,145 @@
+// controllers/loanController.js
+const Loan = require("../models/Loan");
+const { findBookByParam, findMemberByParam } = require("../utils/lookup");
+const { calculateFine, memberAccount, payFines } = require("../utils/fines");
+const { renewLoan } = require("../utils/circulation");
+const { staffName } = require("../middleware/auth");
+const { getPolicy, CURRENCY } = require("../config/loanPolicy");
+const { audit } = require("../utils/audit");
+
+/**
+ * Attach the fine each loan currently carries: the fixed fine for returned
+ * loans, or what an open loan would be charged if it came back today.
+ */
+function withFines(loans, memberTypeOf) {
+  const now = new Date();
+  return loans.map((l) => ({
+    ...l,
+    currentFine:
+      l.status === "returned"
+        ? l.fine || 0
+        : calculateFine(l, memberTypeOf(l), now).amount,
+  }));
+}
+
+/** GET /loans/book/:id — every loan of one book, newest first */
+exports.bookHistory = async (req, res, next) => {
+  try {
+    const book = await findBookByParam(req.params.id);
+    if (!book) return res.status(404).render("404");
+
+    const loans = await Loan.find({ book: book._id })
+      .sort({ issueDate: -1 })
+      .populate("member", "memberID fullName memberType")
+      .populate("copy", "barcode")
+      .lean();
+
+    res.render("loans/history", {
+      heading: book.title || book.bookID,
+      subtitle: `Loan history of ${book.bookID}`,
+      column: "member",
+      exportId: String(book._id),
+      archivedAt: book.archivedAt,
+      loans: withFines(loans, (l) => l.member && l.member.memberType),
+      currency: CURRENCY,
+      query: req.query,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** GET /loans/member/:id — every loan of one member, newest first, with fines */
+exports.memberHistory = async (req, res, next) => {
+  try {
+    const member = await findMemberByParam(req.params.id);
+    if (!member) return res.status(404).render("404");
+
+    const [loans, account] = await Promise.all([
+      Loan.find({ member: member._id })
+        .sort({ issueDate: -1 })
+        .populate("book", "BookID Title Author")
+        .populate("copy", "barcode")
+        .lean(),
+      memberAccount(member),
+    ]);
+
+    res.render("loans/history", {
+      heading: member.fullName,
+      subtitle: `Loan history of ${member.memberID}`,
+      column: "book",
+      exportId: String(member._id),
+      archivedAt: member.archivedAt,
+      loans: withFines(loans, () => member.memberType),
+      member,
+      account,
+      policy: getPolicy(member.memberType),
+      currency: CURRENCY,
+      query: req.query,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /loans/member/:id/pay — record a fine payment */
+exports.payMemberFines = async (req, res, next) => {
+  try {
+    const member = await findMemberByParam(req.params.id);
+    if (!member) return res.status(404).render("404");
+
+    const back = `/loans/member/${member._id}`;
+    const amount = Number(req.body.amount);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      return res.redirect(
+        back + "?msg=" + encodeURIComponent("Enter a valid amount.")
+      );
+    }
+
+    const applied = await payFines(member, amount);
+    if (applied) {
+      await audit(req, "fine.payment", {
+        type: "User",
+        before: member,
+        after: member,
+        note: `Payment of ${CURRENCY} ${applied}`,
+      });
+    }
+    const msg = applied
+      ? `Payment of ${CURRENCY} ${applied} recorded.`
+      : "Nothing to pay: no fines are outstanding on returned loans.";
+    return res.redirect(back + "?msg=" + encodeURIComponent(msg));
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /loans/:id/renew — renew a loan at the circulation desk */
+exports.renewLoan = async (req, res, next) => {
+  try {
+    const loan = await Loan.findById(req.params.id)
+      .populate("member")
+      .catch(() => null);
+    if (!loan || !loan.member) return res.status(404).render("404");
+
+    const before = loan.toObject();
+    const result = await renewLoan(loan, loan.member, {
+      renewedBy: staffName(req),
+    });
+    if (result.ok) {
+      await audit(req, "loan.renew", {
+        type: "Loan",
+        before,
+        after: result.loan,
+      });
+    }
+    const msg = result.ok
+      ? `Renewed. New due date: ${result.loan.dueDate.toDateString()}.`
+      : result.msg;
+    return res.redirect(
+      `/loans/member/${loan.member._id}?msg=` + encodeURIComponent(msg)
+    );
+  } catch (err) {
+    next(err);
+  }
+};
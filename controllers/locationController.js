@@ -0,0 +1,118 @@
+// controllers/locationController.js
+const Book = require("../models/Book");
+const Location = require("../models/Location");
+const {
+  listLocations,
+  shelfUsage,
+  saveLocation,
+  deleteLocation,
+  moveBooks,
+} = require("../utils/locations");
+
+/** Helper: redirect back to the shelves page with a message */
+const back = (res, msg) =>
+  res.redirect("/shelves?msg=" + encodeURIComponent(msg));
+
+/**
+ * Helper: the shelves grouped by room and rack, each with the books on
+ * it (see shelfUsage), for the list and the map.  Also returns how many
+ * books are on shelves that are not listed.
+ */
+async function shelfPlan() {
+  const [locations, usage] = await Promise.all([listLocations(), shelfUsage()]);
+  const empty = { titles: 0, copies: 0, categories: [] };
+
+  const rooms = [];
+  for (const l of locations) {
+    let room = rooms[rooms.length - 1];
+    if (!room || room.name !== l.room) {
+      room = { name: l.room, racks: [] };
+      rooms.push(room);
+    }
+    let rack = room.racks[room.racks.length - 1];
+    if (!rack || rack.name !== l.rack) {
+      rack = { name: l.rack, shelves: [] };
+      room.racks.push(rack);
+    }
+    rack.shelves.push({ ...l, usage: usage.get(l.key) || empty });
+    usage.delete(l.key);
+  }
+
+  // What is left in `usage` is on no listed shelf (or on none at all)
+  let unlisted = 0;
+  for (const u of usage.values()) unlisted += u.titles;
+  return { rooms, locations, unlisted };
+}
+
+/** GET /shelves — the shelves, their use, and forms to change them */
+exports.listLocations = async (req, res, next) => {
+  try {
+    const [{ rooms, locations, unlisted }, categories] = await Promise.all([
+      shelfPlan(),
+      Book.distinct("Category", { archivedAt: null }),
+    ]);
+    res.render("shelves/index", {
+      rooms,
+      locations,
+      unlisted,
+      categories: categories.filter(Boolean).sort(),
+      query: req.query,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** GET /shelves/map — printable map of which categories live where */
+exports.shelfMap = async (req, res, next) => {
+  try {
+    const { rooms } = await shelfPlan();
+    res.render("shelves/map", { rooms, printedAt: new Date() });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /shelves — add a shelf */
+exports.createLocation = async (req, res, next) => {
+  try {
+    const result = await saveLocation(null, req.body, { req });
+    return back(res, result.msg);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /shelves/:id — change a shelf (its books follow a rename) */
+exports.updateLocation = async (req, res, next) => {
+  try {
+    const location = await Location.findById(req.params.id).catch(() => null);
+    if (!location) return back(res, "Shelf not found.");
+    const result = await saveLocation(location, req.body, { req });
+    return back(res, result.msg);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /shelves/:id/delete — remove an empty shelf */
+exports.deleteLocation = async (req, res, next) => {
+  try {
+    const location = await Location.findById(req.params.id).catch(() => null);
+    if (!location) return back(res, "Shelf not found.");
+    const result = await deleteLocation(location, { req });
+    return back(res, result.msg);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /shelves/move — move books from one shelf (or a list) to another */
+exports.moveBooks = async (req, res, next) => {
+  try {
+    const result = await moveBooks(req.body, { req });
+    return back(res, result.msg);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,178 @@
+// controllers/reminderController.js
+const Notice = require("../models/Notice");
+const MailTemplate = require("../models/MailTemplate");
+const { audit } = require("../utils/audit");
+const { isEmail } = require("../utils/validators");
+const { mailEnabled, sendMail } = require("../utils/mailer");
+const {
+  fill,
+  loadTemplates,
+  runReminders,
+  schedulerStatus,
+} = require("../utils/reminders");
+const {
+  KINDS,
+  KIND_NAMES,
+  LIBRARY_NAME,
+  MAIL_FROM,
+  OVERDUE_REPEAT_DAYS,
+  REMINDER_DAYS_BEFORE,
+  SMTP,
+} = require("../config/reminders");
+
+// Notices shown on the reminders page
+const RECENT = 100;
+
+/** Helper: redirect back to the reminders page with a message */
+const back = (res, msg) =>
+  res.redirect("/admin/reminders?msg=" + encodeURIComponent(msg));
+
+/**
+ * GET /admin/reminders — scheduler state, the email templates and the
+ * most recent notices (?status= and ?kind= narrow them down)
+ */
+exports.listReminders = async (req, res, next) => {
+  try {
+    const filter = {};
+    if (["pending", "sent", "failed"].includes(req.query.status)) {
+      filter.status = req.query.status;
+    }
+    if (KIND_NAMES.includes(req.query.kind)) filter.kind = req.query.kind;
+
+    const [templates, notices] = await Promise.all([
+      loadTemplates(),
+      Notice.find(filter)
+        .sort({ createdAt: -1 })
+        .limit(RECENT)
+        .populate("member", "memberID fullName")
+        .populate("book", "BookID Title")
+        .lean(),
+    ]);
+
+    res.render("admin/reminders", {
+      templates,
+      kinds: KINDS,
+      notices,
+      status: schedulerStatus(),
+      settings: {
+        smtp: SMTP.host ? `${SMTP.host}:${SMTP.port}` : "",
+        from: MAIL_FROM,
+        daysBefore: REMINDER_DAYS_BEFORE,
+        overdueRepeat: OVERDUE_REPEAT_DAYS,
+      },
+      query: req.query,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/reminders/run — send the reminders that are due now */
+exports.runNow = async (req, res, next) => {
+  try {
+    if (!mailEnabled()) {
+      return back(res, "No SMTP server is configured (set SMTP_HOST).");
+    }
+    const run = await runReminders();
+    if (run.error) return back(res, `Reminders failed: ${run.error}`);
+    return back(
+      res,
+      `${run.sent} email(s) sent, ${run.failed} failed, ` +
+        `${run.skipped} reminder(s) skipped for members without an email.`
+    );
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/reminders/test — send a sample of each template to `to` */
+exports.sendTest = async (req, res, next) => {
+  try {
+    const to = (req.body.to || "").trim();
+    if (!isEmail(to)) return back(res, "Enter a valid email address.");
+    if (!mailEnabled()) {
+      return back(res, "No SMTP server is configured (set SMTP_HOST).");
+    }
+
+    const templates = await loadTemplates();
+    const vars = {
+      name: req.librarian.fullName,
+      memberID: "AIPSMEM0000",
+      library: LIBRARY_NAME,
+    };
+    const sample = {
+      title: "Sample Book",
+      bookID: "AIPSLIB000000",
+      dueDate: new Date().toDateString(),
+      daysOverdue: 3,
+      pickupBy: new Date().toDateString(),
+    };
+    try {
+      for (const kind of KIND_NAMES) {
+        const t = templates[kind];
+        await sendMail({
+          to,
+          subject: `[Test] ${fill(t.subject, vars)}`,
+          text: fill(t.body, {
+            ...vars,
+            items: fill(t.item, { ...vars, ...sample }),
+          }),
+        });
+      }
+    } catch (err) {
+      return back(res, `Could not send: ${err.message}`);
+    }
+    return back(res, `${KIND_NAMES.length} test email(s) sent to ${to}.`);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/reminders/templates/:kind — save an edited template */
+exports.saveTemplate = async (req, res, next) => {
+  try {
+    const kind = req.params.kind;
+    if (!KIND_NAMES.includes(kind)) return res.status(404).render("404");
+    const subject = (req.body.subject || "").trim();
+    const body = String(req.body.body || "").replace(/\r\n/g, "\n");
+    const item = (req.body.item || "").trim();
+    if (!subject || !body.trim() || !item) {
+      return back(res, "Subject, message and book line are all required.");
+    }
+
+    const before = await MailTemplate.findOne({ kind }).lean();
+    const saved = await MailTemplate.findOneAndUpdate(
+      { kind },
+      { subject, body, item, updatedBy: req.librarian.username },
+      { upsert: true, new: true, runValidators: true }
+    );
+    await audit(req, "reminder.template", {
+      type: "MailTemplate",
+      before: before || { kind, ...KINDS[kind] },
+      after: saved,
+    });
+    return back(res, `${KINDS[kind].label} template saved.`);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/reminders/templates/:kind/reset — back to the default */
+exports.resetTemplate = async (req, res, next) => {
+  try {
+    const kind = req.params.kind;
+    if (!KIND_NAMES.includes(kind)) return res.status(404).render("404");
+    const removed = await MailTemplate.findOneAndDelete({ kind });
+    if (removed) {
+      await audit(req, "reminder.template", {
+        type: "MailTemplate",
+        before: removed,
+        after: { kind, ...KINDS[kind] },
+        note: "Reset to the default",
+      });
+    }
+    return back(res, `${KINDS[kind].label} template reset to the default.`);
+  } catch (err) {
+    next(err);
+  }
+};
@@ -0,0 +1,141 @@
+// controllers/stocktakeController.js
+const Book = require("../models/Book");
+const Stocktake = require("../models/Stocktake");
+const {
+  startStocktake,
+  addScans,
+  removeScan,
+  buildReport,
+  closeStocktake,
+  markLost,
+  markFound,
+  moveBook,
+} = require("../utils/stocktake");
+const { listLocations } = require("../utils/locations");
+
+/** Helper: redirect to a page under /stocktake with a message */
+const back = (res, path, msg) =>
+  res.redirect(`/stocktake${path}?msg=` + encodeURIComponent(msg));
+
+/** Helper: the count named in the URL, or null */
+const findSession = (id) => Stocktake.findById(id).catch(() => null);
+
+/** GET /stocktake — counts in progress and past ones; start a new one */
+exports.listStocktakes = async (req, res, next) => {
+  try {
+    const [sessions, locations] = await Promise.all([
+      Stocktake.find()
+        .select("-report")
+        .sort({ status: -1, createdAt: -1 })
+        .limit(50)
+        .lean(),
+      listLocations(),
+    ]);
+
+    // A whole rack can be counted, or one of its shelves
+    const racks = [];
+    for (const l of locations) {
+      const last = racks[racks.length - 1];
+      if (last && last.name === l.rack) last.shelfNos.push(l.shelfNo);
+      else racks.push({ name: l.rack, room: l.room, shelfNos: [l.shelfNo] });
+    }
+
+    res.render("stocktake/index", { sessions, racks, query: req.query });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /stocktake — start counting a shelf */
+exports.startStocktake = async (req, res, next) => {
+  try {
+    // The picker sends "rack|shelfNo", with no shelfNo for a whole rack
+    const [shelf, shelfNo] = String(req.body.place || "").split("|");
+    const result = await startStocktake({ shelf, shelfNo }, { req });
+    if (!result.ok) return back(res, "", result.msg);
+    return back(res, `/${result.session._id}`, result.msg);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** GET /stocktake/:id — scanning, the report, and acting on it */
+exports.showStocktake = async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.id);
+    if (!session) return back(res, "", "Stock-take not found.");
+
+    const report =
+      session.status === "open" ? await buildReport(session) : session.report;
+
+    // The latest scans first, with the titles they resolved to
+    const recent = session.scans.slice(-25).reverse();
+    const titles = await Book.find({
+      _id: { $in: recent.filter((s) => s.book).map((s) => s.book) },
+    })
+      .select("BookID Title")
+      .lean();
+    const bookOf = new Map(titles.map((b) => [String(b._id), b]));
+
+    // What has been done already, so the report can show it
+    const done = new Set(
+      session.actions.map((a) => `${a.action}:${a.copy || a.book}`)
+    );
+
+    res.render("stocktake/session", {
+      session,
+      report,
+      recent: recent.map((s) => ({
+        ...s.toObject(),
+        title: s.book && bookOf.get(String(s.book)),
+      })),
+      done,
+      query: req.query,
+    });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/**
+ * Wrap a count action: load the count named in the URL, run `fn` and
+ * redirect back to its page with the outcome.
+ */
+const onSession = (fn) => async (req, res, next) => {
+  try {
+    const session = await findSession(req.params.id);
+    if (!session) return back(res, "", "Stock-take not found.");
+    const result = await fn(session, req);
+    return back(res, `/${session._id}`, result.msg);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /stocktake/:id/scan — record scanned or typed codes */
+exports.scan = onSession((session, req) =>
+  addScans(session, req.body.codes, { req })
+);
+
+/** POST /stocktake/:id/scans/:scanId/delete — take back a scan */
+exports.removeScan = onSession((session, req) =>
+  removeScan(session, req.params.scanId)
+);
+
+/** POST /stocktake/:id/close — finish the count and keep its report */
+exports.close = onSession((session, req) => closeStocktake(session, { req }));
+
+/** POST /stocktake/:id/lost — mark a copy that was not found as lost */
+exports.markLost = onSession((session, req) =>
+  markLost(session, req.body.copyId, { req })
+);
+
+/** POST /stocktake/:id/found — a copy recorded as lost turned up */
+exports.markFound = onSession((session, req) =>
+  markFound(session, req.body.copyId, { req })
+);
+
+/** POST /stocktake/:id/move — catalog a misplaced book on this shelf */
+exports.moveBook = onSession((session, req) =>
+  moveBook(session, req.body.bookId, { req })
+);
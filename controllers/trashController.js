@@ -0,0 +1,52 @@
+// controllers/trashController.js
+const Book = require("../models/Book");
+const User = require("../models/User");
+const { findBookByParam, findMemberByParam } = require("../utils/lookup");
+const { restoreRecord, purgeRecord } = require("../utils/archive");
+
+// The two kinds of record that can be in the trash, by URL segment
+const KINDS = {
+  books: { type: "Book", find: findBookByParam },
+  members: { type: "User", find: findMemberByParam },
+};
+
+/** Helper: redirect back to the trash with a message */
+const back = (res, msg) =>
+  res.redirect("/admin/trash?msg=" + encodeURIComponent(msg));
+
+/** GET /admin/trash — deleted books and members, most recent first */
+exports.listTrash = async (req, res, next) => {
+  try {
+    const trashed = { archivedAt: { $ne: null } };
+    const [books, members] = await Promise.all([
+      Book.find(trashed).sort({ archivedAt: -1 }).lean(),
+      User.find(trashed).sort({ archivedAt: -1 }).lean(),
+    ]);
+    res.render("admin/trash", { books, members, query: req.query });
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** Helper: run `action` on the book or member named by the URL */
+const act = (action) => async (req, res, next) => {
+  try {
+    if (!Object.hasOwn(KINDS, req.params.kind)) {
+      return res.status(404).render("404");
+    }
+    const kind = KINDS[req.params.kind];
+    const doc = await kind.find(req.params.id);
+    if (!doc) return back(res, "Not found.");
+
+    const result = await action(kind.type, doc, { req });
+    return back(res, result.msg);
+  } catch (err) {
+    next(err);
+  }
+};
+
+/** POST /admin/trash/:kind/:id/restore — put a book or member back */
+exports.restore = act(restoreRecord);
+
+/** POST /admin/trash/:kind/:id/purge — delete a book or member for good */
+exports.purge = act(purgeRecord);
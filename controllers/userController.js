@@ -1,10 +1,61 @@
 // controllers/userController.js
 const User = require("../models/User");
 const { generateMemberID } = require("../utils/idGen");
+const { findMemberByParam } = require("../utils/lookup");
+const { hashPassword } = require("../utils/password");
+const {
+  MEMBER_TYPES,
+  GENDERS,
+  MEMBER_STATUSES,
+  memberFilter,
+} = require("../utils/filters");
+const { isPhone, isEmail } = require("../utils/validators");
+const { audit } = require("../utils/audit");
+const { archiveRecord } = require("../utils/archive");
+const { memberAccount } = require("../utils/fines");
+const {
+  membershipEnd,
+  renewMembership,
+  mergeMembers,
+} = require("../utils/members");
+const { getPolicy, CURRENCY } = require("../config/loanPolicy");
 
-const isPhone = (s) => /^(\+?\d[\d\s-]{6,})$/.test(s || "");
-const isEmail = (s) =>
-  /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test((s || "").toLowerCase());
+// Members per page of the member list
+const PER_PAGE = 25;
+
+/**
+ * Helper: read and validate the member fields of a form.  `expiresAt` is
+ * read only when the form has the field; empty means "never expires".
+ *
+ * @returns {{data?: object, msg?: string}} `msg` explains the first problem
+ */
+function readMember(body) {
+  const { fullName, phone, email, memberType, gender } = body;
+
+  if (!fullName?.trim()) return { msg: "Name is required" };
+  if (phone && !isPhone(phone)) return { msg: "Invalid phone number" };
+  if (email && !isEmail(email)) return { msg: "Invalid email" };
+  if (!MEMBER_TYPES.includes(memberType)) return { msg: "Invalid member type" };
+  if (!GENDERS.includes(gender)) return { msg: "Invalid gender" };
+
+  const data = {
+    fullName: fullName.trim(),
+    phone: phone?.trim(),
+    email: email?.trim().toLowerCase(),
+    memberType,
+    gender,
+  };
+  if (body.expiresAt !== undefined) {
+    const d = body.expiresAt ? new Date(`${body.expiresAt}T23:59:59`) : null;
+    if (d && Number.isNaN(d.getTime())) return { msg: "Invalid expiry date" };
+    data.expiresAt = d;
+  }
+  return { data };
+}
+
+/** Helper: redirect to a member's profile with a message */
+const toProfile = (res, member, msg) =>
+  res.redirect(`/members/${member._id}?msg=` + encodeURIComponent(msg));
 
 exports.renderAddForm = async (req, res) => {
   res.render("members/addMember", { msg: req.query.msg || "" });
@@ -12,47 +63,20 @@ exports.renderAddForm = async (req, res) => {
 
 exports.createMember = async (req, res, next) => {
   try {
-    const { fullName, phone, email, memberType, gender } = req.body;
-
-    // Basic validations
-    if (!fullName?.trim()) {
-      return res.redirect(
-        "/members/add?msg=" + encodeURIComponent("Name is required")
-      );
-    }
-    if (phone && !isPhone(phone)) {
-      return res.redirect(
-        "/members/add?msg=" + encodeURIComponent("Invalid phone number")
-      );
-    }
-    if (email && !isEmail(email)) {
-      return res.redirect(
-        "/members/add?msg=" + encodeURIComponent("Invalid email")
-      );
-    }
-    const allowedTypes = ["student", "teacher", "staff", "foreigner"];
-    const allowedGender = ["male", "female", "other"];
-    if (!allowedTypes.includes(memberType)) {
-      return res.redirect(
-        "/members/add?msg=" + encodeURIComponent("Invalid member type")
-      );
-    }
-    if (!allowedGender.includes(gender)) {
-      return res.redirect(
-        "/members/add?msg=" + encodeURIComponent("Invalid gender")
-      );
+    // New memberships run for one period (MEMBERSHIP_MONTHS)
+    const { data, msg } = readMember({ ...req.body, expiresAt: undefined });
+    if (msg) {
+      return res.redirect("/members/add?msg=" + encodeURIComponent(msg));
     }
 
     const memberID = await generateMemberID();
 
     const doc = await User.create({
+      ...data,
       memberID,
-      fullName: fullName.trim(),
-      phone: phone?.trim(),
-      email: email?.trim().toLowerCase(),
-      memberType,
-      gender,
+      expiresAt: membershipEnd(),
     });
+    await audit(req, "member.create", { type: "User", after: doc });
 
     return res.redirect(
       "/members/add?msg=" +
@@ -71,24 +95,9 @@ exports.createMember = async (req, res, next) => {
 // For populating dropdowns/search
 exports.listUsers = async (req, res, next) => {
   try {
-    const q = (req.query.q || "").trim();
-    const type = (req.query.type || "").trim().toLowerCase();
-    const gender = (req.query.gender || "").trim().toLowerCase();
-
-    const filter = {};
-    if (q) {
-      filter.$or = [
-        { fullName: new RegExp(q, "i") },
-        { memberID: new RegExp(q, "i") },
-        { email: new RegExp(q, "i") },
-        { phone: new RegExp(q, "i") },
-      ];
-    }
-    if (["student", "teacher", "staff", "foreigner"].includes(type))
-      filter.memberType = type;
-    if (["male", "female", "other"].includes(gender)) filter.gender = gender;
-
-    const users = await User.find(filter).sort({ fullName: 1 }).limit(200);
+    const users = await User.find(memberFilter(req.query))
+      .sort({ fullName: 1 })
+      .limit(200);
     res.json(users);
   } catch (e) {
     next(e);
@@ -96,11 +105,188 @@ exports.listUsers = async (req, res, next) => {
 };
 
 
-/** Render HTML list of registered members */
+/**
+ * Render HTML list of registered members, newest first and a page at a
+ * time (same filters as listUsers)
+ */
 exports.renderList = async (req, res, next) => {
   try {
-    const users = await User.find({}).sort({ createdAt: -1 });
-    res.render("members/list", { users });
+    const filter = memberFilter(req.query);
+    const total = await User.countDocuments(filter);
+    const totalPages = Math.max(1, Math.ceil(total / PER_PAGE));
+    const page = Math.min(
+      Math.max(parseInt(req.query.page, 10) || 1, 1),
+      totalPages
+    );
+
+    const users = total
+      ? await User.find(filter)
+          .sort({ createdAt: -1, _id: -1 })
+          .skip((page - 1) * PER_PAGE)
+          .limit(PER_PAGE)
+          .lean()
+      : [];
+    res.render("members/list", {
+      users,
+      total,
+      page,
+      totalPages,
+      offset: (page - 1) * PER_PAGE,
+      query: req.query,
+      memberTypes: MEMBER_TYPES,
+      genders: GENDERS,
+      statuses: MEMBER_STATUSES,
+    });
+  } catch (e) {
+    next(e);
+  }
+};
+
+/** GET /members/:id — profile: details, membership and account summary */
+exports.showMember = async (req, res, next) => {
+  try {
+    const member = await findMemberByParam(req.params.id);
+    if (!member) return res.status(404).render("404");
+
+    const [account, mergedInto] = await Promise.all([
+      memberAccount(member),
+      member.mergedInto
+        ? User.findById(member.mergedInto).select("memberID fullName").lean()
+        : null,
+    ]);
+    res.render("members/profile", {
+      member,
+      account,
+      mergedInto,
+      policy: getPolicy(member.memberType),
+      currency: CURRENCY,
+      memberTypes: MEMBER_TYPES,
+      genders: GENDERS,
+      query: req.query,
+    });
+  } catch (e) {
+    next(e);
+  }
+};
+
+/** POST /members/:id — edit a member's details and membership end date */
+exports.updateMember = async (req, res, next) => {
+  try {
+    const member = await findMemberByParam(req.params.id);
+    if (!member || member.archivedAt) return res.status(404).render("404");
+
+    const { data, msg } = readMember(req.body);
+    if (msg) return toProfile(res, member, msg);
+
+    const before = member.toObject();
+    member.set(data);
+    await member.save();
+    await audit(req, "member.update", { type: "User", before, after: member });
+    return toProfile(res, member, "Member updated.");
+  } catch (e) {
+    next(e);
+  }
+};
+
+/** POST /members/:id/active — activate or deactivate a member */
+exports.setActive = async (req, res, next) => {
+  try {
+    const member = await findMemberByParam(req.params.id);
+    if (!member || member.archivedAt) return res.status(404).render("404");
+
+    const before = member.toObject();
+    member.isActive = req.body.active === "1";
+    await member.save();
+    const action = member.isActive ? "member.activate" : "member.deactivate";
+    await audit(req, action, { type: "User", before, after: member });
+    return toProfile(
+      res,
+      member,
+      member.isActive
+        ? `${member.fullName} can borrow again.`
+        : `${member.fullName} is deactivated and cannot borrow or sign in.`
+    );
+  } catch (e) {
+    next(e);
+  }
+};
+
+/** POST /members/:id/renew — extend the membership by one period */
+exports.renewMember = async (req, res, next) => {
+  try {
+    const member = await findMemberByParam(req.params.id);
+    if (!member || member.archivedAt) return res.status(404).render("404");
+
+    await renewMembership(member, { req });
+    return toProfile(
+      res,
+      member,
+      `Membership renewed until ${member.expiresAt.toDateString()}.`
+    );
+  } catch (e) {
+    next(e);
+  }
+};
+
+/**
+ * POST /members/:id/merge — merge the duplicate record named in
+ * `duplicate` (memberID or _id) into this member
+ */
+exports.mergeMember = async (req, res, next) => {
+  try {
+    const member = await findMemberByParam(req.params.id);
+    if (!member) return res.status(404).render("404");
+
+    const duplicate = await findMemberByParam(req.body.duplicate);
+    if (!duplicate) {
+      return toProfile(res, member, "Duplicate member not found.");
+    }
+
+    const result = await mergeMembers(member, duplicate, { req });
+    return toProfile(res, member, result.msg);
+  } catch (e) {
+    next(e);
+  }
+};
+
+/** POST /members/:id/pin — set the PIN a member uses for the portal */
+exports.setPin = async (req, res, next) => {
+  try {
+    const member = await findMemberByParam(req.params.id);
+    if (!member) return res.status(404).render("404");
+
+    const back = `/loans/member/${member._id}?msg=`;
+    const pin = String(req.body.pin || "").trim();
+    if (!/^\d{4,8}$/.test(pin)) {
+      return res.redirect(back + encodeURIComponent("PIN must be 4-8 digits"));
+    }
+
+    member.pinHash = await hashPassword(pin);
+    member.pinFailures = 0;
+    member.pinLockedUntil = undefined;
+    await member.save();
+    await audit(req, "member.pin", {
+      type: "User",
+      before: member,
+      after: member,
+      note: "Portal PIN set",
+    });
+    return res.redirect(
+      back + encodeURIComponent(`Portal PIN set for ${member.memberID}`)
+    );
+  } catch (e) {
+    next(e);
+  }
+};
+
+/** POST /members/:id/delete — move a member to the trash */
+exports.deleteMember = async (req, res, next) => {
+  try {
+    const member = await findMemberByParam(req.params.id);
+    if (!member) return res.status(404).render("404");
+
+    const result = await archiveRecord("User", member, { req });
+    return res.redirect("/members/list?msg=" + encodeURIComponent(result.msg));
   } catch (e) {
     next(e);
   }
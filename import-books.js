@@ -0,0 +1,76 @@
+// import-books.js
+// Import books from a CSV, XLSX or MARC21 (.mrc, MARCXML .xml) file into
+// the catalog.
+//
+//   node import-books.js books.xlsx            # dry run: show what would change
+//   node import-books.js books.xlsx --commit   # apply the import
+//
+// Uses the same column mapping and checks as the admin import page
+// (/admin/import); see utils/bookImport.js.
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+const connectDB = require("./config/db");
+const {
+  readImportFile,
+  planImport,
+  applyImport,
+} = require("./utils/bookImport");
+
+async function main() {
+  const args = process.argv.slice(2);
+  const file = args.find((a) => !a.startsWith("--"));
+  const commit = args.includes("--commit");
+  if (!file) {
+    console.error(
+      "Usage: node import-books.js <file.csv|.xlsx|.mrc|.xml> [--commit]"
+    );
+    process.exit(1);
+  }
+
+  const { rows } = await readImportFile(
+    fs.readFileSync(file),
+    path.basename(file)
+  );
+  if (!rows.length) {
+    console.error("❌ The file has no rows below its header, or no records.");
+    process.exit(1);
+  }
+
+  await connectDB({ seed: false });
+  const plan = await planImport(rows);
+
+  for (const row of plan.rows) {
+    const title = row.data.Title || "";
+    console.log(
+      `line ${row.line}\t${row.action}\t${row.bookID || "(new ID)"}\t${title}`
+    );
+    for (const c of row.changes) {
+      console.log(`\t\t${c.field}: ${c.from ?? "-"} → ${c.to}`);
+    }
+    for (const m of row.messages) console.log(`\t\t${m}`);
+  }
+  if (plan.ignored.length) {
+    console.log(`Ignored columns: ${plan.ignored.join(", ")}`);
+  }
+  const { counts } = plan;
+  console.log(
+    `\n${counts.create} to create, ${counts.update} to update, ${counts.unchanged} unchanged, ${counts.skip} skipped, ${counts.error} with errors`
+  );
+
+  if (!commit) {
+    console.log("Dry run only. Re-run with --commit to apply.");
+  } else {
+    const result = await applyImport(plan);
+    console.log(`✅ ${result.created} created, ${result.updated} updated`);
+    for (const f of result.failed) {
+      console.log(`❌ line ${f.line}: ${f.msg}`);
+    }
+  }
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("❌ Import failed:", err);
+  process.exit(1);
+});
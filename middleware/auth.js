@@ -0,0 +1,227 @@
+// middleware/auth.js
+const crypto = require("crypto");
+// The `cookie` module parses raw cookie headers into an object we can read
+const cookie = require("cookie");
+const Session = require("../models/Session");
+const { roleAllows } = require("../config/permissions");
+const { ApiError } = require("../utils/api");
+
+// Librarians and members sign in separately, each with their own cookie,
+// so a librarian can check the member portal without losing their session.
+const SESSION_COOKIE = "sid";
+const MEMBER_COOKIE = "msid";
+// Sessions last 24 hours unless SESSION_TTL_HOURS (a whole number of at
+// least 1) says otherwise
+const ttlHours = Number.parseInt(process.env.SESSION_TTL_HOURS, 10);
+const SESSION_TTL_MS = (ttlHours >= 1 ? ttlHours : 24) * 60 * 60 * 1000;
+
+/** Helper: sessions are stored by the SHA-256 of their cookie token */
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(String(token)).digest("hex");
+
+/**
+ * Options for the session cookie.  HTTP-only so client-side scripts cannot
+ * read it, SameSite=Lax so it is sent on top-level navigations back to this
+ * site, and only sent over HTTPS in production so local HTTP still works.
+ */
+function cookieOptions(maxAge) {
+  return {
+    httpOnly: true,
+    sameSite: "lax",
+    maxAge,
+    path: "/",
+    secure: process.env.NODE_ENV === "production",
+  };
+}
+
+/**
+ * Store a new session server-side and hand the browser a random token
+ * that identifies it.  `owner` is `{ librarian }` or `{ member }`.  The
+ * token is also returned for API clients, which send it back in an
+ * `Authorization: Bearer` header instead of the cookie.
+ */
+async function createSession(req, res, cookieName, owner) {
+  const token = crypto.randomBytes(32).toString("hex");
+  await Session.create({
+    tokenHash: hashToken(token),
+    ...owner,
+    expiresAt: new Date(Date.now() + SESSION_TTL_MS),
+    lastSeenAt: new Date(),
+    ip: req.ip,
+    userAgent: req.get("user-agent"),
+  });
+  res.cookie(cookieName, token, cookieOptions(SESSION_TTL_MS));
+  return token;
+}
+
+/** Revoke `session` (if any) and clear its cookie */
+async function destroySession(res, cookieName, session) {
+  if (session) {
+    await Session.updateOne({ _id: session._id }, { revokedAt: new Date() });
+  }
+  res.cookie(cookieName, "", cookieOptions(0));
+}
+
+/**
+ * Resolve a session cookie (or, for librarians, a bearer token) to a live
+ * session with `path` ("librarian" or "member") populated.  Returns null
+ * for missing, expired or revoked tokens and for accounts that have been
+ * deactivated (or, for members, moved to the trash).
+ */
+async function findSession(req, cookieName, path) {
+  let token = cookie.parse(req.headers.cookie || "")[cookieName];
+  if (!token && path === "librarian") {
+    const bearer = /^Bearer\s+(\S+)$/i.exec(req.get("authorization") || "");
+    token = bearer && bearer[1];
+  }
+  if (!token) return null;
+
+  const session = await Session.findOne({
+    tokenHash: hashToken(token),
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).populate(path);
+  const account = session && session[path];
+  if (!account || !account.isActive || account.archivedAt) return null;
+
+  // Record activity, but at most once a minute per session
+  if (Date.now() - (session.lastSeenAt || 0) > 60 * 1000) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+  }
+  return session;
+}
+
+/** Start a session for `librarian` and return its token */
+async function startSession(req, res, librarian) {
+  return createSession(req, res, SESSION_COOKIE, { librarian: librarian._id });
+}
+
+/** Revoke the current librarian session (if any) and clear its cookie */
+async function endSession(req, res) {
+  await destroySession(res, SESSION_COOKIE, req.authSession);
+}
+
+/** Start a member portal session for `member` */
+async function startMemberSession(req, res, member) {
+  await createSession(req, res, MEMBER_COOKIE, { member: member._id });
+}
+
+/** Revoke the current member session (if any) and clear its cookie */
+async function endMemberSession(req, res) {
+  await destroySession(res, MEMBER_COOKIE, req.memberSession);
+}
+
+/** Revoke every live session of a librarian (sign out all devices) */
+async function revokeSessions(librarianId) {
+  const result = await Session.updateMany(
+    { librarian: librarianId, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * App-level middleware: resolve the session cookies and expose the
+ * signed-in librarian as `req.librarian` and the signed-in member as
+ * `req.member` (both also on `res.locals` for views, along with a
+ * `can(permission)` helper).  Expired, revoked or unknown tokens, and
+ * sessions of deactivated accounts, leave them null.
+ */
+async function loadSession(req, res, next) {
+  try {
+    req.authSession = await findSession(req, SESSION_COOKIE, "librarian");
+    req.librarian = req.authSession ? req.authSession.librarian : null;
+
+    req.memberSession = await findSession(req, MEMBER_COOKIE, "member");
+    req.member = req.memberSession ? req.memberSession.member : null;
+
+    res.locals.librarian = req.librarian;
+    res.locals.member = req.member;
+    res.locals.can = (permission) => can(req.librarian, permission);
+    next();
+  } catch (err) {
+    next(err);
+  }
+}
+
+/** Does this librarian's role grant `permission`? */
+function can(librarian, permission) {
+  return Boolean(librarian) && roleAllows(librarian.role, permission);
+}
+
+/** Route guard: only signed-in librarians may continue */
+function requireLibrarian(req, res, next) {
+  if (req.librarian) {
+    return next();
+  }
+  return res.redirect("/admin/login");
+}
+
+/** Route guard: only members signed in to the portal may continue */
+function requireMember(req, res, next) {
+  if (req.member) {
+    return next();
+  }
+  return res.redirect("/account/login");
+}
+
+/**
+ * Route guard factory: the signed-in librarian must hold every listed
+ * permission.  Anonymous visitors are sent to the login page; librarians
+ * whose role does not allow the action get a 403 page.
+ *
+ *   router.post("/delete/:id", requirePermission("catalog:delete"), ...)
+ */
+function requirePermission(...permissions) {
+  return (req, res, next) => {
+    if (!req.librarian) {
+      return res.redirect("/admin/login");
+    }
+    if (permissions.every((p) => can(req.librarian, p))) {
+      return next();
+    }
+    return res.status(403).render("403");
+  };
+}
+
+/**
+ * API variant of requirePermission: answers 401/403 with the API's JSON
+ * error body (utils/api.js) instead of redirecting to the login page.
+ */
+function requireApiPermission(...permissions) {
+  return (req, res, next) => {
+    if (!req.librarian) {
+      return next(
+        new ApiError(401, "unauthenticated", "Sign in to use this endpoint.")
+      );
+    }
+    if (permissions.every((p) => can(req.librarian, p))) {
+      return next();
+    }
+    return next(
+      new ApiError(403, "forbidden", "Your role does not allow this action.", {
+        required: permissions,
+      })
+    );
+  };
+}
+
+/** Helper: username recorded on loans, holds, etc. for the acting librarian */
+function staffName(req) {
+  return req.librarian ? req.librarian.username : undefined;
+}
+
+module.exports = {
+  loadSession,
+  requireLibrarian,
+  requireMember,
+  requirePermission,
+  requireApiPermission,
+  can,
+  startSession,
+  endSession,
+  startMemberSession,
+  endMemberSession,
+  revokeSessions,
+  staffName,
+};
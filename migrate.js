@@ -0,0 +1,79 @@
+// migrate.js
+// Run the data migrations in migrations/ (see utils/migrations.js).
+//
+//   node migrate.js                    # dry run: show what would change
+//   node migrate.js --commit           # apply the migrations not yet applied
+//   node migrate.js --status           # list migrations and when they ran
+//   node migrate.js --only 002 --pad-ids --commit
+//                                      # run one migration (again), with options
+//
+// Every migration is safe to run again; a dry run writes nothing.
+const mongoose = require("mongoose");
+const connectDB = require("./config/db");
+const { migrationStatus, runMigrations } = require("./utils/migrations");
+
+/** Helper: a reported value, "-" when there is none */
+const show = (v) => (v === undefined || v === null ? "-" : v);
+
+async function main() {
+  const args = process.argv.slice(2);
+  const commit = args.includes("--commit");
+  const onlyAt = args.indexOf("--only");
+  const only = onlyAt >= 0 ? args[onlyAt + 1] : null;
+  if (onlyAt >= 0 && !only) {
+    console.error(
+      "Usage: node migrate.js [--status] [--only <id>] [--pad-ids] [--commit]"
+    );
+    process.exit(1);
+  }
+
+  await connectDB({ seed: false });
+
+  if (args.includes("--status")) {
+    for (const m of await migrationStatus()) {
+      const at = m.appliedAt ? m.appliedAt.toISOString() : "pending";
+      console.log(`${m.id}\t${at}\t${m.description}`);
+    }
+    await mongoose.disconnect();
+    return;
+  }
+
+  const results = await runMigrations({
+    dryRun: !commit,
+    only,
+    options: { padIds: args.includes("--pad-ids") },
+  });
+  if (!results.length) {
+    console.log("Nothing to do: every migration is applied.");
+  }
+
+  for (const r of results) {
+    console.log(`\n== ${r.id}: ${r.description}`);
+    for (const c of r.changes) {
+      const value = `${show(c.from)} → ${show(c.to)}`;
+      const why = c.note ? `  (${c.note})` : "";
+      console.log(`  ${c.collection} ${c.label}\t${c.field}: ${value}${why}`);
+    }
+    for (const n of r.notes) {
+      console.log(
+        `  ! ${n.collection} ${n.label}\t${n.field}: ${show(n.from)}  ${n.note}`
+      );
+    }
+    const docs = new Set(r.changes.map((c) => `${c.collection}:${c.label}`));
+    console.log(
+      `  ${r.changes.length} change(s) to ${docs.size} record(s), ${r.notes.length} note(s)`
+    );
+  }
+
+  if (!commit && results.length) {
+    console.log("\nDry run only. Re-run with --commit to apply.");
+  } else if (results.length) {
+    console.log("\n✅ Migrations applied");
+  }
+  await mongoose.disconnect();
+}
+
+main().catch((err) => {
+  console.error("❌ Migration failed:", err);
+  process.exit(1);
+});
@@ -0,0 +1,235 @@
+// migrations/001-canonical-book-fields.js
+const Book = require("../models/Book");
+const Copy = require("../models/Copy");
+const Loan = require("../models/Loan");
+const { GONE } = require("../utils/copies");
+
+/**
+ * Give every book the one shape models/Book.js describes:
+ *
+ * - values older code stored under the camelCase aliases (bookID,
+ *   availableCopies, …) next to the PascalCase fields are folded into
+ *   the PascalCase field and removed.  Where both hold different values
+ *   the PascalCase one, which the app reads, is kept.
+ * - Year and the copy counts become whole numbers, not the doubles (1.0)
+ *   or strings a raw import leaves; text fields become trimmed strings.
+ * - The copy counts agree: books with Copy documents take them from their
+ *   copies; for the rest AvailableCopies lies between 0 and TotalCopies,
+ *   and a missing count is worked out from the open loans.
+ */
+
+exports.description =
+  "Fold legacy camelCase book fields into the PascalCase ones and store numbers as integers";
+
+// Stored field → the alias older code stored as well
+const LEGACY = {
+  BookID: "bookID",
+  Title: "title",
+  Author: "author",
+  Category: "category",
+  Year: "year",
+  TotalCopies: "totalCopies",
+  AvailableCopies: "availableCopies",
+  ShelfNo: "shelfNo",
+  Shelf: "shelf",
+};
+const TEXT = ["BookID", "Title", "Author", "Category", "ShelfNo", "Shelf"];
+const NUMBERS = ["Year", "TotalCopies", "AvailableCopies"];
+
+// Documents are read with promoteValues off so 1.0 (a double) can be told
+// from 1 (an int32)
+const isInt32 = (v) => Boolean(v) && v._bsontype === "Int32";
+
+/** Helper: a raw value as plain JS */
+function jsValue(v) {
+  if (v && v._bsontype === "Long") return v.toNumber();
+  if (v && (v._bsontype === "Int32" || v._bsontype === "Double")) {
+    return v.valueOf();
+  }
+  return v;
+}
+
+/** Helper: a raw value as the report shows it (1.0 keeps its ".0") */
+function shown(v) {
+  if (v === undefined || v === null) return v;
+  const js = jsValue(v);
+  if (v._bsontype === "Double" && Number.isInteger(js)) return `${js}.0`;
+  return typeof js === "string" ? JSON.stringify(js) : js;
+}
+
+/**
+ * Helper: the whole number a raw value stands for: `{ value }`, with
+ * value undefined for an empty string, or `{ bad: true }` for text that
+ * is not a number
+ */
+function wholeNumber(v) {
+  const js = jsValue(v);
+  if (typeof js === "number" && Number.isFinite(js)) {
+    return { value: Math.round(js) };
+  }
+  if (typeof js === "string") {
+    if (!js.trim()) return { value: undefined };
+    if (/^-?\d+(\.\d+)?$/.test(js.trim())) {
+      return { value: Math.round(Number(js)) };
+    }
+  }
+  return { bad: true };
+}
+
+/** Helper: `{ book id: n }` from a $group on `book` */
+const byBook = (rows, key) => new Map(rows.map((r) => [String(r._id), r[key]]));
+
+exports.up = async ({ dryRun, change, note }) => {
+  const [open, copies] = await Promise.all([
+    Loan.aggregate([
+      { $match: { status: "issued" } },
+      { $group: { _id: "$book", n: { $sum: 1 } } },
+    ]),
+    Copy.aggregate([
+      { $match: { status: { $nin: GONE } } },
+      {
+        $group: {
+          _id: "$book",
+          total: { $sum: 1 },
+          available: {
+            $sum: { $cond: [{ $eq: ["$status", "available"] }, 1, 0] },
+          },
+        },
+      },
+    ]),
+  ]);
+  const openLoans = byBook(open, "n");
+  const copyTotals = byBook(copies, "total");
+  const copyAvailable = byBook(copies, "available");
+
+  const cursor = Book.collection.find({}, { promoteValues: false });
+  for await (const raw of cursor) {
+    const id = String(raw._id);
+    const label = String(jsValue(raw.BookID || raw.bookID) || id);
+    const $set = {};
+    const $unset = {};
+    const value = {}; // each field's value after the steps so far
+    const moved = {}; // fields whose value came from the legacy alias
+    const bad = {}; // number fields holding text that is not a number
+
+    const report = (field, from, to, why) =>
+      change({ collection: "books", label, field, from, to, note: why });
+    const set = (field, to, why) => {
+      if (to === undefined) {
+        if (raw[field] === undefined) return;
+        $unset[field] = "";
+      } else {
+        $set[field] = to;
+      }
+      report(
+        field,
+        shown(moved[field] ? raw[LEGACY[field]] : raw[field]),
+        to,
+        why
+      );
+      value[field] = to;
+    };
+
+    // 1. Legacy aliases
+    for (const [field, alias] of Object.entries(LEGACY)) {
+      value[field] = raw[field];
+      if (raw[alias] === undefined) continue;
+      $unset[alias] = "";
+      const legacy = jsValue(raw[alias]);
+      if (raw[field] === undefined || raw[field] === null) {
+        value[field] = raw[alias];
+        moved[field] = true;
+        report(alias, shown(raw[alias]), undefined, `moved to ${field}`);
+      } else if (String(jsValue(raw[field])) === String(legacy)) {
+        report(alias, shown(raw[alias]), undefined, `same as ${field}`);
+      } else {
+        report(
+          alias,
+          shown(raw[alias]),
+          undefined,
+          `differed from ${field} (${shown(raw[field])}), which is kept`
+        );
+      }
+    }
+
+    // 2. Text
+    for (const field of TEXT) {
+      const v = value[field];
+      if (v === undefined || v === null) continue;
+      const text = String(jsValue(v)).trim();
+      if (!text) set(field, undefined, "empty");
+      else if (moved[field] || text !== v) set(field, text);
+    }
+
+    // 3. Whole numbers
+    for (const field of NUMBERS) {
+      const v = value[field];
+      if (v === undefined || v === null) continue;
+      const n = wholeNumber(v);
+      if (n.bad) {
+        note({
+          collection: "books",
+          label,
+          field,
+          from: shown(v),
+          note: "not a number; left as it is",
+        });
+        bad[field] = true;
+        continue;
+      }
+      let to = n.value;
+      if (to !== undefined && to < 0 && field !== "Year") to = 0;
+      if (moved[field] || !isInt32(v) || to !== jsValue(v)) set(field, to);
+      else value[field] = to;
+    }
+
+    // 4. Copy counts that agree with each other (counts that are not
+    // numbers are left for a librarian to correct)
+    const loans = openLoans.get(id) || 0;
+    const counted = !bad.TotalCopies && !bad.AvailableCopies;
+    let total = jsValue(value.TotalCopies);
+    let available = jsValue(value.AvailableCopies);
+    if (counted && raw.copiesTracked) {
+      if (total !== (copyTotals.get(id) || 0)) {
+        set("TotalCopies", copyTotals.get(id) || 0, "counted from copies");
+      }
+      if (available !== (copyAvailable.get(id) || 0)) {
+        set(
+          "AvailableCopies",
+          copyAvailable.get(id) || 0,
+          "counted from copies"
+        );
+      }
+    } else if (counted) {
+      if (total === undefined) {
+        total = (available || 0) + loans;
+        set("TotalCopies", total, "was missing");
+      }
+      if (available === undefined) {
+        available = Math.max(0, total - loans);
+        set("AvailableCopies", available, `was missing; ${loans} on loan`);
+      } else if (available > total) {
+        set("AvailableCopies", total, "was more than TotalCopies");
+      }
+    }
+
+    if (dryRun || !(Object.keys($set).length || Object.keys($unset).length)) {
+      continue;
+    }
+    const update = {};
+    if (Object.keys($set).length) update.$set = $set;
+    if (Object.keys($unset).length) update.$unset = $unset;
+    try {
+      await Book.collection.updateOne({ _id: raw._id }, update);
+    } catch (err) {
+      if (err.code !== 11000) throw err;
+      note({
+        collection: "books",
+        label,
+        field: "BookID",
+        from: shown(value.BookID),
+        note: "another book already has this BookID; book left unchanged",
+      });
+    }
+  }
+};
@@ -0,0 +1,57 @@
+// migrations/002-book-id-width.js
+const Book = require("../models/Book");
+
+/**
+ * Book IDs from the seed data have four digits (AIPSLIB0001); the ones
+ * generateBookID issues have six (AIPSLIB000001).  Printed labels carry
+ * the old IDs, so they are kept unless the migration is run with
+ * --pad-ids, which pads them to six digits.  Lookups by number
+ * (utils/lookup.js) find either form.
+ */
+
+exports.description = "Pad short book IDs to six digits (only with --pad-ids)";
+
+const PREFIX = "AIPSLIB";
+const WIDTH = 6;
+
+exports.up = async ({ dryRun, options, change, note }) => {
+  const short = await Book.collection
+    .find(
+      { BookID: new RegExp(`^${PREFIX}\\d{1,${WIDTH - 1}}$`) },
+      { projection: { BookID: 1 } }
+    )
+    .toArray();
+
+  if (!options.padIds) {
+    if (short.length) {
+      note({
+        collection: "books",
+        label: `${short.length} book(s)`,
+        field: "BookID",
+        from: short[0].BookID,
+        note: "kept; run with --only 002 --pad-ids to pad them",
+      });
+    }
+    return;
+  }
+
+  for (const book of short) {
+    const digits = book.BookID.slice(PREFIX.length);
+    const padded = PREFIX + digits.padStart(WIDTH, "0");
+    const entry = { collection: "books", label: book.BookID, field: "BookID" };
+
+    if (
+      await Book.collection.countDocuments({ BookID: padded }, { limit: 1 })
+    ) {
+      note({ ...entry, from: book.BookID, note: `${padded} is taken; kept` });
+      continue;
+    }
+    if (!dryRun) {
+      await Book.collection.updateOne(
+        { _id: book._id },
+        { $set: { BookID: padded } }
+      );
+    }
+    change({ ...entry, from: book.BookID, to: padded });
+  }
+};
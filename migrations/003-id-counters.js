@@ -0,0 +1,28 @@
+// migrations/003-id-counters.js
+const { sequenceStatus, advanceCounters } = require("../utils/idGen");
+
+/**
+ * Move the Counter of each ID sequence (book IDs, member IDs, accession
+ * numbers) past the highest number already in use, so IDs created
+ * outside the counter — the seed data, imports — are never issued again.
+ */
+
+exports.description = "Move ID counters past the highest IDs in use";
+
+exports.up = async ({ dryRun, change }) => {
+  const moved = dryRun
+    ? (await sequenceStatus())
+        .filter((s) => s.seq < s.highest)
+        .map((s) => ({ prefix: s.prefix, from: s.seq, to: s.highest }))
+    : await advanceCounters();
+
+  for (const m of moved) {
+    change({
+      collection: "counters",
+      label: m.prefix,
+      field: "seq",
+      from: m.from,
+      to: m.to,
+    });
+  }
+};
@@ -0,0 +1,105 @@
+// migrations/004-shelf-locations.js
+const Book = require("../models/Book");
+const Location = require("../models/Location");
+const { DEFAULT_ROOM } = require("../utils/locations");
+
+/**
+ * Shelves become a list (models/Location.js) that book forms pick from.
+ * Books spelling the same rack or shelf differently ("ShelfA", "Shelf A",
+ * "shelf-a") are given the spelling most books use, or the one already
+ * listed; then every shelf books are on is listed in the default room.
+ * Books with a rack but no shelf number are left as they are.
+ */
+
+exports.description =
+  "List the shelves books are on, merging spelling variants";
+
+/** Helper: the spelling most books use, from a Map of spelling → books */
+const favourite = (counts) =>
+  [...counts].sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))[0][0];
+
+exports.up = async ({ dryRun, change, note }) => {
+  const pairs = await Book.collection
+    .aggregate([
+      { $match: { Shelf: { $nin: [null, ""] } } },
+      {
+        $group: {
+          _id: { rack: "$Shelf", shelfNo: "$ShelfNo" },
+          books: { $sum: 1 },
+        },
+      },
+    ])
+    .toArray();
+  const listed = await Location.find().lean();
+
+  // Count the books behind each spelling of a rack, and of a shelf
+  const tally = (map, key, spelling, books) => {
+    if (!map.has(key)) map.set(key, new Map());
+    const counts = map.get(key);
+    counts.set(spelling, (counts.get(spelling) || 0) + books);
+  };
+  const racks = new Map();
+  const shelves = new Map();
+  for (const { _id, books } of pairs) {
+    if (!_id.shelfNo) {
+      note({
+        collection: "books",
+        label: `${books} book(s)`,
+        field: "ShelfNo",
+        from: _id.rack,
+        note: "no shelf number; left unlisted",
+      });
+      continue;
+    }
+    tally(racks, Location.keyOf(_id.rack, ""), _id.rack, books);
+    tally(shelves, Location.keyOf(_id.rack, _id.shelfNo), _id.shelfNo, books);
+  }
+
+  // Listed shelves keep their spelling
+  const rackName = new Map();
+  const shelfName = new Map();
+  for (const l of listed) {
+    rackName.set(Location.keyOf(l.rack, ""), l.rack);
+    shelfName.set(l.key, l.shelfNo);
+  }
+  for (const [key, counts] of racks) {
+    if (!rackName.has(key)) rackName.set(key, favourite(counts));
+  }
+  for (const [key, counts] of shelves) {
+    if (!shelfName.has(key)) shelfName.set(key, favourite(counts));
+  }
+
+  for (const { _id, books } of pairs) {
+    if (!_id.shelfNo) continue;
+    const rack = rackName.get(Location.keyOf(_id.rack, ""));
+    const shelfNo = shelfName.get(Location.keyOf(_id.rack, _id.shelfNo));
+    if (rack === _id.rack && shelfNo === _id.shelfNo) continue;
+
+    if (!dryRun) {
+      await Book.collection.updateMany(
+        { Shelf: _id.rack, ShelfNo: _id.shelfNo },
+        { $set: { Shelf: rack, ShelfNo: shelfNo } }
+      );
+    }
+    change({
+      collection: "books",
+      label: `${books} book(s)`,
+      field: "Shelf / ShelfNo",
+      from: `${_id.rack} / ${_id.shelfNo}`,
+      to: `${rack} / ${shelfNo}`,
+    });
+  }
+
+  const known = new Set(listed.map((l) => l.key));
+  for (const [key, shelfNo] of shelfName) {
+    if (known.has(key)) continue;
+    const rack = rackName.get(key.split("|")[0] + "|");
+    if (!dryRun) await Location.create({ room: DEFAULT_ROOM, rack, shelfNo });
+    change({
+      collection: "locations",
+      label: `${rack} / ${shelfNo}`,
+      field: "room",
+      to: DEFAULT_ROOM,
+    });
+  }
+};
@@ -0,0 +1,30 @@
+// migrations/005-location-keys.js
+const Location = require("../models/Location");
+
+/**
+ * Shelf keys (Location.key) used to keep only the letters a-z and
+ * digits, so every rack or shelf named in another script, or in
+ * punctuation only, had the same key.  Recompute each key the way
+ * Location.keyOf() now builds it, keeping letters and digits of any
+ * script.
+ */
+
+exports.description = "Recompute shelf keys to keep letters of any script";
+
+exports.up = async ({ dryRun, change }) => {
+  const locations = await Location.collection.find().toArray();
+  for (const l of locations) {
+    const key = Location.keyOf(l.rack, l.shelfNo);
+    if (key === l.key) continue;
+    if (!dryRun) {
+      await Location.collection.updateOne({ _id: l._id }, { $set: { key } });
+    }
+    change({
+      collection: "locations",
+      label: `${l.rack} / ${l.shelfNo}`,
+      field: "key",
+      from: l.key,
+      to: key,
+    });
+  }
+};
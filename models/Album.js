@@ -0,0 +1,18 @@
+// models/Album.js
+const mongoose = require("mongoose");
+
+/**
+ * A named group of gallery photos ("Annual Book Fair 2024").  Photos
+ * point at their album (Photo.album); a photo in no album still shows
+ * under "All photos".  Albums are listed by `position`, then name.
+ */
+const albumSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true, trim: true },
+    description: { type: String, trim: true },
+    position: { type: Number, default: 0 },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Album", albumSchema);
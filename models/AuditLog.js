@@ -0,0 +1,69 @@
+// models/AuditLog.js
+const mongoose = require("mongoose");
+
+/**
+ * One change to the catalog, a member or circulation: who did it, when,
+ * what, to which record, and the field values before and after.  Entries
+ * are written by utils/audit.js and are append-only: the hooks below
+ * refuse every update or delete issued through Mongoose.
+ */
+const auditLogSchema = new mongoose.Schema(
+  {
+    at: { type: Date, required: true, default: Date.now, index: true },
+
+    // Librarian username, member ID for the member portal, or "system"
+    actor: { type: String, required: true, trim: true, index: true },
+    actorType: {
+      type: String,
+      enum: ["librarian", "member", "system"],
+      required: true,
+    },
+    via: { type: String, enum: ["web", "api", "portal", "cli"] },
+    ip: { type: String },
+
+    // Dotted action name, e.g. "book.update" or "loan.return"
+    action: { type: String, required: true, index: true },
+
+    // The record acted on, with a readable label (BookID, memberID, …)
+    // kept in case the record itself is later deleted
+    entityType: { type: String, required: true },
+    entityId: { type: mongoose.Schema.Types.ObjectId },
+    label: { type: String, trim: true },
+
+    // Book and member involved, so the log can be searched by either
+    book: { type: mongoose.Schema.Types.ObjectId, ref: "Book", index: true },
+    member: { type: mongoose.Schema.Types.ObjectId, ref: "User", index: true },
+
+    // Only the fields that changed (all fields on create/delete)
+    before: { type: mongoose.Schema.Types.Mixed },
+    after: { type: mongoose.Schema.Types.Mixed },
+    note: { type: String, trim: true },
+  },
+  { versionKey: false }
+);
+
+auditLogSchema.index({ actor: 1, at: -1 });
+
+// Append-only: entries can be added but never changed or removed
+function refuse(next) {
+  next(new Error("Audit log entries cannot be changed or deleted."));
+}
+auditLogSchema.pre("save", function (next) {
+  if (!this.isNew) return refuse(next);
+  next();
+});
+for (const op of [
+  "updateOne",
+  "updateMany",
+  "findOneAndUpdate",
+  "replaceOne",
+  "findOneAndReplace",
+  "deleteOne",
+  "deleteMany",
+  "findOneAndDelete",
+]) {
+  auditLogSchema.pre(op, { document: false, query: true }, refuse);
+}
+auditLogSchema.pre("deleteOne", { document: true, query: false }, refuse);
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
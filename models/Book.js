@@ -12,22 +12,44 @@ const bookSchema = new mongoose.Schema(
     Category: { type: String, trim: true, alias: "category" },
     Year: { type: Number, alias: "year" },
 
+    // ISBN13 is always set when the book has an ISBN; ISBN10 only for
+    // 978- numbers.  Both are stored without hyphens (utils/isbn.js).
+    ISBN13: { type: String, trim: true, alias: "isbn13" },
+    ISBN10: { type: String, trim: true, alias: "isbn10" },
+    Publisher: { type: String, trim: true, alias: "publisher" },
+    Edition: { type: String, trim: true, alias: "edition" },
+    Language: { type: String, trim: true, alias: "language" },
+
+    // Derived from the book's Copy documents by syncCopyCounts()
+    // (utils/copies.js); kept here so lists and filters stay cheap.
     TotalCopies: { type: Number, default: 0, alias: "totalCopies" },
     AvailableCopies: { type: Number, default: 0, alias: "availableCopies" },
+    // Set once Copy documents exist for the book (see ensureCopies)
+    copiesTracked: { type: Boolean, default: false },
+    // When a request started creating them; unset once done or failed
+    copiesClaimedAt: { type: Date },
 
     ShelfNo: { type: String, trim: true, alias: "shelfNo" },
     Shelf: { type: String, trim: true, alias: "shelf" },
 
-    /**
-     * List of current borrowers for this book. Each entry corresponds
-     * to the ObjectId of a registered User who has checked out one
-     * copy of this book. The number of borrowers should not exceed
-     * the total number of copies. When a copy is issued, the user ID
-     * will be pushed into this array and availableCopies decremented.
-     * When a copy is returned, the corresponding user ID will be
-     * removed and availableCopies incremented.
-     */
-    borrowers: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    // Cover image (utils/covers.js): `name` is the base name of its files
+    cover: {
+      name: String,
+      original: String,
+      width: Number,
+      height: Number,
+      bytes: Number,
+      uploadedAt: Date,
+      uploadedBy: String,
+    },
+
+    // Who currently holds a copy is recorded in the Loan collection
+    // (models/Loan.js), not on the book itself.
+
+    // Set when the book is deleted: it stays in the trash, hidden from the
+    // catalog, until restored or purged (utils/archive.js)
+    archivedAt: { type: Date, index: true },
+    archivedBy: { type: String, trim: true },
   },
   {
     timestamps: true,
@@ -40,5 +62,19 @@ const bookSchema = new mongoose.Schema(
 bookSchema.index({ ShelfNo: 1 });
 bookSchema.index({ Shelf: 1 });
 bookSchema.index({ Category: 1 });
+bookSchema.index({ Year: 1 });
+
+// No two books share an ISBN; books without one are left out of the index
+bookSchema.index(
+  { ISBN13: 1 },
+  { unique: true, partialFilterExpression: { ISBN13: { $type: "string" } } }
+);
+bookSchema.index({ ISBN10: 1 });
+
+// Full-text catalog search (?q= on /books), ranked by where words match
+bookSchema.index(
+  { Title: "text", Author: "text", Category: "text" },
+  { name: "book_text", weights: { Title: 10, Author: 5, Category: 2 } }
+);
 
 module.exports = mongoose.model("Book", bookSchema);
@@ -0,0 +1,47 @@
+// models/Copy.js
+const mongoose = require("mongoose");
+
+// Physical state of a copy, recorded by librarians
+const CONDITIONS = ["new", "good", "fair", "poor", "damaged"];
+
+// Where a copy is: on the shelf, lent out (see Loan.copy), or out of
+// circulation.  Lost and withdrawn copies no longer count towards the
+// book's total; damaged ones still do but cannot be issued.
+const STATUSES = ["available", "on_loan", "damaged", "lost", "withdrawn"];
+
+/**
+ * One physical copy of a book.  The book's TotalCopies/AvailableCopies
+ * counters are derived from the statuses of its copies (see
+ * syncCopyCounts in utils/copies.js) and are never set by hand.
+ */
+const copySchema = new mongoose.Schema(
+  {
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Book",
+      required: true,
+      index: true,
+    },
+
+    // Register number, generated (e.g. ACC000123) and never reused
+    accessionNo: { type: String, required: true, unique: true, trim: true },
+    // Label scanned at the desk; the accession number unless relabelled
+    barcode: { type: String, required: true, unique: true, trim: true },
+
+    acquiredAt: { type: Date, default: Date.now },
+    price: { type: Number, min: 0 },
+    condition: { type: String, enum: CONDITIONS, default: "good" },
+    status: {
+      type: String,
+      enum: STATUSES,
+      default: "available",
+      index: true,
+    },
+    notes: { type: String, trim: true },
+  },
+  { timestamps: true }
+);
+
+copySchema.index({ book: 1, status: 1 });
+
+module.exports = mongoose.model("Copy", copySchema);
@@ -0,0 +1,46 @@
+// models/Hold.js
+const mongoose = require("mongoose");
+
+/**
+ * A member's place in the reservation queue for a book that has no copies
+ * available.  Holds are served first come, first served by `position`.
+ * When a copy comes back the first waiting hold becomes "ready": that copy
+ * is set aside for the member until `expiresAt`, after which the hold
+ * expires and the next member in line is served.
+ */
+const holdSchema = new mongoose.Schema(
+  {
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Book",
+      required: true,
+      index: true,
+    },
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    placedBy: { type: String, trim: true }, // librarian who placed the hold
+
+    // Queue order within a book; lower is served first.  Librarians can
+    // reorder the queue from the holds page.
+    position: { type: Number, required: true },
+
+    status: {
+      type: String,
+      enum: ["waiting", "ready", "fulfilled", "cancelled", "expired"],
+      default: "waiting",
+      index: true,
+    },
+    readyAt: { type: Date }, // when a copy was set aside
+    expiresAt: { type: Date }, // end of the pickup window
+    closedAt: { type: Date }, // fulfilled, cancelled or expired
+  },
+  { timestamps: true }
+);
+
+holdSchema.index({ book: 1, status: 1, position: 1 });
+
+module.exports = mongoose.model("Hold", holdSchema);
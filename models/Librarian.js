@@ -0,0 +1,32 @@
+// models/Librarian.js
+const mongoose = require("mongoose");
+const { ROLE_NAMES } = require("../config/permissions");
+
+/**
+ * Staff account used to sign in to the admin dashboard.  Each librarian
+ * has their own login so circulation actions can be traced to a person.
+ * Passwords are only ever stored as scrypt hashes (see utils/password.js).
+ */
+const librarianSchema = new mongoose.Schema(
+  {
+    username: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      lowercase: true,
+    },
+    fullName: { type: String, required: true, trim: true },
+    passwordHash: { type: String, required: true },
+
+    // Decides what the account may do (see config/permissions.js)
+    role: { type: String, enum: ROLE_NAMES, default: "librarian" },
+
+    // Deactivated accounts cannot sign in and lose their sessions
+    isActive: { type: Boolean, default: true },
+    lastLoginAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Librarian", librarianSchema);
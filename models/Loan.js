@@ -0,0 +1,69 @@
+// models/Loan.js
+const mongoose = require("mongoose");
+
+/** One renewal of a loan: the due date before and after, and who renewed it */
+const renewalSchema = new mongoose.Schema(
+  {
+    renewedAt: { type: Date, required: true, default: Date.now },
+    renewedBy: { type: String, trim: true }, // librarian username or "portal"
+    previousDueDate: { type: Date, required: true },
+    newDueDate: { type: Date, required: true },
+  },
+  { _id: false }
+);
+
+/**
+ * One circulation record: a single copy of a book lent to a single member.
+ * A loan is created when a copy is issued and closed (never deleted) when
+ * it comes back, so this collection doubles as the borrowing history of
+ * every book and every member.
+ */
+const loanSchema = new mongoose.Schema(
+  {
+    book: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Book",
+      required: true,
+      index: true,
+    },
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    // The physical copy lent out (models/Copy.js); absent on loans
+    // recorded before copies were tracked until the book is provisioned
+    copy: { type: mongoose.Schema.Types.ObjectId, ref: "Copy", index: true },
+
+    issuedBy: { type: String, trim: true }, // librarian who issued the copy
+    returnedTo: { type: String, trim: true }, // librarian who took it back
+
+    issueDate: { type: Date, required: true, default: Date.now },
+    dueDate: { type: Date, required: true },
+    returnDate: { type: Date },
+
+    // Every renewal in order, so the full time a copy was kept out can be
+    // reconstructed (see renewLoan in utils/circulation.js)
+    renewals: { type: [renewalSchema], default: [] },
+
+    // Overdue fine fixed when the loan is returned (see utils/fines.js)
+    // and how much of it has been paid so far
+    fine: { type: Number, default: 0 },
+    finePaid: { type: Number, default: 0 },
+
+    status: {
+      type: String,
+      enum: ["issued", "returned"],
+      default: "issued",
+      index: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Open loans are looked up per book and per member on every issue/return
+loanSchema.index({ book: 1, status: 1 });
+loanSchema.index({ member: 1, status: 1 });
+
+module.exports = mongoose.model("Loan", loanSchema);
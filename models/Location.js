@@ -0,0 +1,52 @@
+// models/Location.js
+const mongoose = require("mongoose");
+
+/**
+ * Helper: a name without case, spaces or punctuation ("Shelf A" →
+ * "shelfa"), in any script.  A name of punctuation only is kept as it is.
+ */
+const squash = (v) => {
+  const name = String(v || "")
+    .trim()
+    .toLowerCase();
+  return name.replace(/[^\p{L}\p{N}]/gu, "") || name;
+};
+
+/**
+ * One shelf of the library: a shelf (`shelfNo`, e.g. "A-01") of a rack
+ * (e.g. "ShelfA") in a room.  Books name their place by the rack and
+ * shelf as text (Book.Shelf and Book.ShelfNo); those values are only
+ * accepted when they match a location (see utils/locations.js), so every
+ * book on a shelf carries the same spelling.
+ */
+const locationSchema = new mongoose.Schema(
+  {
+    room: { type: String, required: true, trim: true },
+    rack: { type: String, required: true, trim: true }, // Book.Shelf
+    shelfNo: { type: String, required: true, trim: true }, // Book.ShelfNo
+    capacity: { type: Number, min: 0 }, // copies it holds; unset if unknown
+    categories: { type: [String], default: [] }, // what belongs here
+    notes: { type: String, trim: true },
+
+    // rack and shelfNo without case, spaces or punctuation: one location
+    // per shelf however it is typed
+    key: { type: String, required: true, unique: true },
+  },
+  { timestamps: true }
+);
+
+/** The `key` of the shelf `shelfNo` of `rack` */
+locationSchema.statics.keyOf = (rack, shelfNo) =>
+  `${squash(rack)}|${squash(shelfNo)}`;
+
+locationSchema.pre("validate", function (next) {
+  this.key = this.constructor.keyOf(this.rack, this.shelfNo);
+  this.categories = [
+    ...new Set(this.categories.map((c) => c.trim()).filter(Boolean)),
+  ];
+  next();
+});
+
+locationSchema.index({ room: 1, rack: 1, shelfNo: 1 });
+
+module.exports = mongoose.model("Location", locationSchema);
@@ -0,0 +1,20 @@
+// models/MailTemplate.js
+const mongoose = require("mongoose");
+const { KIND_NAMES } = require("../config/reminders");
+
+/**
+ * A librarian's edited version of a reminder email.  Kinds without a
+ * stored template use the default in config/reminders.js.
+ */
+const mailTemplateSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: KIND_NAMES, required: true, unique: true },
+    subject: { type: String, required: true, trim: true },
+    body: { type: String, required: true },
+    item: { type: String, required: true, trim: true }, // one line per book
+    updatedBy: { type: String, trim: true }, // librarian username
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("MailTemplate", mailTemplateSchema);
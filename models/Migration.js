@@ -0,0 +1,20 @@
+// models/Migration.js
+const mongoose = require("mongoose");
+
+/**
+ * A data migration (migrations/*.js) that has been applied, keyed by its
+ * id.  The runner (utils/migrations.js) skips migrations recorded here
+ * unless asked to run one again.
+ */
+const migrationSchema = new mongoose.Schema(
+  {
+    _id: { type: String, required: true }, // e.g. "001-canonical-book-fields"
+    description: { type: String, trim: true },
+    appliedAt: { type: Date, required: true },
+    runs: { type: Number, default: 0 }, // times applied, counting re-runs
+    changes: { type: Number, default: 0 }, // changes made by the last run
+  },
+  { versionKey: false }
+);
+
+module.exports = mongoose.model("Migration", migrationSchema);
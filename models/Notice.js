@@ -0,0 +1,44 @@
+// models/Notice.js
+const mongoose = require("mongoose");
+const { KIND_NAMES } = require("../config/reminders");
+
+/**
+ * One reminder about one loan or hold, as sent (or attempted) by
+ * utils/reminders.js.  `key` names the occasion — e.g. the due-soon
+ * reminder for a loan's current due date — and is unique, so each
+ * occasion is claimed once and no member is reminded twice about it.
+ */
+const noticeSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true },
+    kind: { type: String, enum: KIND_NAMES, required: true, index: true },
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: true,
+      index: true,
+    },
+    loan: { type: mongoose.Schema.Types.ObjectId, ref: "Loan" },
+    hold: { type: mongoose.Schema.Types.ObjectId, ref: "Hold" },
+    book: { type: mongoose.Schema.Types.ObjectId, ref: "Book" },
+    email: { type: String, trim: true }, // address it went to
+
+    // "pending" while being sent; "failed" ones, and "pending" ones left
+    // by a run that never finished, are retried on later runs up to
+    // MAX_ATTEMPTS times
+    status: {
+      type: String,
+      enum: ["pending", "sent", "failed"],
+      default: "pending",
+      index: true,
+    },
+    attempts: { type: Number, default: 0 },
+    error: { type: String },
+    sentAt: { type: Date },
+  },
+  { timestamps: true }
+);
+
+noticeSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model("Notice", noticeSchema);
@@ -0,0 +1,45 @@
+// models/Photo.js
+const mongoose = require("mongoose");
+
+/**
+ * One photo of the public gallery.  The file as uploaded is kept in
+ * public/images/gallery as `original` (the lightbox's download), and the
+ * WebP versions the pages show are made from it in each of `widths`
+ * (see utils/gallery.js).
+ */
+const photoSchema = new mongoose.Schema(
+  {
+    // Base of the version file names, "<name>-<width>.webp"
+    name: { type: String, required: true, unique: true },
+    original: { type: String, required: true, unique: true },
+    widths: { type: [Number], default: [] }, // of the versions, ascending
+    width: { type: Number }, // of the photo upright, in pixels
+    height: { type: Number },
+
+    caption: { type: String, trim: true },
+    tags: { type: [String], default: [] }, // lower case
+    album: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Album",
+      default: null,
+    },
+
+    // Gallery order: lower first, across albums
+    position: { type: Number, default: 0 },
+    uploadedBy: { type: String }, // librarian username; unset if found on disk
+  },
+  { timestamps: true }
+);
+
+photoSchema.pre("validate", function (next) {
+  this.tags = [
+    ...new Set(this.tags.map((t) => t.trim().toLowerCase()).filter(Boolean)),
+  ];
+  next();
+});
+
+photoSchema.index({ position: 1 });
+photoSchema.index({ album: 1, position: 1 });
+photoSchema.index({ tags: 1 });
+
+module.exports = mongoose.model("Photo", photoSchema);
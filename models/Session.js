@@ -0,0 +1,37 @@
+// models/Session.js
+const mongoose = require("mongoose");
+
+/**
+ * Server-side login session for a librarian (`sid` cookie) or for a member
+ * of the self-service portal (`msid` cookie); exactly one of `librarian`
+ * and `member` is set.  The browser only holds a random token; we store its
+ * SHA-256 hash here so a leaked database does not hand out live sessions.
+ * A session ends when it expires, when it is revoked (logout, or a
+ * librarian signing out all devices) or when its account is deactivated.
+ */
+const sessionSchema = new mongoose.Schema(
+  {
+    tokenHash: { type: String, required: true, unique: true },
+    librarian: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Librarian",
+      index: true,
+    },
+    member: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      index: true,
+    },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date },
+    lastSeenAt: { type: Date },
+    ip: { type: String },
+    userAgent: { type: String },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB delete sessions once they have expired
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("Session", sessionSchema);
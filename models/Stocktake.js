@@ -0,0 +1,57 @@
+// models/Stocktake.js
+const mongoose = require("mongoose");
+
+/** One code scanned or typed during a stock-take, as it was resolved */
+const scanSchema = new mongoose.Schema({
+  code: { type: String, required: true, trim: true },
+  // The book the code names (a BookID or a copy's barcode), and the copy
+  // when it was a copy barcode; neither for a code nothing matches
+  book: { type: mongoose.Schema.Types.ObjectId, ref: "Book" },
+  copy: { type: mongoose.Schema.Types.ObjectId, ref: "Copy" },
+  at: { type: Date, required: true, default: Date.now },
+  by: { type: String, trim: true }, // librarian username
+});
+
+/** Something done about the report: a copy marked lost or found, a book moved */
+const actionSchema = new mongoose.Schema(
+  {
+    action: { type: String, enum: ["lost", "found", "moved"], required: true },
+    book: { type: mongoose.Schema.Types.ObjectId, ref: "Book" },
+    copy: { type: mongoose.Schema.Types.ObjectId, ref: "Copy" },
+    at: { type: Date, required: true, default: Date.now },
+    by: { type: String, trim: true },
+  },
+  { _id: false }
+);
+
+/**
+ * An inventory count of one shelf (`Shelf`, optionally narrowed to one
+ * `ShelfNo`).  Librarians scan what they find; the report
+ * (utils/stocktake.js) compares it with the copies the catalog expects
+ * on the shelf, leaving out those on loan.  The report is worked out
+ * live while the count is open and kept in `report` once it is closed.
+ */
+const stocktakeSchema = new mongoose.Schema(
+  {
+    shelf: { type: String, required: true, trim: true },
+    shelfNo: { type: String, trim: true },
+    status: {
+      type: String,
+      enum: ["open", "closed"],
+      default: "open",
+      index: true,
+    },
+    startedBy: { type: String, trim: true },
+    closedBy: { type: String, trim: true },
+    closedAt: { type: Date },
+
+    scans: { type: [scanSchema], default: [] },
+    actions: { type: [actionSchema], default: [] },
+    report: { type: mongoose.Schema.Types.Mixed }, // as it stood at closing
+  },
+  { timestamps: true }
+);
+
+stocktakeSchema.index({ shelf: 1, shelfNo: 1, status: 1 });
+
+module.exports = mongoose.model("Stocktake", stocktakeSchema);
@@ -16,6 +16,22 @@ const userSchema = new mongoose.Schema(
 
     // optional flags
     isActive: { type: Boolean, default: true },
+    // Last day of membership; members without one never expire
+    expiresAt: { type: Date },
+
+    // Member portal sign-in: a PIN set by a librarian, stored as a scrypt
+    // hash and never selected by default.  Repeated wrong PINs lock the
+    // portal login for a while.
+    pinHash: { type: String, select: false },
+    pinFailures: { type: Number, default: 0 },
+    pinLockedUntil: { type: Date },
+
+    // Set when the member is deleted: kept in the trash, hidden from lists
+    // and dropdowns, until restored or purged (utils/archive.js)
+    archivedAt: { type: Date, index: true },
+    archivedBy: { type: String, trim: true },
+    // Set when this record was merged into another as a duplicate
+    mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
   },
   { timestamps: true }
 );
@@ -0,0 +1,26 @@
+// routes/accountRoutes.js
+const express = require("express");
+const router = express.Router();
+const accountController = require("../controllers/accountController");
+const { requireMember } = require("../middleware/auth");
+
+/**
+ * Member self-service portal
+ */
+
+// Sign in / out with memberID + PIN
+router.get("/login", accountController.renderLogin);
+router.post("/login", accountController.login);
+router.post("/logout", accountController.logout);
+
+// Loans, fines, holds and history of the signed-in member
+router.get("/", requireMember, accountController.dashboard);
+
+// Place or cancel holds
+router.post("/holds", requireMember, accountController.placeHold);
+router.post("/holds/:id/cancel", requireMember, accountController.cancelHold);
+
+// Renew a loan
+router.post("/loans/:id/renew", requireMember, accountController.renewLoan);
+
+module.exports = router;
@@ -0,0 +1,72 @@
+// routes/apiRoutes.js
+const path = require("path");
+const express = require("express");
+const router = express.Router();
+const api = require("../controllers/apiController");
+const { requireApiPermission } = require("../middleware/auth");
+const { ApiError } = require("../utils/api");
+
+/**
+ * JSON API, version 1 (mounted at /api/v1).
+ *
+ * Clients sign in with POST /auth/login and send the returned token as
+ * `Authorization: Bearer <token>`; the dashboard's session cookie works
+ * too.  Each route needs the same permission as its HTML counterpart
+ * (config/permissions.js).  The contract is docs/openapi.json, served at
+ * GET /api/v1/openapi.json.
+ */
+const allow = requireApiPermission;
+
+router.get("/openapi.json", (req, res) =>
+  res.sendFile(path.join(__dirname, "..", "docs", "openapi.json"))
+);
+
+// Auth
+router.post("/auth/login", api.login);
+router.post("/auth/logout", api.logout);
+router.get("/auth/me", allow(), api.me);
+
+// Books (reading the catalog is public, as on /books)
+router.get("/books", api.listBooks);
+router.get("/books/:id", api.getBook);
+router.get("/books/:id/copies", allow("loans:view"), api.listCopies);
+router.post("/books", allow("catalog:edit"), api.createBook);
+router.patch("/books/:id", allow("catalog:edit"), api.updateBook);
+router.delete("/books/:id", allow("catalog:delete"), api.deleteBook);
+
+// Members
+router.get("/members", allow("members:view"), api.listMembers);
+router.get("/members/:id", allow("members:view"), api.getMember);
+router.post("/members", allow("members:edit"), api.createMember);
+router.patch("/members/:id", allow("members:edit"), api.updateMember);
+
+// Loans
+router.get("/loans", allow("loans:view"), api.listLoans);
+router.get("/loans/:id", allow("loans:view"), api.getLoan);
+router.post("/loans", allow("circulation"), api.createLoan);
+router.post("/loans/:id/return", allow("circulation"), api.returnLoan);
+router.post("/loans/:id/renew", allow("circulation"), api.renewLoan);
+
+// Holds
+router.get("/holds", allow("holds:manage"), api.listHolds);
+router.post("/holds", allow("holds:manage"), api.createHold);
+router.delete("/holds/:id", allow("holds:manage"), api.cancelHold);
+
+// Shelves book fields may name (public, like the catalog)
+router.get("/shelves", api.listShelves);
+
+// Statistics (the dashboard's charts)
+router.get("/stats/loans", allow("loans:view"), api.loanStats);
+router.get("/stats/top-titles", allow("loans:view"), api.topTitles);
+router.get("/stats/top-categories", allow("loans:view"), api.topCategories);
+router.get("/stats/members", allow("loans:view"), api.memberStats);
+router.get("/stats/overdue", allow("loans:view"), api.overdueStats);
+router.get("/stats/collection", allow("loans:view"), api.collectionStats);
+router.get("/stats/never-borrowed", allow("loans:view"), api.neverBorrowed);
+
+// Anything else under /api/v1 is a JSON 404, not the HTML one
+router.use((req, res, next) =>
+  next(new ApiError(404, "not_found", `No endpoint ${req.method} ${req.path}.`))
+);
+
+module.exports = router;
@@ -1,37 +1,84 @@
 const express = require("express");
 const router = express.Router();
 const bookController = require("../controllers/bookController");
+const { requirePermission } = require("../middleware/auth");
+const { listLocations } = require("../utils/locations");
+const { coverUpload } = require("../utils/covers");
 
 /**
  * Books Routes
+ *
+ * Browsing and lookups are public; every change to the catalog or to
+ * circulation declares the permission it needs (config/permissions.js).
  */
 
 // List all books
 router.get("/", bookController.listBooks);
 
 // Show a dedicated page with only the add book form
-router.get("/add", (req, res) => {
-  // Render a template containing only the add book form.  Passing query
-  // parameters allows any flash messages to be displayed on this page.
-  res.render("addBook", { query: req.query });
-});
+router.get(
+  "/add",
+  requirePermission("catalog:edit"),
+  async (req, res, next) => {
+    // Render a template containing only the add book form.  Passing query
+    // parameters allows any flash messages to be displayed on this page;
+    // the listed shelves fill its shelf picker.
+    try {
+      res.render("addBook", {
+        query: req.query,
+        locations: await listLocations(),
+      });
+    } catch (err) {
+      next(err);
+    }
+  }
+);
 
-// Add a new book
-router.post("/add", bookController.addBook);
+// Add a new book (multipart: the form may carry a cover image)
+router.post(
+  "/add",
+  requirePermission("catalog:edit"),
+  coverUpload,
+  bookController.addBook
+);
 
-// Update an existing book
-router.post("/update/:id", bookController.updateBook);
+// Update an existing book, its cover included
+router.post(
+  "/update/:id",
+  requirePermission("catalog:edit"),
+  coverUpload,
+  bookController.updateBook
+);
 
 // Delete a book
-router.post("/delete/:id", bookController.deleteBook);
+router.post(
+  "/delete/:id",
+  requirePermission("catalog:delete"),
+  bookController.deleteBook
+);
 
 // Lookup book details (by Mongo _id or custom bookID like AIPSLIB000123) → JSON
 router.get("/lookup/:id", bookController.lookupBook);
 
+// Can this member borrow this book? (JSON, used by the issue modal)
+router.get(
+  "/eligibility/:id",
+  requirePermission("circulation"),
+  bookController.checkIssue
+);
+
 // Issue a book
-router.post("/issue/:id", bookController.issueBook);
+router.post(
+  "/issue/:id",
+  requirePermission("circulation"),
+  bookController.issueBook
+);
 
 // Return a book
-router.post("/return/:id", bookController.returnBook);
+router.post(
+  "/return/:id",
+  requirePermission("circulation"),
+  bookController.returnBook
+);
 
 module.exports = router;
@@ -0,0 +1,26 @@
+// routes/copyRoutes.js
+const express = require("express");
+const router = express.Router();
+const copyController = require("../controllers/copyController");
+const { requirePermission } = require("../middleware/auth");
+
+// The copies of a book (accepts _id or AIPSLIB code), with their status
+router.get(
+  "/book/:id",
+  requirePermission("loans:view"),
+  copyController.listCopies
+);
+
+// Add copies to a book, or edit one copy
+router.post(
+  "/book/:id",
+  requirePermission("catalog:edit"),
+  copyController.addCopies
+);
+router.post(
+  "/:id",
+  requirePermission("catalog:edit"),
+  copyController.updateCopy
+);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+// routes/exportRoutes.js
+const express = require("express");
+const router = express.Router();
+const exportController = require("../controllers/exportController");
+const { requirePermission } = require("../middleware/auth");
+
+// Downloads for the school office.  Each accepts ?format=csv|json|xlsx
+// (books also marc|marcxml) plus the filters of the page it mirrors, and
+// needs "data:export" on top of the permission to view that data in the
+// first place.
+router.get(
+  "/books",
+  requirePermission("data:export"),
+  exportController.exportBooks
+);
+router.get(
+  "/members",
+  requirePermission("data:export", "members:view"),
+  exportController.exportMembers
+);
+router.get(
+  "/loans",
+  requirePermission("data:export", "loans:view"),
+  exportController.exportLoans
+);
+
+module.exports = router;
@@ -0,0 +1,26 @@
+// routes/galleryAdminRoutes.js
+const express = require("express");
+const router = express.Router();
+const galleryController = require("../controllers/galleryController");
+const { photoUpload } = require("../utils/gallery");
+
+// Mounted under /admin/gallery behind requirePermission("gallery:manage").
+
+// The photos in order, with the upload and album forms
+router.get("/", galleryController.manageGallery);
+
+// Upload, reorder, and add images copied into the gallery folder
+router.post("/photos", photoUpload, galleryController.uploadPhotos);
+router.post("/photos/order", galleryController.reorderPhotos);
+router.post("/photos/scan", galleryController.addMissingPhotos);
+
+// Caption, tag, file in an album, or delete a photo
+router.post("/photos/:id", galleryController.updatePhoto);
+router.post("/photos/:id/delete", galleryController.deletePhoto);
+
+// Albums
+router.post("/albums", galleryController.createAlbum);
+router.post("/albums/:id", galleryController.updateAlbum);
+router.post("/albums/:id/delete", galleryController.deleteAlbum);
+
+module.exports = router;
@@ -0,0 +1,18 @@
+// routes/holdRoutes.js
+const express = require("express");
+const router = express.Router();
+const holdController = require("../controllers/holdController");
+const { requirePermission } = require("../middleware/auth");
+
+// Managing the hold queue is limited to roles with "holds:manage".
+const manageHolds = requirePermission("holds:manage");
+
+// View all active holds, place a new one
+router.get("/", manageHolds, holdController.listHolds);
+router.post("/", manageHolds, holdController.createHold);
+
+// Reorder or cancel a hold
+router.post("/:id/move", manageHolds, holdController.moveHold);
+router.post("/:id/cancel", manageHolds, holdController.cancelHold);
+
+module.exports = router;
@@ -0,0 +1,36 @@
+// routes/importRoutes.js
+const express = require("express");
+const multer = require("multer");
+const router = express.Router();
+const importController = require("../controllers/importController");
+
+// Uploads are kept in memory: they are parsed once and never stored.
+// The commit form only carries the token of the preview it imports.
+const MAX_IMPORT_MB = 5;
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_MB * 1024 * 1024 },
+});
+
+/**
+ * Receive the import file.  One over the size limit is reported by
+ * previewImport instead of ending in an error page.
+ */
+function importUpload(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (err && err.code === "LIMIT_FILE_SIZE") {
+      req.importError = `The file is too large: it must be at most ${MAX_IMPORT_MB} MB.`;
+      return next();
+    }
+    next(err);
+  });
+}
+
+// Mounted under /admin/import behind requirePermission("catalog:import").
+
+// Upload form, dry-run preview, and commit of a previewed import
+router.get("/", importController.renderImport);
+router.post("/", importUpload, importController.previewImport);
+router.post("/commit", upload.none(), importController.commitImport);
+
+module.exports = router;
@@ -0,0 +1,25 @@
+// routes/labelRoutes.js
+const express = require("express");
+const router = express.Router();
+const labelController = require("../controllers/labelController");
+const { requirePermission } = require("../middleware/auth");
+
+// Label sheets to print.  The sheets accept ?format=pdf|svg plus a range
+// of IDs (?from=&to=) and/or the filters of the list page they mirror.
+router.get(
+  "/",
+  requirePermission("labels:print"),
+  labelController.renderLabels
+);
+router.get(
+  "/books",
+  requirePermission("labels:print"),
+  labelController.bookLabels
+);
+router.get(
+  "/members",
+  requirePermission("labels:print", "members:view"),
+  labelController.memberCards
+);
+
+module.exports = router;
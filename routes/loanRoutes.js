@@ -0,0 +1,35 @@
+// routes/loanRoutes.js
+const express = require("express");
+const router = express.Router();
+const loanController = require("../controllers/loanController");
+const { requirePermission } = require("../middleware/auth");
+
+// Loan history exposes who borrowed what, so none of these are public.
+
+// Per-book and per-member loan history (accepts _id or AIPSLIB/AIPSMEM code)
+router.get(
+  "/book/:id",
+  requirePermission("loans:view"),
+  loanController.bookHistory
+);
+router.get(
+  "/member/:id",
+  requirePermission("loans:view"),
+  loanController.memberHistory
+);
+
+// Record a fine payment for a member
+router.post(
+  "/member/:id/pay",
+  requirePermission("fines:collect"),
+  loanController.payMemberFines
+);
+
+// Renew an open loan at the circulation desk
+router.post(
+  "/:id/renew",
+  requirePermission("circulation"),
+  loanController.renewLoan
+);
+
+module.exports = router;
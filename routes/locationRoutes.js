@@ -0,0 +1,23 @@
+// routes/locationRoutes.js
+const express = require("express");
+const router = express.Router();
+const locationController = require("../controllers/locationController");
+const { requireLibrarian, requirePermission } = require("../middleware/auth");
+
+// Any librarian may look up the shelves; changing them, or moving books
+// between them, needs "shelves:manage".
+const manageShelves = requirePermission("shelves:manage");
+
+// The shelves by room and rack, and the printable shelf map
+router.get("/", requireLibrarian, locationController.listLocations);
+router.get("/map", requireLibrarian, locationController.shelfMap);
+
+// Add a shelf, move books between shelves
+router.post("/", manageShelves, locationController.createLocation);
+router.post("/move", manageShelves, locationController.moveBooks);
+
+// Change or remove a shelf
+router.post("/:id", manageShelves, locationController.updateLocation);
+router.post("/:id/delete", manageShelves, locationController.deleteLocation);
+
+module.exports = router;
@@ -0,0 +1,15 @@
+// routes/reminderRoutes.js
+const express = require("express");
+const router = express.Router();
+const reminderController = require("../controllers/reminderController");
+
+// Mounted under /admin/reminders behind requirePermission("reminders:manage").
+
+// Scheduler state, templates and sent notices
+router.get("/", reminderController.listReminders);
+router.post("/run", reminderController.runNow);
+router.post("/test", reminderController.sendTest);
+router.post("/templates/:kind", reminderController.saveTemplate);
+router.post("/templates/:kind/reset", reminderController.resetTemplate);
+
+module.exports = router;
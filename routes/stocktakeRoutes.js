@@ -0,0 +1,46 @@
+// routes/stocktakeRoutes.js
+const express = require("express");
+const router = express.Router();
+const stocktakeController = require("../controllers/stocktakeController");
+const { requirePermission } = require("../middleware/auth");
+
+// Counting shelves is limited to roles with "stocktake:run"; changing the
+// catalog from the report also needs "catalog:edit".
+const runStocktake = requirePermission("stocktake:run");
+const editCatalog = requirePermission("catalog:edit");
+
+// Counts in progress and past ones, start a new one
+router.get("/", runStocktake, stocktakeController.listStocktakes);
+router.post("/", runStocktake, stocktakeController.startStocktake);
+
+// One count: scan codes, take a scan back, close it
+router.get("/:id", runStocktake, stocktakeController.showStocktake);
+router.post("/:id/scan", runStocktake, stocktakeController.scan);
+router.post(
+  "/:id/scans/:scanId/delete",
+  runStocktake,
+  stocktakeController.removeScan
+);
+router.post("/:id/close", runStocktake, stocktakeController.close);
+
+// Act on the report: mark copies lost or found, move misplaced books
+router.post(
+  "/:id/lost",
+  runStocktake,
+  editCatalog,
+  stocktakeController.markLost
+);
+router.post(
+  "/:id/found",
+  runStocktake,
+  editCatalog,
+  stocktakeController.markFound
+);
+router.post(
+  "/:id/move",
+  runStocktake,
+  editCatalog,
+  stocktakeController.moveBook
+);
+
+module.exports = router;
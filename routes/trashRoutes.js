@@ -0,0 +1,13 @@
+// routes/trashRoutes.js
+const express = require("express");
+const router = express.Router();
+const trashController = require("../controllers/trashController");
+
+// Mounted under /admin/trash behind requirePermission("trash:manage").
+
+// Deleted books and members, and restoring or purging them
+router.get("/", trashController.listTrash);
+router.post("/:kind/:id/restore", trashController.restore);
+router.post("/:kind/:id/purge", trashController.purge);
+
+module.exports = router;
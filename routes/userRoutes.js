@@ -2,25 +2,69 @@
 const express = require("express");
 const router = express.Router();
 const userController = require("../controllers/userController");
-
-// Authorization helper for routes that should only be accessible to
-// librarians.  We read the `isAdmin` cookie written by the admin login
-// route.  Non‑admins are redirected back to the login page.
-const cookie = require("cookie");
-function requireAdmin(req, res, next) {
-  const cookies = cookie.parse(req.headers.cookie || "");
-  if (cookies.isAdmin === "1") {
-    return next();
-  }
-  return res.redirect("/admin/login");
-}
+// Role-based guards (see config/permissions.js).  Member records hold
+// phone numbers and emails, so none of these routes are public.
+const { requirePermission } = require("../middleware/auth");
 
 // Add Member form + create
-router.get("/add", requireAdmin, userController.renderAddForm);
-router.get("/list", requireAdmin, userController.renderList);
-router.post("/add", requireAdmin, userController.createMember);
+router.get(
+  "/add",
+  requirePermission("members:edit"),
+  userController.renderAddForm
+);
+router.get(
+  "/list",
+  requirePermission("members:view"),
+  userController.renderList
+);
+router.post(
+  "/add",
+  requirePermission("members:edit"),
+  userController.createMember
+);
+
+// Set the member's self-service portal PIN
+router.post(
+  "/:id/pin",
+  requirePermission("members:edit"),
+  userController.setPin
+);
+
+// Delete (move to the trash; an admin can restore it from /admin/trash)
+router.post(
+  "/:id/delete",
+  requirePermission("members:delete"),
+  userController.deleteMember
+);
 
 // List for dropdown/search
-router.get("/", userController.listUsers);
+router.get("/", requirePermission("members:view"), userController.listUsers);
+
+// Member profile: edit, activate/deactivate, renew and merge duplicates
+router.get(
+  "/:id",
+  requirePermission("members:view"),
+  userController.showMember
+);
+router.post(
+  "/:id",
+  requirePermission("members:edit"),
+  userController.updateMember
+);
+router.post(
+  "/:id/active",
+  requirePermission("members:edit"),
+  userController.setActive
+);
+router.post(
+  "/:id/renew",
+  requirePermission("members:edit"),
+  userController.renewMember
+);
+router.post(
+  "/:id/merge",
+  requirePermission("members:edit", "members:delete"),
+  userController.mergeMember
+);
 
 module.exports = router;
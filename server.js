@@ -4,14 +4,38 @@ const path = require("path");
 const bookRoutes = require("./routes/bookRoutes");
 const userRoutes = require("./routes/userRoutes");
 const galleryRoutes = require("./routes/galleryRoutes");
+const loanRoutes = require("./routes/loanRoutes");
+const holdRoutes = require("./routes/holdRoutes");
+const copyRoutes = require("./routes/copyRoutes");
+const accountRoutes = require("./routes/accountRoutes");
+const importRoutes = require("./routes/importRoutes");
+const trashRoutes = require("./routes/trashRoutes");
+const reminderRoutes = require("./routes/reminderRoutes");
+const galleryAdminRoutes = require("./routes/galleryAdminRoutes");
+const exportRoutes = require("./routes/exportRoutes");
+const labelRoutes = require("./routes/labelRoutes");
+const stocktakeRoutes = require("./routes/stocktakeRoutes");
+const locationRoutes = require("./routes/locationRoutes");
+const apiRoutes = require("./routes/apiRoutes");
+const { apiErrorHandler } = require("./utils/api");
 const connectDB = require("./config/db");
 require("dotenv").config();
 
-// Import the cookie parser.  We load this near the top because multiple
-// routes (including the root page) need to inspect cookies for
-// authorization and redirects.  The `cookie` module parses raw cookie
-// headers into an object we can easily read.
-const cookie = require("cookie");
+// Server-side librarian sessions.  `loadSession` resolves the session
+// cookie on every request so routes can check `req.librarian`.
+const {
+  loadSession,
+  requireLibrarian,
+  requirePermission,
+  startSession,
+  endSession,
+} = require("./middleware/auth");
+const Librarian = require("./models/Librarian");
+const librarianController = require("./controllers/librarianController");
+const auditController = require("./controllers/auditController");
+const { verifyPassword } = require("./utils/password");
+const { startReminderScheduler } = require("./utils/reminders");
+const { listLocations } = require("./utils/locations");
 
 const app = express();
 
@@ -34,15 +58,15 @@ app.use(express.static(path.join(__dirname, "public")));
 // Connect to database
 connectDB();
 
+// Identify the signed-in librarian (if any) before any route runs
+app.use(loadSession);
+
 // Routes
-// Root landing page.  If the visitor already has a valid admin cookie we
-// redirect them straight to the admin dashboard instead of showing the
+// Root landing page.  If the visitor is already signed in as a librarian
+// we redirect them straight to the admin dashboard instead of showing the
 // public landing page.  Otherwise render the landing page.
 app.get("/", (req, res) => {
-  // parse cookies from the request headers (if any).  Use the same
-  // `cookie` module imported above for admin routes.
-  const cookies = cookie.parse(req.headers.cookie || "");
-  if (cookies.isAdmin === "1") {
+  if (req.librarian) {
     return res.redirect("/admin/dashboard");
   }
   return res.render("landing");
@@ -51,6 +75,15 @@ app.get("/", (req, res) => {
 app.use("/books", bookRoutes);
 app.use("/members", userRoutes);
 app.use("/gallery", galleryRoutes);
+app.use("/loans", loanRoutes);
+app.use("/holds", holdRoutes);
+app.use("/copies", copyRoutes);
+app.use("/account", accountRoutes);
+app.use("/exports", exportRoutes);
+app.use("/labels", labelRoutes);
+app.use("/stocktake", stocktakeRoutes);
+app.use("/shelves", locationRoutes);
+app.use("/api/v1", apiRoutes);
 
 // ------------------ Admin routes ------------------
 // Define a dedicated router for all `/admin` endpoints. Using a nested router
@@ -58,113 +91,148 @@ app.use("/gallery", galleryRoutes);
 // ensures that the `/admin` prefix is applied uniformly to each handler.
 const adminRouter = express.Router();
 
-// The `cookie` module was imported at the top of this file so routes
-// defined below can parse cookies.  See the import near the top of
-// server.js.
-
-// Define fixed administrator credentials.  For better security these can
-// optionally be configured via environment variables at runtime.  When the
-// environment variables are not set the defaults below are used.  Only a
-// user who supplies the correct username/password pair will be allowed to
-// access the dashboard.
-// Administrator credentials can be specified via environment variables.  Use
-// defaults only for development – in production configure real credentials.
-const ADMIN_USERNAME = process.env.ADMIN_USERNAME || "aips";
-const ADMIN_PASSWORD = process.env.ADMIN_PASSWORD || "aipslib123";
-
 // GET /admin/login – Render a simple login form for librarians/admins.  This
 // uses the `adminLogin.ejs` view from the views folder.  If the user is
-// already authenticated via the `isAdmin` cookie then redirect them
-// straight to the dashboard to avoid unnecessary re‑login.  Otherwise
-// render the login form.
+// already signed in then redirect them straight to the dashboard to avoid
+// unnecessary re‑login.  Otherwise render the login form.
 adminRouter.get("/login", (req, res) => {
-  // If the request already contains a valid admin cookie, skip the login page
-  const cookies = cookie.parse(req.headers.cookie || "");
-  if (cookies.isAdmin === "1") {
+  if (req.librarian) {
     return res.redirect("/admin/dashboard");
   }
   res.render("adminLogin");
 });
 
 // POST /admin/login – Handle form submissions from the admin login page.
-// This route validates the provided username and password against the
-// predefined administrator credentials.  On success a secure cookie is
-// written so subsequent requests can be identified as authenticated.  On
-// failure the form is re‑rendered with an error message.
-adminRouter.post("/login", (req, res) => {
-  // Extract and trim form data to handle mobile browser whitespace issues
-  const name = req.body?.name ? String(req.body.name).trim() : "";
-  const password = req.body?.password ? String(req.body.password).trim() : "";
-
-  // Require both fields
-  if (!name || !password) {
-    return res.status(400).render("adminLogin", {
-      error: "Please enter both username and password.",
-    });
-  }
+// Each librarian signs in with their own account (see models/Librarian.js).
+// On success a server-side session is started and its token written to an
+// HTTP‑only cookie.  On failure the form is re‑rendered with an error
+// message that does not reveal whether the username exists.
+adminRouter.post("/login", async (req, res, next) => {
+  try {
+    // Extract and trim form data to handle mobile browser whitespace issues
+    const name = req.body?.name ? String(req.body.name).trim() : "";
+    const password = req.body?.password ? String(req.body.password).trim() : "";
+
+    // Require both fields
+    if (!name || !password) {
+      return res.status(400).render("adminLogin", {
+        error: "Please enter both username and password.",
+      });
+    }
 
-  // Check credentials (compare trimmed values) - ensure exact match
-  const usernameMatch = name === ADMIN_USERNAME;
-  const passwordMatch = password === ADMIN_PASSWORD;
-
-  if (usernameMatch && passwordMatch) {
-    // Successful login: set a cookie to flag this session as an admin.  The
-    // cookie is HTTP‑only to prevent client‑side scripts from accessing it.
-    // Use SameSite=Lax so the cookie is sent on top‑level navigations back
-    // to this site and set an expiry (maxAge) so it persists across sessions.
-    res.cookie("isAdmin", "1", {
-      httpOnly: true,
-      sameSite: "lax",
-      maxAge: 24 * 60 * 60 * 1000,
-      path: "/", // Explicitly set path to ensure cookie is available site-wide
-      // Only send the cookie over HTTPS when running in production.  When
-      // NODE_ENV is not production (e.g. during development), omit the
-      // secure flag so local HTTP works without TLS.
-      secure: process.env.NODE_ENV === "production",
+    const librarian = await Librarian.findOne({
+      username: name.toLowerCase(),
     });
+    const valid =
+      librarian &&
+      librarian.isActive &&
+      (await verifyPassword(password, librarian.passwordHash));
+
+    if (!valid) {
+      return res.status(401).render("adminLogin", {
+        error: "Invalid username or password.",
+      });
+    }
+
+    await startSession(req, res, librarian);
+    librarian.lastLoginAt = new Date();
+    await librarian.save();
     return res.redirect("/admin/dashboard");
+  } catch (err) {
+    next(err);
   }
-  // Invalid credentials: show an error message
-  return res.status(401).render("adminLogin", {
-    error: "Invalid username or password.",
-  });
 });
 
-// POST /admin/logout – Clear the admin cookie and redirect to the public landing page.
-// Overwrite the existing cookie with an empty value and a zero maxAge to
-// immediately expire it.  A POST method is used because deleting a cookie
-// is a state‑changing operation.
-adminRouter.post("/logout", (req, res) => {
-  res.cookie("isAdmin", "", {
-    httpOnly: true,
-    sameSite: "lax",
-    maxAge: 0,
-    secure: process.env.NODE_ENV === "production",
-  });
-  return res.redirect("/");
-});
-
-// Middleware to protect admin routes.  Any route defined after this will
-// require the `isAdmin` cookie to be present.  If the cookie is missing
-// the user is redirected back to the login page.  Only the `/login` routes
-// defined above bypass this check.
-adminRouter.use((req, res, next) => {
-  const cookies = cookie.parse(req.headers.cookie || "");
-  // Allow if authenticated
-  if (cookies.isAdmin === "1") {
-    return next();
+// POST /admin/logout – Revoke the current session, clear its cookie and
+// redirect to the public landing page.  A POST method is used because
+// ending a session is a state‑changing operation.
+adminRouter.post("/logout", async (req, res, next) => {
+  try {
+    await endSession(req, res);
+    return res.redirect("/");
+  } catch (err) {
+    next(err);
   }
-  // Otherwise send them to the login page
-  return res.redirect("/admin/login");
 });
 
+// Middleware to protect admin routes.  Any route defined after this
+// requires a signed-in librarian; everyone else is redirected back to the
+// login page.  Only the `/login` and `/logout` routes above bypass this.
+adminRouter.use(requireLibrarian);
+
 // GET /admin/dashboard – Admin dashboard.  Only accessible once
 // authenticated.  Renders the `welcome` view which contains librarian
 // functionality.
-adminRouter.get("/dashboard", (req, res) => {
-  res.render("welcome", { query: req.query });
+adminRouter.get("/dashboard", async (req, res, next) => {
+  try {
+    // The listed shelves fill the update modal's shelf picker
+    res.render("welcome", {
+      query: req.query,
+      locations: await listLocations(),
+    });
+  } catch (err) {
+    next(err);
+  }
 });
 
+// Librarian accounts: create, change roles, reset passwords, deactivate
+// and sign out.  Only roles with "staff:manage" (admins) may do this.
+const manageStaff = requirePermission("staff:manage");
+adminRouter.get("/librarians", manageStaff, librarianController.listLibrarians);
+adminRouter.post(
+  "/librarians",
+  manageStaff,
+  librarianController.createLibrarian
+);
+adminRouter.post(
+  "/librarians/:id/password",
+  manageStaff,
+  librarianController.setPassword
+);
+adminRouter.post(
+  "/librarians/:id/role",
+  manageStaff,
+  librarianController.setRole
+);
+adminRouter.post(
+  "/librarians/:id/active",
+  manageStaff,
+  librarianController.toggleActive
+);
+adminRouter.post(
+  "/librarians/:id/revoke",
+  manageStaff,
+  librarianController.revokeAll
+);
+
+// Audit log of catalog, member and circulation changes, searchable by
+// date, librarian, book and member
+adminRouter.get(
+  "/audit",
+  requirePermission("audit:view"),
+  auditController.listAudit
+);
+
+// Bulk catalog import from CSV/XLSX with a dry-run preview
+adminRouter.use("/import", requirePermission("catalog:import"), importRoutes);
+
+// Deleted books and members: restore or purge them
+adminRouter.use("/trash", requirePermission("trash:manage"), trashRoutes);
+
+// Email reminder templates and the log of reminders sent
+adminRouter.use(
+  "/reminders",
+  requirePermission("reminders:manage"),
+  reminderRoutes
+);
+
+// Gallery photos and albums: upload, caption, tag, reorder, delete
+adminRouter.use(
+  "/gallery",
+  requirePermission("gallery:manage"),
+  galleryAdminRoutes
+);
+
 // Mount the admin router at the `/admin` prefix.  This ensures all routes
 // defined above respond to paths such as `/admin/login` and `/admin/dashboard`.
 app.use("/admin", adminRouter);
@@ -172,6 +240,9 @@ app.use("/admin", adminRouter);
 // Optional: basic health check
 app.get("/health", (_req, res) => res.send("ok"));
 
+// API errors (including malformed JSON bodies) are answered as JSON
+app.use("/api", apiErrorHandler);
+
 // Error handler
 app.use((err, req, res, next) => {
   console.error(err);
@@ -180,3 +251,6 @@ app.use((err, req, res, next) => {
 
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => console.log(`🚀 http://localhost:${PORT}`));
+
+// Due-soon, overdue and hold-ready emails (off unless SMTP_HOST is set)
+startReminderScheduler();
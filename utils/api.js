@@ -0,0 +1,120 @@
+// utils/api.js
+// Shared plumbing for the JSON API (/api/v1): errors, pagination and
+// sorting.  See docs/openapi.json for the public contract.
+
+/**
+ * An error with an HTTP status and a stable machine-readable `code`.
+ * Thrown (or passed to next) by API handlers and turned into the API's
+ * error body by apiErrorHandler:
+ *
+ *   { "error": { "status": 404, "code": "not_found", "message": "…" } }
+ */
+class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const MAX_LIMIT = 100;
+const DEFAULT_LIMIT = 20;
+
+/**
+ * Read `?page=&limit=&sort=` from the request.  `sort` is a comma
+ * separated list of field names, each optionally prefixed with "-" for
+ * descending order; only names in `sortable` (public name → stored
+ * field) are accepted.
+ *
+ * @returns {{page: number, limit: number, skip: number, sort: object}}
+ */
+function pageParams(req, { sortable, defaultSort }) {
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(
+    MAX_LIMIT,
+    Math.max(1, parseInt(req.query.limit, 10) || DEFAULT_LIMIT)
+  );
+
+  const sort = {};
+  for (const part of String(req.query.sort || "").split(",")) {
+    const name = part.trim().replace(/^-/, "");
+    if (!name) continue;
+    if (!sortable[name]) {
+      throw new ApiError(400, "invalid_sort", `Cannot sort by "${name}".`, {
+        sortable: Object.keys(sortable),
+      });
+    }
+    sort[sortable[name]] = part.trim().startsWith("-") ? -1 : 1;
+  }
+  // _id last so pages are stable when sort keys tie
+  return {
+    page,
+    limit,
+    skip: (page - 1) * limit,
+    sort: { ...(Object.keys(sort).length ? sort : defaultSort), _id: 1 },
+  };
+}
+
+/**
+ * Run a paginated find and send `{ data, meta }`.  `serialize` maps each
+ * lean document to its API representation.
+ */
+async function sendPage(res, model, filter, params, serialize, populate = []) {
+  let query = model
+    .find(filter)
+    .sort(params.sort)
+    .skip(params.skip)
+    .limit(params.limit);
+  for (const p of populate) query = query.populate(...p);
+
+  const [docs, total] = await Promise.all([
+    query.lean(),
+    model.countDocuments(filter),
+  ]);
+  res.json({
+    data: docs.map(serialize),
+    meta: {
+      page: params.page,
+      limit: params.limit,
+      total,
+      pages: Math.ceil(total / params.limit),
+    },
+  });
+}
+
+/** Error middleware for /api: every failure becomes the JSON error body */
+function apiErrorHandler(err, req, res, next) {
+  let error = err;
+  if (err.type === "entity.parse.failed") {
+    error = new ApiError(
+      400,
+      "invalid_json",
+      "Request body is not valid JSON."
+    );
+  } else if (err.name === "CastError") {
+    error = new ApiError(400, "invalid_id", `Invalid value for ${err.path}.`);
+  } else if (err.name === "ValidationError") {
+    error = new ApiError(422, "validation_failed", err.message);
+  } else if (err.code === 11000) {
+    error = new ApiError(
+      409,
+      "duplicate",
+      "A record with this ID already exists."
+    );
+  } else if (!(err instanceof ApiError)) {
+    console.error(err);
+    error = new ApiError(500, "internal_error", "Something went wrong.");
+  }
+
+  res.status(error.status).json({
+    error: {
+      status: error.status,
+      code: error.code,
+      message: error.message,
+      ...(error.details && { details: error.details }),
+    },
+  });
+}
+
+module.exports = { ApiError, pageParams, sendPage, apiErrorHandler };
@@ -0,0 +1,150 @@
+// utils/archive.js
+const Book = require("../models/Book");
+const User = require("../models/User");
+const Loan = require("../models/Loan");
+const Hold = require("../models/Hold");
+const Copy = require("../models/Copy");
+const { ACTIVE: ACTIVE_HOLDS, cancelHold } = require("./holds");
+const { memberAccount } = require("./fines");
+const { audit } = require("./audit");
+const { deleteCoverFiles } = require("./covers");
+const { CURRENCY } = require("../config/loanPolicy");
+
+/**
+ * Deleting a book or member moves it to the trash instead: `archivedAt`
+ * is set and the record drops out of every list, search, export and
+ * dropdown (bookFilter/memberFilter skip archived records), while loan
+ * histories that point at it keep working.  From the trash an admin can
+ * restore it or purge it for good.
+ *
+ * Each function takes the `req` it acts for so the change is written to
+ * the audit log, and returns `{ ok, msg }` like the circulation helpers.
+ */
+
+const MODELS = { Book, User };
+const FIELD = { Book: "book", User: "member" };
+
+/** Helper: "Title (AIPSLIB000001)" / "Name (AIPSMEM0001)" for messages */
+const describe = (type, doc) =>
+  type === "Book"
+    ? `${doc.Title || doc.title} (${doc.BookID || doc.bookID})`
+    : `${doc.fullName} (${doc.memberID})`;
+
+/**
+ * Move a book or member to the trash.  Refused while copies are out on
+ * loan to or from it.  Active holds on it are cancelled, since it can no
+ * longer be issued.
+ *
+ * The record is marked first with a conditional update, so nothing new
+ * can be issued against it, and the loan check follows; if a loan was
+ * opened in between the mark is taken off again.
+ */
+async function archiveRecord(type, doc, { req = null } = {}) {
+  const Model = MODELS[type];
+  const label = describe(type, doc);
+  const open = () => Loan.exists({ [FIELD[type]]: doc._id, status: "issued" });
+  const busy =
+    type === "Book"
+      ? `${label} has copies on loan and cannot be deleted.`
+      : `${label} has books on loan and cannot be deleted.`;
+
+  if (await open()) return { ok: false, msg: busy };
+
+  const before = doc.toObject ? doc.toObject() : doc;
+  const archived = await Model.findOneAndUpdate(
+    { _id: doc._id, archivedAt: null },
+    {
+      archivedAt: new Date(),
+      archivedBy: req && req.librarian ? req.librarian.username : undefined,
+    },
+    { new: true }
+  );
+  if (!archived) return { ok: false, msg: `${label} is already deleted.` };
+
+  if (await open()) {
+    await Model.updateOne(
+      { _id: doc._id },
+      { $unset: { archivedAt: 1, archivedBy: 1 } }
+    );
+    return { ok: false, msg: busy };
+  }
+
+  const holds = await Hold.find({
+    [FIELD[type]]: doc._id,
+    status: { $in: ACTIVE_HOLDS },
+  });
+  for (const hold of holds) {
+    const was = hold.toObject();
+    if (await cancelHold(hold)) {
+      await audit(req, "hold.cancel", {
+        type: "Hold",
+        before: was,
+        after: hold,
+        note: `${type === "Book" ? "Book" : "Member"} deleted`,
+      });
+    }
+  }
+
+  const action = type === "Book" ? "book.archive" : "member.archive";
+  await audit(req, action, { type, before, after: archived });
+  return {
+    ok: true,
+    msg: `${label} moved to the trash.${
+      holds.length ? ` ${holds.length} hold(s) cancelled.` : ""
+    }`,
+  };
+}
+
+/** Take a book or member out of the trash */
+async function restoreRecord(type, doc, { req = null } = {}) {
+  const label = describe(type, doc);
+  const before = doc.toObject ? doc.toObject() : doc;
+  const restored = await MODELS[type].findOneAndUpdate(
+    { _id: doc._id, archivedAt: { $ne: null } },
+    { $unset: { archivedAt: 1, archivedBy: 1, mergedInto: 1 } },
+    { new: true }
+  );
+  if (!restored) return { ok: false, msg: `${label} is not in the trash.` };
+
+  const action = type === "Book" ? "book.restore" : "member.restore";
+  await audit(req, action, { type, before, after: restored });
+  return { ok: true, msg: `${label} restored.` };
+}
+
+/**
+ * Delete a book or member in the trash for good.  A book's copies and
+ * cover go with it; loans and holds stay as history.  Members who still owe
+ * fines are kept until the fines are paid.
+ */
+async function purgeRecord(type, doc, { req = null } = {}) {
+  const label = describe(type, doc);
+  if (!doc.archivedAt) {
+    return { ok: false, msg: `${label} is not in the trash.` };
+  }
+
+  if (type === "User") {
+    const { owed } = await memberAccount(doc);
+    if (owed > 0) {
+      return {
+        ok: false,
+        msg: `${label} still owes ${CURRENCY} ${owed} in fines.`,
+      };
+    }
+  }
+
+  const removed = await MODELS[type].findOneAndDelete({
+    _id: doc._id,
+    archivedAt: { $ne: null },
+  });
+  if (!removed) return { ok: false, msg: `${label} is not in the trash.` };
+  if (type === "Book") {
+    await Copy.deleteMany({ book: doc._id });
+    await deleteCoverFiles(removed.cover);
+  }
+
+  const action = type === "Book" ? "book.purge" : "member.purge";
+  await audit(req, action, { type, before: removed });
+  return { ok: true, msg: `${label} deleted permanently.` };
+}
+
+module.exports = { archiveRecord, restoreRecord, purgeRecord };
@@ -0,0 +1,178 @@
+// utils/audit.js
+const AuditLog = require("../models/AuditLog");
+
+// Fields recorded for each kind of record.  Secrets (PIN hashes) and
+// bookkeeping fields are left out.
+const FIELDS = {
+  Book: [
+    "BookID",
+    "Title",
+    "Author",
+    "Category",
+    "Year",
+    "ISBN13",
+    "ISBN10",
+    "Publisher",
+    "Edition",
+    "Language",
+    "TotalCopies",
+    "AvailableCopies",
+    "ShelfNo",
+    "Shelf",
+    "cover",
+    "archivedAt",
+  ],
+  User: [
+    "memberID",
+    "fullName",
+    "phone",
+    "email",
+    "memberType",
+    "gender",
+    "isActive",
+    "expiresAt",
+    "archivedAt",
+  ],
+  Loan: [
+    "book",
+    "member",
+    "copy",
+    "issueDate",
+    "dueDate",
+    "returnDate",
+    "issuedBy",
+    "returnedTo",
+    "fine",
+    "finePaid",
+    "status",
+  ],
+  Copy: [
+    "accessionNo",
+    "barcode",
+    "acquiredAt",
+    "price",
+    "condition",
+    "status",
+    "notes",
+  ],
+  Hold: ["book", "member", "position", "status", "expiresAt"],
+  MailTemplate: ["kind", "subject", "body", "item"],
+  Location: ["room", "rack", "shelfNo", "capacity", "categories", "notes"],
+  Photo: ["original", "caption", "tags", "album", "position"],
+  Album: ["name", "description", "position"],
+};
+
+/** Helper: a readable label for the record, kept with the entry */
+const LABELS = {
+  Book: (d) => d.BookID,
+  User: (d) => d.memberID,
+  Copy: (d) => d.barcode,
+  MailTemplate: (d) => d.kind,
+  Location: (d) => `${d.rack} / ${d.shelfNo}`,
+  Photo: (d) => d.original,
+  Album: (d) => d.name,
+};
+
+/** Helper: value as stored in the log (ids as strings, dates kept) */
+function plainValue(v) {
+  if (v === undefined) return null;
+  if (v && v._bsontype === "ObjectId") return String(v);
+  if (v && v._id && !(v instanceof Date)) return String(v._id);
+  return v;
+}
+
+/**
+ * The recorded fields of a document (or lean object) of `type`, or null.
+ */
+function snapshot(type, doc) {
+  if (!doc) return null;
+  const obj = doc.toObject ? doc.toObject({ virtuals: false }) : doc;
+  const out = {};
+  for (const f of FIELDS[type] || []) out[f] = plainValue(obj[f]);
+  return out;
+}
+
+/** Helper: are two recorded values the same? */
+const same = (a, b) =>
+  a instanceof Date || b instanceof Date
+    ? String(a && new Date(a).getTime()) === String(b && new Date(b).getTime())
+    : JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Reduce two snapshots to the fields that differ.  Either side may be
+ * null (a record created or deleted), in which case it is kept whole.
+ */
+function diff(before, after) {
+  if (!before || !after) return { before, after };
+  const b = {};
+  const a = {};
+  for (const k of new Set([...Object.keys(before), ...Object.keys(after)])) {
+    if (!same(before[k], after[k])) {
+      b[k] = before[k];
+      a[k] = after[k];
+    }
+  }
+  return { before: b, after: a };
+}
+
+/** Who is acting on this request, and through which interface */
+function actorOf(req) {
+  if (!req) return { actor: "system", actorType: "system", via: "cli" };
+  const via =
+    req.originalUrl && req.originalUrl.startsWith("/api/")
+      ? "api"
+      : req.originalUrl && req.originalUrl.startsWith("/account")
+      ? "portal"
+      : "web";
+  // The portal acts for its member even if a librarian is signed in too
+  if (req.member && (via === "portal" || !req.librarian)) {
+    return { actor: req.member.memberID, actorType: "member", via };
+  }
+  if (req.librarian) {
+    return { actor: req.librarian.username, actorType: "librarian", via };
+  }
+  return { actor: "system", actorType: "system", via };
+}
+
+/**
+ * Append an entry to the audit log.  `type` is the model name of the
+ * record ("Book", "User", "Loan", "Copy", "Hold", "MailTemplate",
+ * "Location", "Photo", "Album") and `before`/`after` its documents (or
+ * lean objects) around the change; only changed fields are stored.  The
+ * book and member involved are taken from the record unless given.
+ *
+ * Never throws: the change it describes has already been made, so a
+ * failure to log it is reported on the console instead of to the user.
+ *
+ * @param {object|null} req Express request (null for scripts)
+ * @param {string} action e.g. "book.update"
+ * @param {{type: string, before?: object, after?: object, book?: any, member?: any, note?: string}} entry
+ */
+async function audit(req, action, { type, before, after, book, member, note }) {
+  try {
+    const record = after || before || {};
+    const changes = diff(snapshot(type, before), snapshot(type, after));
+    if (before && after && Object.keys(changes.after).length === 0 && !note) {
+      return; // nothing changed
+    }
+
+    const id = (v) => (v && v._id ? v._id : v) || undefined;
+    await AuditLog.create({
+      ...actorOf(req),
+      ip: req ? req.ip : undefined,
+      action,
+      entityType: type,
+      entityId: record._id,
+      label: LABELS[type] ? LABELS[type](record) : undefined,
+      book: id(book) || (type === "Book" ? record._id : id(record.book)),
+      member: id(member) || (type === "User" ? record._id : id(record.member)),
+      before: changes.before,
+      after: changes.after,
+      note,
+    });
+  } catch (err) {
+    console.error(`audit log (${action}) failed:`, err);
+  }
+}
+
+module.exports = { FIELDS, snapshot, diff, audit };
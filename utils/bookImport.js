@@ -0,0 +1,465 @@
+// utils/bookImport.js
+const { Readable } = require("stream");
+const path = require("path");
+const ExcelJS = require("exceljs");
+const Book = require("../models/Book");
+const { generateBookID } = require("./idGen");
+const { ensureCopies, setCopyCount } = require("./copies");
+const { audit } = require("./audit");
+const { resolveShelf } = require("./locations");
+const { parseIsbn } = require("./isbn");
+const { MARC_EXTENSIONS, parseMarcFile } = require("./marc");
+
+/**
+ * Bulk catalog import shared by the admin upload page and the
+ * `import-books.js` CLI.  An import runs in two steps:
+ *
+ *   1. readImportFile() turns a CSV, XLSX or MARC21 file into plain rows, and
+ *      planImport() validates them and compares them with the catalog,
+ *      producing a dry-run plan that says what would happen to each row.
+ *   2. applyImport() carries out the create/update rows of a plan.
+ *
+ * Nothing is written until step 2, so the plan can be reviewed first.
+ */
+
+// Spreadsheet headers (lowercased, letters and digits only) → Book fields
+const COLUMNS = {
+  bookid: "BookID",
+  id: "BookID",
+  code: "BookID",
+  title: "Title",
+  author: "Author",
+  category: "Category",
+  year: "Year",
+  isbn: "ISBN",
+  isbn13: "ISBN",
+  isbn10: "ISBN",
+  publisher: "Publisher",
+  edition: "Edition",
+  language: "Language",
+  totalcopies: "TotalCopies",
+  copies: "TotalCopies",
+  total: "TotalCopies",
+  availablecopies: "AvailableCopies",
+  available: "AvailableCopies",
+  shelfno: "ShelfNo",
+  shelf: "Shelf",
+};
+
+// Fields compared when an imported row matches an existing BookID
+const CATALOG_FIELDS = [
+  "Title",
+  "Author",
+  "Category",
+  "Year",
+  "ISBN13",
+  "Publisher",
+  "Edition",
+  "Language",
+  "ShelfNo",
+  "Shelf",
+];
+
+const MIN_YEAR = 1000;
+
+/** Helper: header text → COLUMNS key */
+const headerKey = (h) =>
+  String(h || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/** Helper: key used to spot the same title/author pair */
+const pairKey = (title, author) =>
+  `${String(title || "").toLowerCase()}|${String(author || "").toLowerCase()}`;
+
+/** Helper: plain text of an ExcelJS cell value (rich text, formulas, …) */
+function cellText(v) {
+  if (v === null || v === undefined) return "";
+  if (v instanceof Date) return v.toISOString().slice(0, 10);
+  if (typeof v === "object") {
+    if (Array.isArray(v.richText)) {
+      return v.richText.map((t) => t.text).join("");
+    }
+    if (v.text !== undefined) return cellText(v.text);
+    if (v.result !== undefined) return cellText(v.result);
+    return "";
+  }
+  return String(v).trim();
+}
+
+/**
+ * Read the first worksheet of a CSV or XLSX file into rows keyed by the
+ * header cells of its first row.
+ *
+ * @param {Buffer} buffer File contents
+ * @param {string} filename Used to tell CSV from XLSX by extension
+ * @returns {Promise<{headers: string[], rows: {line: number, values: object}[]}>}
+ */
+async function parseSpreadsheet(buffer, filename) {
+  const ext = path.extname(String(filename || "")).toLowerCase();
+  const workbook = new ExcelJS.Workbook();
+  let sheet;
+
+  if (ext === ".csv") {
+    // Keep every CSV cell as text; validation does its own conversions
+    sheet = await workbook.csv.read(Readable.from(buffer), {
+      map: (v) => v,
+    });
+  } else if (ext === ".xlsx") {
+    await workbook.xlsx.load(buffer);
+    sheet = workbook.worksheets[0];
+  } else {
+    throw new Error("Only .csv, .xlsx, .mrc and .xml files can be imported.");
+  }
+  if (!sheet || sheet.rowCount === 0) return { headers: [], rows: [] };
+
+  // ExcelJS row values are 1-based
+  const headers = sheet.getRow(1).values.slice(1).map(cellText);
+  const rows = [];
+  sheet.eachRow((row, line) => {
+    if (line === 1) return;
+    const values = {};
+    headers.forEach((h, i) => {
+      if (h) values[h] = cellText(row.getCell(i + 1).value);
+    });
+    if (Object.values(values).some(Boolean)) rows.push({ line, values });
+  });
+  return { headers, rows };
+}
+
+/**
+ * Read an import file into rows for planImport(): a spreadsheet (see
+ * parseSpreadsheet), or MARC21 records (.mrc, or MARCXML .xml) mapped to
+ * the same column names by utils/marc.js.
+ *
+ * @returns {Promise<{headers: string[], rows: {line: number, values: object}[]}>}
+ */
+async function readImportFile(buffer, filename) {
+  const ext = path.extname(String(filename || "")).toLowerCase();
+  if (MARC_EXTENSIONS[ext]) return parseMarcFile(buffer, filename);
+  return parseSpreadsheet(buffer, filename);
+}
+
+/** Helper: whole number ≥ min from a cell, or an error message */
+function wholeNumber(text, label, min = 0, max = Infinity) {
+  const n = Number(text);
+  if (!Number.isInteger(n) || n < min || n > max) {
+    return {
+      error:
+        max === Infinity
+          ? `${label} must be a whole number of at least ${min}.`
+          : `${label} must be a whole number between ${min} and ${max}.`,
+    };
+  }
+  return { value: n };
+}
+
+/**
+ * Map one row's cells to Book fields and validate them.  Only fields
+ * with a value in the row are returned.
+ */
+function mapRow(values) {
+  const data = {};
+  const errors = [];
+
+  for (const [header, text] of Object.entries(values)) {
+    const field = COLUMNS[headerKey(header)];
+    if (!field || text === "") continue;
+    data[field] = text;
+  }
+
+  if (data.BookID) data.BookID = data.BookID.toUpperCase();
+  if (!data.Title) errors.push("Title is required.");
+
+  // An ISBN-10 or ISBN-13 column; both forms are stored
+  if (data.ISBN !== undefined) {
+    const isbn = parseIsbn(data.ISBN);
+    if (!isbn.ok) {
+      errors.push(isbn.msg);
+    } else {
+      data.ISBN13 = isbn.isbn13;
+      data.ISBN10 = isbn.isbn10;
+    }
+    delete data.ISBN;
+  }
+
+  const maxYear = new Date().getFullYear() + 1;
+  for (const [field, label, min, max] of [
+    ["Year", "Year", MIN_YEAR, maxYear],
+    ["TotalCopies", "Total copies", 0],
+    ["AvailableCopies", "Available copies", 0],
+  ]) {
+    if (data[field] === undefined) continue;
+    const parsed = wholeNumber(data[field], label, min, max);
+    if (parsed.error) errors.push(parsed.error);
+    else data[field] = parsed.value;
+  }
+
+  if (
+    Number.isInteger(data.TotalCopies) &&
+    Number.isInteger(data.AvailableCopies) &&
+    data.AvailableCopies > data.TotalCopies
+  ) {
+    errors.push("Available copies cannot exceed total copies.");
+  }
+
+  return { data, errors };
+}
+
+/**
+ * Validate parsed rows and compare them with the catalog.  Each row of
+ * the plan gets an `action`:
+ *
+ *   create    – new book (BookID generated on apply if none was given)
+ *   update    – BookID exists; `changes` lists the fields that differ
+ *   unchanged – BookID exists and nothing differs
+ *   skip      – same ISBN, or same title/author, as a book already in the
+ *               catalog
+ *   error     – invalid row or duplicate within the file; see `messages`
+ *
+ * Existing books keep their own available count, which follows their
+ * copies: a new total is refused if it would leave fewer copies than are
+ * out on loan.
+ *
+ * @param {{line: number, values: object}[]} rows Output of parseSpreadsheet
+ * @returns {Promise<{rows: object[], counts: object, ignored: string[]}>}
+ */
+async function planImport(rows) {
+  const mapped = rows.map((r) => ({ line: r.line, ...mapRow(r.values) }));
+
+  const ids = mapped.map((r) => r.data.BookID).filter(Boolean);
+  const isbns = mapped.map((r) => r.data.ISBN13).filter(Boolean);
+  const titles = [...new Set(mapped.map((r) => r.data.Title).filter(Boolean))];
+  const [byId, byIsbn, byTitle] = await Promise.all([
+    Book.find({ BookID: { $in: ids } }).lean(),
+    Book.find({ ISBN13: { $in: isbns } }).lean(),
+    Book.find({ Title: { $in: titles } })
+      .collation({ locale: "en", strength: 2 })
+      .lean(),
+  ]);
+  const existingIds = new Map(byId.map((b) => [b.BookID, b]));
+  const existingIsbns = new Map(byIsbn.map((b) => [b.ISBN13, b]));
+  const existingPairs = new Map(
+    byTitle.map((b) => [pairKey(b.Title, b.Author), b])
+  );
+
+  // Shelves must be listed, and are stored as the list spells them.  A
+  // row giving only one half keeps the other from the existing book.
+  const shelves = new Map();
+  for (const { data, errors } of mapped) {
+    if (data.Shelf === undefined && data.ShelfNo === undefined) continue;
+    const existing = (data.BookID && existingIds.get(data.BookID)) || {};
+    const shelf = data.Shelf ?? existing.Shelf;
+    const shelfNo = data.ShelfNo ?? existing.ShelfNo;
+    const key = `${shelf}|${shelfNo}`;
+    if (!shelves.has(key)) {
+      shelves.set(key, await resolveShelf({ shelf, shelfNo }));
+    }
+    const where = shelves.get(key);
+    if (!where.ok) {
+      errors.push(where.msg);
+    } else {
+      data.Shelf = where.Shelf;
+      data.ShelfNo = where.ShelfNo;
+    }
+  }
+
+  const seenIds = new Map();
+  const seenIsbns = new Map();
+  const seenPairs = new Map();
+  const plan = mapped.map(({ line, data, errors }) => {
+    const row = { line, data, messages: [...errors], changes: [] };
+    const pair = pairKey(data.Title, data.Author);
+
+    if (data.BookID && seenIds.has(data.BookID)) {
+      row.messages.push(
+        `Duplicate BookID ${data.BookID} (also on line ${seenIds.get(
+          data.BookID
+        )}).`
+      );
+    } else if (data.ISBN13 && seenIsbns.has(data.ISBN13)) {
+      row.messages.push(
+        `Duplicate ISBN ${data.ISBN13} (also on line ${seenIsbns.get(
+          data.ISBN13
+        )}).`
+      );
+    } else if (seenPairs.has(pair)) {
+      row.messages.push(
+        `Duplicate title and author (also on line ${seenPairs.get(pair)}).`
+      );
+    }
+    if (data.BookID && !seenIds.has(data.BookID)) {
+      seenIds.set(data.BookID, line);
+    }
+    if (data.ISBN13 && !seenIsbns.has(data.ISBN13)) {
+      seenIsbns.set(data.ISBN13, line);
+    }
+    if (data.Title && !seenPairs.has(pair)) seenPairs.set(pair, line);
+
+    if (row.messages.length) return { ...row, action: "error" };
+
+    const existing = data.BookID && existingIds.get(data.BookID);
+    const isbnOwner = data.ISBN13 && existingIsbns.get(data.ISBN13);
+    if (existing && existing.archivedAt) {
+      row.messages.push(
+        `${existing.BookID} is in the trash. Restore it before importing changes.`
+      );
+      return { ...row, action: "error" };
+    }
+    if (existing && isbnOwner && isbnOwner.BookID !== existing.BookID) {
+      row.messages.push(
+        `ISBN ${data.ISBN13} belongs to ${isbnOwner.BookID}, not ${existing.BookID}.`
+      );
+      return { ...row, action: "error" };
+    }
+    if (existing) {
+      for (const field of CATALOG_FIELDS) {
+        if (data[field] !== undefined && data[field] !== existing[field]) {
+          row.changes.push({ field, from: existing[field], to: data[field] });
+        }
+      }
+      // A new ISBN-13 brings its ISBN-10 (none for 979- numbers)
+      if (row.changes.some((c) => c.field === "ISBN13")) {
+        row.changes.push({
+          field: "ISBN10",
+          from: existing.ISBN10,
+          to: data.ISBN10,
+        });
+      }
+      if (
+        data.TotalCopies !== undefined &&
+        data.TotalCopies !== existing.TotalCopies
+      ) {
+        const delta = data.TotalCopies - (existing.TotalCopies || 0);
+        if ((existing.AvailableCopies || 0) + delta < 0) {
+          row.messages.push(
+            `Cannot reduce total copies to ${data.TotalCopies}: ${
+              (existing.TotalCopies || 0) - (existing.AvailableCopies || 0)
+            } are on loan.`
+          );
+          return { ...row, action: "error" };
+        }
+        row.changes.push({
+          field: "TotalCopies",
+          from: existing.TotalCopies,
+          to: data.TotalCopies,
+        });
+      }
+      if (data.AvailableCopies !== undefined) {
+        row.messages.push(
+          "AvailableCopies is ignored for existing books; it follows their copies."
+        );
+      }
+      return {
+        ...row,
+        bookID: existing.BookID,
+        action: row.changes.length ? "update" : "unchanged",
+      };
+    }
+
+    const twin = isbnOwner || existingPairs.get(pair);
+    if (twin) {
+      row.messages.push(
+        twin.archivedAt
+          ? `Already in the catalog as ${twin.BookID} (in the trash).`
+          : `Already in the catalog as ${twin.BookID}.`
+      );
+      return { ...row, bookID: twin.BookID, action: "skip" };
+    }
+
+    if (data.TotalCopies === undefined) data.TotalCopies = 1;
+    if (data.AvailableCopies === undefined) {
+      data.AvailableCopies = data.TotalCopies;
+    }
+    return { ...row, bookID: data.BookID, action: "create" };
+  });
+
+  const counts = { create: 0, update: 0, unchanged: 0, skip: 0, error: 0 };
+  for (const r of plan) counts[r.action] += 1;
+
+  const headers = rows.length ? Object.keys(rows[0].values) : [];
+  const ignored = headers.filter((h) => !COLUMNS[headerKey(h)]);
+
+  return { rows: plan, counts, ignored };
+}
+
+/** Helper: next generated BookID not already used by an imported book */
+async function freshBookID() {
+  for (;;) {
+    const id = await generateBookID("AIPSLIB", 6);
+    if (!(await Book.exists({ BookID: id }))) return id;
+  }
+}
+
+/**
+ * Carry out the create and update rows of a plan.  New books get one Copy
+ * per copy (those not available are recorded as out on loan).  Updates
+ * are conditional on the book's total still being what the plan saw, so
+ * a book edited in the meantime is reported as failed instead of being
+ * overwritten; a new total adds copies or withdraws ones on the shelf.
+ * Each book created or updated is written to the audit log as done by
+ * `req` (null when run from the command line).
+ *
+ * @param {object} plan From planImport()
+ * @param {{req?: object}} [options]
+ * @returns {Promise<{created: number, updated: number, failed: object[]}>}
+ */
+async function applyImport(plan, { req = null } = {}) {
+  const result = { created: 0, updated: 0, failed: [] };
+
+  for (const row of plan.rows) {
+    try {
+      if (row.action === "create") {
+        const BookID = row.data.BookID || (await freshBookID());
+        const book = await Book.create({ ...row.data, BookID });
+        await ensureCopies(book);
+        await audit(req, "book.create", {
+          type: "Book",
+          after: await Book.findById(book._id).lean(),
+          note: `Imported from line ${row.line}`,
+        });
+        row.bookID = BookID;
+        result.created += 1;
+      } else if (row.action === "update") {
+        const $set = {};
+        let total;
+        for (const c of row.changes) {
+          if (c.field === "TotalCopies") total = c;
+          else $set[c.field] = c.to;
+        }
+
+        const book = await Book.findOne({
+          BookID: row.bookID,
+          ...(total && { TotalCopies: total.from }),
+        });
+        if (!book) {
+          throw new Error("Book changed since the preview; import it again.");
+        }
+        const before = book.toObject();
+        if (total) {
+          const copies = await setCopyCount(book, total.to);
+          if (!copies.ok) throw new Error(copies.msg);
+        }
+        await Book.updateOne({ _id: book._id }, { $set });
+        await audit(req, "book.update", {
+          type: "Book",
+          before,
+          after: await Book.findById(book._id).lean(),
+          note: `Imported from line ${row.line}`,
+        });
+        result.updated += 1;
+      }
+    } catch (err) {
+      result.failed.push({ line: row.line, msg: err.message });
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  COLUMNS,
+  parseSpreadsheet,
+  readImportFile,
+  planImport,
+  applyImport,
+};
@@ -0,0 +1,397 @@
+// utils/circulation.js
+const Book = require("../models/Book");
+const Loan = require("../models/Loan");
+const User = require("../models/User");
+const Hold = require("../models/Hold");
+const Copy = require("../models/Copy");
+const { getPolicy, CURRENCY } = require("../config/loanPolicy");
+const { calculateFine, memberAccount } = require("./fines");
+const { addDays } = require("./dates");
+const { ACTIVE: ACTIVE_HOLDS, refreshHolds } = require("./holds");
+const { ensureCopies, findCopy, syncCopyCounts } = require("./copies");
+
+/**
+ * Decide whether `member` may borrow a copy of `book` right now, before
+ * looking at copies or holds.  Refused, in this order, when the book or
+ * member is in the trash, the member is deactivated, their membership has
+ * expired, their outstanding fines exceed the block threshold, they
+ * already have `maxLoans` copies out, or they already have a copy of this
+ * title.
+ *
+ * @returns {Promise<{ok: boolean, reason?: string, msg?: string}>}
+ *   `reason` is one of "archived", "inactive", "expired", "fines",
+ *   "limit", "duplicate"
+ */
+async function checkBorrower(member, book) {
+  const who = `${member.fullName} (${member.memberID})`;
+
+  if (book.archivedAt || member.archivedAt) {
+    return {
+      ok: false,
+      reason: "archived",
+      msg: book.archivedAt
+        ? "This book has been deleted and cannot be issued."
+        : `${who} has been deleted and cannot borrow.`,
+    };
+  }
+
+  if (!member.isActive) {
+    return {
+      ok: false,
+      reason: "inactive",
+      msg: `${who} is deactivated and cannot borrow.`,
+    };
+  }
+
+  if (member.expiresAt && member.expiresAt < new Date()) {
+    return {
+      ok: false,
+      reason: "expired",
+      msg: `The membership of ${who} expired on ${member.expiresAt.toDateString()}. Renew it before issuing.`,
+    };
+  }
+
+  const account = await memberAccount(member);
+  if (account.blocked) {
+    return {
+      ok: false,
+      reason: "fines",
+      msg: `${who} owes ${CURRENCY} ${account.balance} in fines and cannot borrow until they are paid.`,
+    };
+  }
+
+  const { maxLoans } = getPolicy(member.memberType);
+  if (account.openLoans >= maxLoans) {
+    return {
+      ok: false,
+      reason: "limit",
+      msg: `${who} already has ${account.openLoans} books out, the limit for ${member.memberType} members (${maxLoans}).`,
+    };
+  }
+
+  const sameTitle = await Loan.exists({
+    book: book._id,
+    member: member._id,
+    status: "issued",
+  });
+  if (sameTitle) {
+    return {
+      ok: false,
+      reason: "duplicate",
+      msg: `${who} already has a copy of this book.`,
+    };
+  }
+
+  return { ok: true };
+}
+
+/**
+ * Issue one copy of `book` to `member` and open a Loan for it.  The due
+ * date follows the loan period of the member's type, and members refused
+ * by checkBorrower() are turned away with its reason.  Copies set
+ * aside for "ready" holds can only go to the members holding them; a
+ * member collecting their own hold fulfils it.  `noCopies` is set on the
+ * result when the member could be placed in the hold queue instead.
+ *
+ * `copy` is the barcode (or accession number) of the copy handed over;
+ * without it any copy on the shelf is taken.
+ *
+ * MongoDB only supports multi-document transactions on replica sets, so
+ * the writes are ordered instead: the available counter is decremented
+ * with a conditional update first (only one request can take the last
+ * free copy), then a copy is claimed by switching its status from
+ * "available" to "on_loan", then the loan is created.  If a later step
+ * fails the copy is put back and the counters are recomputed.
+ *
+ * @returns {Promise<{ok: boolean, msg?: string, loan?: object}>}
+ */
+async function issueCopy(book, member, { issuedBy, copy: code } = {}) {
+  const now = new Date();
+
+  const eligible = await checkBorrower(member, book);
+  if (!eligible.ok) return eligible;
+
+  await ensureCopies(book);
+  let wanted = null;
+  if (code) {
+    wanted = await findCopy(book, code);
+    if (!wanted) {
+      return { ok: false, msg: `No copy of this book has barcode ${code}.` };
+    }
+    if (wanted.status !== "available") {
+      return {
+        ok: false,
+        msg: `Copy ${wanted.barcode} is ${wanted.status.replace(
+          "_",
+          " "
+        )} and cannot be issued.`,
+      };
+    }
+  }
+
+  await refreshHolds(book._id);
+  const ready = await Hold.find({ book: book._id, status: "ready" }).lean();
+  const ownHold = ready.find((h) => String(h.member) === String(member._id));
+  const reserved = ready.length - (ownHold ? 1 : 0);
+
+  // Query and update the stored PascalCase field; aliases are not stored
+  // in MongoDB and cannot be used in queries.
+  const updated = await Book.findOneAndUpdate(
+    { _id: book._id, AvailableCopies: { $gt: reserved } },
+    { $inc: { AvailableCopies: -1 } },
+    { new: true }
+  );
+  if (!updated) {
+    return {
+      ok: false,
+      noCopies: true,
+      msg:
+        reserved > 0
+          ? "The available copies are reserved for members with holds."
+          : "No copies available to issue.",
+    };
+  }
+
+  const copy = await Copy.findOneAndUpdate(
+    {
+      book: book._id,
+      status: "available",
+      ...(wanted && { _id: wanted._id }),
+    },
+    { status: "on_loan" },
+    { new: true }
+  );
+  if (!copy) {
+    await syncCopyCounts(book._id);
+    return wanted
+      ? { ok: false, msg: `Copy ${wanted.barcode} has just been issued.` }
+      : { ok: false, noCopies: true, msg: "No copies available to issue." };
+  }
+
+  try {
+    const loan = await Loan.create({
+      book: book._id,
+      member: member._id,
+      copy: copy._id,
+      issuedBy,
+      issueDate: now,
+      dueDate: addDays(now, getPolicy(member.memberType).loanDays),
+    });
+    if (ownHold) {
+      await Hold.updateOne(
+        { _id: ownHold._id },
+        { status: "fulfilled", closedAt: now }
+      );
+    }
+    await syncCopyCounts(book._id);
+    return { ok: true, loan, copy };
+  } catch (err) {
+    await Copy.updateOne({ _id: copy._id }, { status: "available" });
+    await syncCopyCounts(book._id);
+    throw err;
+  }
+}
+
+/**
+ * Close the open loan of `book` held by `member` and put the copy back.
+ *
+ * With a `copy` barcode (or accession number) the loan of that copy is
+ * closed, which also identifies the borrower.  Otherwise, when no member
+ * is given the book's only open loan is closed; if several members hold
+ * a copy the caller must say which one is returning it.  The loan is
+ * closed with a conditional update (status "issued" → "returned") so two
+ * concurrent returns cannot both succeed, and the copy is only put back
+ * on the shelf once that update has gone through.  Any overdue fine is
+ * fixed on the loan as it closes.  `loan` is null when a copy issued
+ * before loans were recorded comes back.  If members are waiting for the
+ * book the copy is set aside for the next one, returned as `readyHolds`.
+ *
+ * @returns {Promise<{ok: boolean, msg?: string, loan?: object, readyHolds?: object[]}>}
+ */
+async function returnCopy(book, member, { returnedTo, copy: code } = {}) {
+  await ensureCopies(book);
+
+  const filter = { book: book._id, status: "issued" };
+  if (member) filter.member = member._id;
+
+  let copy = null;
+  if (code) {
+    copy = await findCopy(book, code);
+    if (!copy) {
+      return { ok: false, msg: `No copy of this book has barcode ${code}.` };
+    }
+    if (copy.status !== "on_loan") {
+      return { ok: false, msg: `Copy ${copy.barcode} is not on loan.` };
+    }
+    filter.copy = copy._id;
+  }
+
+  const open = await Loan.find(filter).sort({ issueDate: 1 }).limit(2);
+  if (open.length === 0 && !member) {
+    // Copies issued before loan records existed have no Loan to close;
+    // still let them be put back so they are not stranded.
+    const lent = await Loan.distinct("copy", {
+      book: book._id,
+      status: "issued",
+    });
+    const legacy = await Copy.findOneAndUpdate(
+      {
+        book: book._id,
+        status: "on_loan",
+        _id: copy ? { $eq: copy._id, $nin: lent } : { $nin: lent },
+      },
+      { status: "available" }
+    );
+    if (legacy) {
+      await syncCopyCounts(book._id);
+      return { ok: true, loan: null, readyHolds: await refreshHolds(book._id) };
+    }
+    return { ok: false, msg: "All copies already returned." };
+  }
+  if (open.length === 0) {
+    return {
+      ok: false,
+      msg: copy
+        ? `Copy ${copy.barcode} is not on loan to ${member.fullName} (${member.memberID}).`
+        : `${member.fullName} (${member.memberID}) has no open loan for this book.`,
+    };
+  }
+  if (!member && open.length > 1) {
+    return {
+      ok: false,
+      msg: "Several members have this book. Please select the member returning it.",
+    };
+  }
+
+  const returnDate = new Date();
+  const borrower = member || (await User.findById(open[0].member));
+  const { amount: fine } = calculateFine(
+    { dueDate: open[0].dueDate, returnDate },
+    borrower && borrower.memberType
+  );
+
+  const loan = await Loan.findOneAndUpdate(
+    { _id: open[0]._id, status: "issued" },
+    { status: "returned", returnDate, returnedTo, fine },
+    { new: true }
+  );
+  if (!loan) {
+    // A concurrent request closed this loan first
+    return { ok: false, msg: "This loan has already been returned." };
+  }
+
+  await Copy.updateOne(
+    { _id: loan.copy, status: "on_loan" },
+    { status: "available" }
+  );
+  await syncCopyCounts(book._id);
+
+  return { ok: true, loan, readyHolds: await refreshHolds(book._id) };
+}
+
+/**
+ * Close an open loan whose book has been purged.  There is no copy left
+ * to put back or to set aside for a hold, so only the loan is closed,
+ * with any overdue fine fixed on it as returnCopy() does.
+ *
+ * @returns {Promise<{ok: boolean, msg?: string, loan?: object, readyHolds?: object[]}>}
+ */
+async function closeLoan(loan, member, { returnedTo } = {}) {
+  const returnDate = new Date();
+  const { amount: fine } = calculateFine(
+    { dueDate: loan.dueDate, returnDate },
+    member && member.memberType
+  );
+  const closed = await Loan.findOneAndUpdate(
+    { _id: loan._id, status: "issued" },
+    { status: "returned", returnDate, returnedTo, fine },
+    { new: true }
+  );
+  if (!closed) {
+    return { ok: false, msg: "This loan has already been returned." };
+  }
+  return { ok: true, loan: closed, readyHolds: [] };
+}
+
+/**
+ * Renew an open loan: its new due date is one full loan period (for the
+ * member's type) from today.  Refused when other members are waiting for
+ * the book, when the loan has used up the `maxRenewals` of the member's
+ * type, or when it is more than `renewOverdueDays` overdue.  Each renewal
+ * is appended to `loan.renewals`.  The update is conditional on the due
+ * date still being the one checked, so two concurrent renewals cannot
+ * both succeed.
+ *
+ * @param {object} loan Loan document
+ * @param {object} member The borrower (User document)
+ * @param {{renewedBy?: string}} [options] Librarian username or "portal"
+ * @returns {Promise<{ok: boolean, msg?: string, loan?: object}>}
+ */
+async function renewLoan(loan, member, { renewedBy } = {}) {
+  if (loan.status !== "issued") {
+    return { ok: false, msg: "This loan has already been returned." };
+  }
+
+  const now = new Date();
+  const policy = getPolicy(member.memberType);
+
+  const renewed = (loan.renewals || []).length;
+  if (renewed >= policy.maxRenewals) {
+    return {
+      ok: false,
+      msg: `Renewal limit reached (${policy.maxRenewals} for ${member.memberType} members). Please return the book.`,
+    };
+  }
+
+  const { daysOverdue } = calculateFine(loan, member.memberType, now);
+  if (daysOverdue > policy.renewOverdueDays) {
+    return {
+      ok: false,
+      msg: `This loan is ${daysOverdue} days overdue and can no longer be renewed. Please return the book.`,
+    };
+  }
+
+  const waiting = await Hold.countDocuments({
+    book: loan.book,
+    status: { $in: ACTIVE_HOLDS },
+  });
+  if (waiting > 0) {
+    return {
+      ok: false,
+      msg: "Other members are waiting for this book, so it cannot be renewed.",
+    };
+  }
+
+  const dueDate = addDays(now, policy.loanDays);
+  if (dueDate <= loan.dueDate) {
+    return { ok: false, msg: "This loan already runs for a full loan period." };
+  }
+
+  const updated = await Loan.findOneAndUpdate(
+    { _id: loan._id, status: "issued", dueDate: loan.dueDate },
+    {
+      dueDate,
+      $push: {
+        renewals: {
+          renewedAt: now,
+          renewedBy,
+          previousDueDate: loan.dueDate,
+          newDueDate: dueDate,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return { ok: false, msg: "This loan has changed. Please try again." };
+  }
+  return { ok: true, loan: updated };
+}
+
+module.exports = {
+  checkBorrower,
+  issueCopy,
+  returnCopy,
+  closeLoan,
+  renewLoan,
+};
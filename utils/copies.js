@@ -0,0 +1,228 @@
+// utils/copies.js
+const Book = require("../models/Book");
+const Copy = require("../models/Copy");
+const Loan = require("../models/Loan");
+const { generateAccessionNo } = require("./idGen");
+
+const CONDITIONS = Copy.schema.path("condition").enumValues;
+const STATUSES = Copy.schema.path("status").enumValues;
+
+// Copies that no longer belong to the collection
+const GONE = ["lost", "withdrawn"];
+
+/**
+ * Recompute a book's TotalCopies and AvailableCopies from its copies:
+ * the total counts every copy that is not lost or withdrawn, the
+ * available count those on the shelf with status "available".  Called
+ * after every change to a copy's status.
+ *
+ * @returns {Promise<{total: number, available: number}>}
+ */
+async function syncCopyCounts(bookId) {
+  const [total, available] = await Promise.all([
+    Copy.countDocuments({ book: bookId, status: { $nin: GONE } }),
+    Copy.countDocuments({ book: bookId, status: "available" }),
+  ]);
+  await Book.updateOne(
+    { _id: bookId },
+    { TotalCopies: total, AvailableCopies: available }
+  );
+  return { total, available };
+}
+
+/**
+ * Create `count` new copies of a book, each with its own accession
+ * number.  `attrs` (acquiredAt, price, condition, status, …) apply to
+ * all of them.  Counters are not synced; callers do that once at the end.
+ */
+async function addCopies(book, count, attrs = {}) {
+  const copies = [];
+  for (let i = 0; i < count; i++) {
+    const accessionNo = await generateAccessionNo();
+    copies.push(
+      await Copy.create({
+        ...attrs,
+        book: book._id,
+        accessionNo,
+        barcode: accessionNo,
+      })
+    );
+  }
+  return copies;
+}
+
+// How long one request may take to create a book's copies before
+// another may take over, and how often waiting requests look again
+const PROVISION_TIMEOUT_MS = 30 * 1000;
+const PROVISION_POLL_MS = 200;
+
+/**
+ * Helper: remove the copies a provisioning run left on a book that is
+ * not tracked yet, and unlink the loans given them, so the next run
+ * starts from the counters alone.  Untracked books get copies from
+ * nowhere else.
+ */
+async function clearUntrackedCopies(bookId) {
+  const left = await Copy.find({ book: bookId }).select("_id").lean();
+  if (!left.length) return;
+  const ids = left.map((c) => c._id);
+  await Loan.updateMany({ copy: { $in: ids } }, { $set: { copy: null } });
+  await Copy.deleteMany({ _id: { $in: ids } });
+}
+
+/**
+ * Helper: wait for the request provisioning `book` to finish.  Should it
+ * fail (its claim is released) or die (the claim goes stale), this
+ * request provisions the book itself.
+ */
+async function waitForCopies(book) {
+  const deadline = Date.now() + PROVISION_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    await new Promise((resolve) => setTimeout(resolve, PROVISION_POLL_MS));
+    const current = await Book.findById(book._id)
+      .select("copiesTracked copiesClaimedAt")
+      .lean();
+    if (!current || current.copiesTracked) {
+      book.copiesTracked = true;
+      return;
+    }
+    if (!current.copiesClaimedAt) return ensureCopies(book);
+  }
+  return ensureCopies(book);
+}
+
+/**
+ * Give a book that only has counters its Copy documents, once.  Open
+ * loans each get an "on_loan" copy linked through `loan.copy`; copies
+ * the counters show as issued without a loan (lent before loans were
+ * recorded) become unlinked "on_loan" copies; the rest are "available".
+ *
+ * Books are provisioned lazily, the first time a copy is needed, so
+ * existing catalogs keep working without a migration.  One request
+ * claims the book with a conditional update (`copiesClaimedAt`) and
+ * creates its copies; others wait until it has, so none of them sees a
+ * book without copies.  A run that fails removes what it created.
+ */
+async function ensureCopies(book) {
+  if (book.copiesTracked) return;
+  const stale = new Date(Date.now() - PROVISION_TIMEOUT_MS);
+  const claimed = await Book.findOneAndUpdate(
+    {
+      _id: book._id,
+      copiesTracked: { $ne: true },
+      $or: [{ copiesClaimedAt: null }, { copiesClaimedAt: { $lt: stale } }],
+    },
+    { copiesClaimedAt: new Date() }
+  );
+  if (!claimed) {
+    // Tracked meanwhile, or another request is creating the copies
+    return waitForCopies(book);
+  }
+
+  try {
+    // A run that died part way (its claim went stale) left copies behind
+    await clearUntrackedCopies(book._id);
+
+    const loans = await Loan.find({
+      book: book._id,
+      status: "issued",
+      copy: null,
+    });
+    for (const loan of loans) {
+      const [copy] = await addCopies(book, 1, {
+        status: "on_loan",
+        acquiredAt: claimed.createdAt,
+      });
+      await Loan.updateOne({ _id: loan._id }, { copy: copy._id });
+    }
+
+    const available = Math.max(0, claimed.AvailableCopies || 0);
+    const total = Math.max(claimed.TotalCopies || 0, loans.length + available);
+    await addCopies(book, total - loans.length - available, {
+      status: "on_loan",
+      acquiredAt: claimed.createdAt,
+    });
+    await addCopies(book, available, { acquiredAt: claimed.createdAt });
+  } catch (err) {
+    await clearUntrackedCopies(book._id).catch(() => {});
+    await Book.updateOne({ _id: book._id }, { $unset: { copiesClaimedAt: 1 } });
+    throw err;
+  }
+  await Book.updateOne(
+    { _id: book._id },
+    { $set: { copiesTracked: true }, $unset: { copiesClaimedAt: 1 } }
+  );
+  book.copiesTracked = true;
+  await syncCopyCounts(book._id);
+}
+
+/** Copy of `book` with the given barcode or accession number, if any */
+async function findCopy(book, code) {
+  const value = String(code || "").trim();
+  if (!value) return null;
+  await ensureCopies(book);
+  return Copy.findOne({
+    book: book._id,
+    $or: [{ barcode: value }, { accessionNo: value.toUpperCase() }],
+  });
+}
+
+/**
+ * Bring a book to `total` copies in the collection: new copies are
+ * added, or copies on the shelf are withdrawn (newest first).  Refused
+ * when there are not enough copies on the shelf to withdraw.
+ *
+ * @returns {Promise<{ok: boolean, msg?: string}>}
+ */
+async function setCopyCount(book, total) {
+  await ensureCopies(book);
+  const current = await Copy.countDocuments({
+    book: book._id,
+    status: { $nin: GONE },
+  });
+
+  if (total > current) {
+    await addCopies(book, total - current);
+  } else if (total < current) {
+    const surplus = current - total;
+    const shelf = await Copy.find({ book: book._id, status: "available" })
+      .sort({ acquiredAt: -1, _id: -1 })
+      .limit(surplus)
+      .select("_id");
+    const ids = shelf.map((c) => c._id);
+    const withdrawn =
+      ids.length === surplus
+        ? await Copy.updateMany(
+            { _id: { $in: ids }, status: "available" },
+            { status: "withdrawn" }
+          )
+        : { modifiedCount: 0 };
+
+    if (withdrawn.modifiedCount < surplus) {
+      // Put back any copy withdrawn before another request took one
+      if (withdrawn.modifiedCount) {
+        await Copy.updateMany(
+          { _id: { $in: ids }, status: "withdrawn" },
+          { status: "available" }
+        );
+      }
+      return {
+        ok: false,
+        msg: `Cannot reduce total copies to ${total}: only ${ids.length} of ${current} copies are on the shelf.`,
+      };
+    }
+  }
+  await syncCopyCounts(book._id);
+  return { ok: true };
+}
+
+module.exports = {
+  CONDITIONS,
+  STATUSES,
+  GONE,
+  syncCopyCounts,
+  addCopies,
+  ensureCopies,
+  findCopy,
+  setCopyCount,
+};
@@ -0,0 +1,162 @@
+// utils/covers.js
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const multer = require("multer");
+
+/**
+ * Book cover images.  The upload is kept as it was received, outside
+ * `public/`, and sharp makes the WebP versions the pages show:
+ *
+ *   uploads/covers/<name>.<jpg|png|webp>     original
+ *   public/images/covers/<name>-thumb.webp   book lists
+ *   public/images/covers/<name>-medium.webp  lookup and detail views
+ *
+ * `<name>` is the book's BookID and the upload time, so a new cover never
+ * reuses the URL of an old one that browsers may have cached.  The book
+ * stores it in `cover.name`; the files of a replaced or removed cover are
+ * deleted once the book no longer points at them.
+ */
+
+const ORIGINALS_DIR = path.join(__dirname, "..", "uploads", "covers");
+const COVERS_DIR = path.join(__dirname, "..", "public", "images", "covers");
+const COVERS_URL = "/images/covers";
+
+// Largest upload accepted
+const MAX_COVER_BYTES = 5 * 1024 * 1024;
+const TOO_BIG = `The cover must be at most ${
+  MAX_COVER_BYTES / 1024 / 1024
+} MB.`;
+
+// Image formats accepted (as sharp reads the file, not as its name says)
+// and the extension their original is kept with
+const FORMATS = { jpeg: ".jpg", png: ".png", webp: ".webp" };
+
+// Width in pixels of each generated version; smaller images are not
+// enlarged
+const SIZES = { thumb: 160, medium: 480 };
+
+/** Helper: file names of a cover's versions, by size */
+const versionFiles = (name) =>
+  Object.keys(SIZES).map((size) => `${name}-${size}.webp`);
+
+/**
+ * URLs of a book's cover versions (`{ thumb, medium }`), or null when it
+ * has none.
+ */
+function coverUrls(book) {
+  const name = book && book.cover && book.cover.name;
+  if (!name) return null;
+  const urls = {};
+  for (const size of Object.keys(SIZES)) {
+    urls[size] = `${COVERS_URL}/${name}-${size}.webp`;
+  }
+  return urls;
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_COVER_BYTES, files: 1 },
+}).single("cover");
+
+/**
+ * Middleware for book forms, which are multipart so they can carry a
+ * `cover` file: the upload is kept in memory as `req.file` until it has
+ * been checked.  A file over the size limit is left to checkUpload() to
+ * report, instead of ending in an error page.
+ */
+function coverUpload(req, res, next) {
+  upload(req, res, (err) => {
+    if (err && err.code === "LIMIT_FILE_SIZE") {
+      req.coverError = TOO_BIG;
+      return next();
+    }
+    next(err);
+  });
+}
+
+/**
+ * Check the cover uploaded with a book form, if any, is a JPEG, PNG or
+ * WebP image within the size limit.
+ *
+ * @returns {Promise<{ok: boolean, msg?: string}>}
+ */
+async function checkUpload(req) {
+  if (req.coverError) return { ok: false, msg: req.coverError };
+  if (!req.file) return { ok: true };
+  if (req.file.size > MAX_COVER_BYTES) return { ok: false, msg: TOO_BIG };
+  const meta = await sharp(req.file.buffer)
+    .metadata()
+    .catch(() => null);
+  if (!meta || !FORMATS[meta.format]) {
+    return { ok: false, msg: "The cover must be a JPEG, PNG or WebP image." };
+  }
+  return { ok: true };
+}
+
+/**
+ * Keep the original of a checked upload and write its WebP versions,
+ * turned upright by its EXIF orientation.
+ *
+ * @param {string} bookID Used to name the files
+ * @param {object} file Upload checked with checkUpload()
+ * @returns {Promise<object>} the `cover` to store on the book
+ */
+async function storeCover(bookID, file, { req = null } = {}) {
+  const image = sharp(file.buffer).rotate();
+  const meta = await sharp(file.buffer).metadata();
+  const stamp = Date.now().toString(36);
+  const name = `${String(bookID).replace(/[^\w-]/g, "")}-${stamp}`;
+
+  await fs.promises.mkdir(ORIGINALS_DIR, { recursive: true });
+  await fs.promises.mkdir(COVERS_DIR, { recursive: true });
+  const original = name + FORMATS[meta.format];
+  await fs.promises.writeFile(path.join(ORIGINALS_DIR, original), file.buffer);
+  for (const [size, width] of Object.entries(SIZES)) {
+    await image
+      .clone()
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toFile(path.join(COVERS_DIR, `${name}-${size}.webp`));
+  }
+
+  // Width and height as shown, after turning
+  const turned = (meta.orientation || 1) >= 5;
+  return {
+    name,
+    original,
+    width: turned ? meta.height : meta.width,
+    height: turned ? meta.width : meta.height,
+    bytes: file.size,
+    uploadedAt: new Date(),
+    uploadedBy: req && req.librarian ? req.librarian.username : undefined,
+  };
+}
+
+/**
+ * Delete the original and versions of a cover (a book's old `cover`).
+ * Files already gone are ignored; other failures are only logged, since
+ * the book has already been changed.
+ */
+async function deleteCoverFiles(cover) {
+  if (!cover || !cover.name) return;
+  const files = [
+    ...(cover.original ? [path.join(ORIGINALS_DIR, cover.original)] : []),
+    ...versionFiles(cover.name).map((f) => path.join(COVERS_DIR, f)),
+  ];
+  for (const file of files) {
+    await fs.promises.unlink(file).catch((err) => {
+      if (err.code !== "ENOENT") {
+        console.error(`Could not delete cover file ${file}:`, err.message);
+      }
+    });
+  }
+}
+
+module.exports = {
+  coverUrls,
+  coverUpload,
+  checkUpload,
+  storeCover,
+  deleteCoverFiles,
+};
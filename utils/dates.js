@@ -0,0 +1,26 @@
+// utils/dates.js
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/** Return a new Date `days` days after `date` */
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+/**
+ * Return a new Date `months` calendar months after `date`, kept within
+ * the target month (31 January + 1 month is 28/29 February)
+ */
+function addMonths(date, months) {
+  const d = new Date(date);
+  const day = d.getDate();
+  d.setDate(1);
+  d.setMonth(d.getMonth() + months);
+  const last = new Date(d.getFullYear(), d.getMonth() + 1, 0).getDate();
+  d.setDate(Math.min(day, last));
+  return d;
+}
+
+module.exports = { DAY_MS, addDays, addMonths };
@@ -0,0 +1,108 @@
+// utils/exporter.js
+const ExcelJS = require("exceljs");
+
+// Content type and file extension of each export format
+const FORMATS = {
+  csv: { type: "text/csv; charset=utf-8", ext: "csv" },
+  json: { type: "application/json; charset=utf-8", ext: "json" },
+  xlsx: {
+    type: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    ext: "xlsx",
+  },
+};
+
+// Text a spreadsheet would run as a formula ("=HYPERLINK(…)", "@SUM(…)")
+const FORMULA = /^[=+\-@\t\r]/;
+
+/** Helper: whether `v` is text that would be run as a formula */
+const isFormula = (v) => typeof v === "string" && FORMULA.test(v);
+
+/**
+ * Helper: one CSV field, quoted when it contains a delimiter or quote.
+ * Text that would run as a formula gets a leading `'`.
+ */
+function csvField(v) {
+  if (v === null || v === undefined) return "";
+  const s =
+    v instanceof Date ? v.toISOString() : isFormula(v) ? `'${v}` : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** Helper: one XLSX cell; formula-like text goes in as an inline string */
+function xlsxCell(v) {
+  if (v === null || v === undefined) return null;
+  return isFormula(v) ? { richText: [{ text: v }] } : v;
+}
+
+/** Helper: wait for the response to drain when its buffer is full */
+const write = (res, chunk) =>
+  res.write(chunk) ? null : new Promise((r) => res.once("drain", r));
+
+/**
+ * Stream the documents of a Mongoose query cursor to the response as CSV,
+ * JSON or XLSX.  Rows are written as the cursor yields them, so exports
+ * of any size use a constant amount of memory.  Each column gives its
+ * header, a `value(doc)` getter and optionally the `key` used in JSON:
+ *
+ *   { header: "Book ID", key: "bookID", value: (doc) => doc.BookID }
+ *
+ * @param {object} res Express response
+ * @param {string} format "csv", "json" or "xlsx"
+ * @param {{filename: string, columns: object[], cursor: AsyncIterable}} options
+ *   `filename` is used without extension
+ * @returns {Promise<boolean>} false when the format is not supported
+ */
+async function streamExport(res, format, { filename, columns, cursor }) {
+  const spec = Object.hasOwn(FORMATS, format) && FORMATS[format];
+  if (!spec) {
+    await cursor.close();
+    return false;
+  }
+
+  res.setHeader("Content-Type", spec.type);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}.${spec.ext}"`
+  );
+
+  if (format === "xlsx") {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res });
+    const sheet = workbook.addWorksheet(filename);
+    sheet.columns = columns.map((c) => ({ header: c.header, width: 20 }));
+    for await (const doc of cursor) {
+      sheet.addRow(columns.map((c) => xlsxCell(c.value(doc)))).commit();
+    }
+    await sheet.commit();
+    await workbook.commit();
+    return true;
+  }
+
+  if (format === "csv") {
+    // Byte-order mark so Excel opens the file as UTF-8
+    await write(
+      res,
+      "\uFEFF" + columns.map((c) => csvField(c.header)).join(",") + "\r\n"
+    );
+    for await (const doc of cursor) {
+      await write(
+        res,
+        columns.map((c) => csvField(c.value(doc))).join(",") + "\r\n"
+      );
+    }
+  } else {
+    let first = true;
+    await write(res, "[");
+    for await (const doc of cursor) {
+      const row = Object.fromEntries(
+        columns.map((c) => [c.key || c.header, c.value(doc) ?? null])
+      );
+      await write(res, (first ? "\n" : ",\n") + JSON.stringify(row));
+      first = false;
+    }
+    await write(res, "\n]\n");
+  }
+  res.end();
+  return true;
+}
+
+module.exports = { FORMATS, write, streamExport };
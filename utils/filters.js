@@ -0,0 +1,181 @@
+// utils/filters.js
+// Query-string filters shared by the list pages and the matching exports,
+// so an export always contains exactly what the page was showing.
+const { findBookByParam, findMemberByParam } = require("./lookup");
+const { parseIsbn } = require("./isbn");
+
+const MEMBER_TYPES = ["student", "teacher", "staff", "foreigner"];
+const GENDERS = ["male", "female", "other"];
+// Membership states offered by the `status` filter
+const MEMBER_STATUSES = ["active", "inactive", "expired"];
+
+/** Helper: match `s` literally inside a RegExp */
+const escapeRegExp = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Books filter for the catalog search:
+ *
+ *   q               – full-text search over title, author and category
+ *                     (uses the text index on Book)
+ *   title, author   – case-insensitive partial matches (landing page)
+ *   category, shelf – exact values, as offered by the facets
+ *   isbn            – ISBN-10 or ISBN-13, hyphens allowed
+ *   yearFrom/yearTo – publication year range (inclusive)
+ *   available       – "1"/"true": only books with a copy on the shelf
+ */
+function bookFilter(query = {}) {
+  // Books in the trash are never listed
+  const filter = { archivedAt: null };
+  const conditions = [];
+
+  const q = String(query.q || "").trim();
+  if (q) filter.$text = { $search: q };
+
+  // Title/author searches are matched literally, so "(" or "*" in a
+  // search term is just a character
+  const title = String(query.title || "").trim();
+  if (title) {
+    conditions.push({ Title: new RegExp(escapeRegExp(title), "i") });
+  }
+  const author = String(query.author || "").trim();
+  if (author) {
+    conditions.push({ Author: new RegExp(escapeRegExp(author), "i") });
+  }
+
+  const category = String(query.category || "").trim();
+  if (category) conditions.push({ Category: category });
+  const shelf = String(query.shelf || "").trim();
+  if (shelf) conditions.push({ Shelf: shelf });
+  const isbn = String(query.isbn || "").trim();
+  if (isbn) {
+    // An ISBN that does not check out matches nothing
+    const parsed = parseIsbn(isbn);
+    conditions.push(parsed.ok ? { ISBN13: parsed.isbn13 } : { _id: null });
+  }
+
+  const yearFrom = parseInt(query.yearFrom, 10);
+  const yearTo = parseInt(query.yearTo, 10);
+  if (Number.isInteger(yearFrom)) conditions.push({ Year: { $gte: yearFrom } });
+  if (Number.isInteger(yearTo)) conditions.push({ Year: { $lte: yearTo } });
+
+  if (["1", "true"].includes(String(query.available))) {
+    conditions.push({ AvailableCopies: { $gt: 0 } });
+  }
+
+  if (conditions.length > 0) filter.$and = conditions;
+  return filter;
+}
+
+// Catalog sort orders offered on /books.  "relevance" needs a `q` search.
+const BOOK_SORTS = {
+  relevance: { score: { $meta: "textScore" } },
+  title: { Title: 1 },
+  author: { Author: 1 },
+  year: { Year: -1 },
+  newest: { createdAt: -1 },
+};
+
+/**
+ * Sort for the catalog search: the requested `?sort=` when known,
+ * otherwise relevance for text searches and catalog order (oldest
+ * first) for everything else.  `_id` breaks ties so pages are stable.
+ *
+ * @returns {{key: string, sort: object}}
+ */
+function bookSort(query = {}) {
+  const searching = Boolean(String(query.q || "").trim());
+  let key = String(query.sort || "");
+  if (!BOOK_SORTS[key] || (key === "relevance" && !searching)) {
+    key = searching ? "relevance" : "";
+  }
+  const sort = key ? BOOK_SORTS[key] : { createdAt: 1 };
+  return { key, sort: { ...sort, _id: 1 } };
+}
+
+/**
+ * Members filter for `?q=&type=&gender=&status=`.  `status` is "active"
+ * (activated and not expired), "inactive" (deactivated) or "expired".
+ */
+function memberFilter(query = {}) {
+  const q = String(query.q || "").trim();
+  const type = String(query.type || "")
+    .trim()
+    .toLowerCase();
+  const gender = String(query.gender || "")
+    .trim()
+    .toLowerCase();
+
+  // Members in the trash are never listed
+  const filter = { archivedAt: null };
+  if (q) {
+    // Typed text is matched literally, never as a pattern
+    const pattern = new RegExp(escapeRegExp(q), "i");
+    filter.$or = [
+      { fullName: pattern },
+      { memberID: pattern },
+      { email: pattern },
+      { phone: pattern },
+    ];
+  }
+  if (MEMBER_TYPES.includes(type)) filter.memberType = type;
+  if (GENDERS.includes(gender)) filter.gender = gender;
+
+  const status = String(query.status || "").trim();
+  const now = new Date();
+  if (status === "inactive") filter.isActive = false;
+  if (status === "expired") filter.expiresAt = { $lt: now };
+  if (status === "active") {
+    filter.isActive = { $ne: false };
+    filter.$and = [
+      { $or: [{ expiresAt: null }, { expiresAt: { $gte: now } }] },
+    ];
+  }
+  return filter;
+}
+
+/**
+ * Loans filter for `?book=&member=&status=&from=&to=`.  `book` and
+ * `member` accept an _id or an AIPSLIB/AIPSMEM code; `from`/`to` bound
+ * the issue date (inclusive, YYYY-MM-DD).  Returns null when a book or
+ * member was asked for but does not exist.
+ */
+async function loanFilter(query = {}) {
+  const filter = {};
+
+  if (query.book) {
+    const book = await findBookByParam(String(query.book));
+    if (!book) return null;
+    filter.book = book._id;
+  }
+  if (query.member) {
+    const member = await findMemberByParam(String(query.member));
+    if (!member) return null;
+    filter.member = member._id;
+  }
+  if (["issued", "returned"].includes(query.status)) {
+    filter.status = query.status;
+  }
+
+  const from = query.from ? new Date(query.from) : null;
+  const to = query.to ? new Date(query.to) : null;
+  if (from && !Number.isNaN(from.getTime())) {
+    filter.issueDate = { $gte: from };
+  }
+  if (to && !Number.isNaN(to.getTime())) {
+    to.setHours(23, 59, 59, 999);
+    filter.issueDate = { ...filter.issueDate, $lte: to };
+  }
+  return filter;
+}
+
+module.exports = {
+  MEMBER_TYPES,
+  GENDERS,
+  MEMBER_STATUSES,
+  BOOK_SORTS,
+  escapeRegExp,
+  bookFilter,
+  bookSort,
+  memberFilter,
+  loanFilter,
+};
@@ -0,0 +1,87 @@
+// utils/fines.js
+const Loan = require("../models/Loan");
+const { getPolicy, FINE_BLOCK_THRESHOLD } = require("../config/loanPolicy");
+const { DAY_MS } = require("./dates");
+
+/**
+ * Work out the overdue charge for a loan as of `asOf` (or its return date
+ * once returned).  Whole days past the due date are counted, the member
+ * type's grace days are deducted and the rest is charged at `finePerDay`
+ * up to `maxFine`.
+ *
+ * @param {object} loan Loan document (needs dueDate and returnDate)
+ * @param {string} memberType Borrower's User.memberType
+ * @param {Date} [asOf] Point in time to evaluate open loans at
+ * @returns {{daysOverdue: number, amount: number}}
+ */
+function calculateFine(loan, memberType, asOf = new Date()) {
+  const end = loan.returnDate ? new Date(loan.returnDate) : asOf;
+  const late = end.getTime() - new Date(loan.dueDate).getTime();
+  const daysOverdue = late > 0 ? Math.floor(late / DAY_MS) : 0;
+
+  const { finePerDay, graceDays, maxFine } = getPolicy(memberType);
+  const chargeable = Math.max(0, daysOverdue - graceDays);
+  return { daysOverdue, amount: Math.min(chargeable * finePerDay, maxFine) };
+}
+
+/**
+ * Summarize what a member owes.  `owed` is the unpaid part of fines fixed
+ * on returned loans; `accruing` is what the member's overdue open loans
+ * would be charged if returned now.  Both count towards `balance`, which
+ * is compared against FINE_BLOCK_THRESHOLD to decide whether the member
+ * may borrow.
+ *
+ * @param {object} member User document
+ */
+async function memberAccount(member) {
+  const now = new Date();
+  const [open, unpaid] = await Promise.all([
+    Loan.find({ member: member._id, status: "issued" }).lean(),
+    Loan.find({
+      member: member._id,
+      status: "returned",
+      $expr: { $gt: ["$fine", "$finePaid"] },
+    }).lean(),
+  ]);
+
+  const accruing = open.reduce(
+    (sum, l) => sum + calculateFine(l, member.memberType, now).amount,
+    0
+  );
+  const owed = unpaid.reduce((sum, l) => sum + (l.fine - l.finePaid), 0);
+  const balance = owed + accruing;
+
+  return {
+    openLoans: open.length,
+    owed,
+    accruing,
+    balance,
+    blocked: balance > FINE_BLOCK_THRESHOLD,
+  };
+}
+
+/**
+ * Record a payment against a member's unpaid fines, oldest first.  Any
+ * amount beyond what is owed is ignored.
+ *
+ * @returns {Promise<number>} The amount actually applied
+ */
+async function payFines(member, amount) {
+  let remaining = amount;
+  const unpaid = await Loan.find({
+    member: member._id,
+    status: "returned",
+    $expr: { $gt: ["$fine", "$finePaid"] },
+  }).sort({ returnDate: 1 });
+
+  for (const loan of unpaid) {
+    if (remaining <= 0) break;
+    const part = Math.min(remaining, loan.fine - loan.finePaid);
+    loan.finePaid += part;
+    await loan.save();
+    remaining -= part;
+  }
+  return amount - remaining;
+}
+
+module.exports = { calculateFine, memberAccount, payFines };
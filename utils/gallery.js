@@ -0,0 +1,434 @@
+// utils/gallery.js
+const fs = require("fs");
+const path = require("path");
+const sharp = require("sharp");
+const multer = require("multer");
+const Photo = require("../models/Photo");
+const Album = require("../models/Album");
+const { audit } = require("./audit");
+
+/**
+ * The public gallery's photos (models/Photo.js) and albums
+ * (models/Album.js).  An upload is kept as it was received, and sharp
+ * makes the WebP versions the pages offer in `srcset`:
+ *
+ *   public/images/gallery/<original>                  download
+ *   public/images/gallery/sizes/<name>-<width>.webp   320 to 1600 wide
+ *
+ * Photos narrower than a width get no version of it, only one of their
+ * own width.  Animated GIFs stay animated in theirs.  Files copied into
+ * the folder by hand are added with addMissingPhotos().
+ *
+ * Functions that change data return `{ ok, msg }` like the circulation
+ * helpers.
+ */
+
+const GALLERY_DIR = path.join(__dirname, "..", "public", "images", "gallery");
+const SIZES_DIR = path.join(GALLERY_DIR, "sizes");
+const GALLERY_URL = "/images/gallery";
+
+// Width in pixels of each version, smallest first
+const WIDTHS = [320, 640, 1024, 1600];
+
+// Largest file, and most files, accepted in one upload
+const MAX_PHOTO_MB = 15;
+const MAX_PHOTOS = 20;
+
+// Image formats accepted (as sharp reads the file, not as its name says)
+// and the extension their original is kept with
+const FORMATS = { jpeg: ".jpg", png: ".png", webp: ".webp", gif: ".gif" };
+const IMAGE_FILE = /\.(jpe?g|png|webp|gif)$/i;
+
+/** Helper: trimmed text of a form value */
+const norm = (v) => (v === null || v === undefined ? "" : String(v)).trim();
+
+/** Helper: tags from a list or comma-separated text, lower case */
+const parseTags = (v) =>
+  (Array.isArray(v) ? v : norm(v).split(","))
+    .map((t) => norm(t).toLowerCase())
+    .filter(Boolean);
+
+/** Helper: a file name fit for a URL ("IMG 0042.JPG" → "img-0042") */
+const slug = (file) =>
+  path
+    .parse(file)
+    .name.toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 40) || "photo";
+
+/** Helper: the widths to make versions in for a photo `width` wide */
+function versionWidths(width) {
+  const largest = WIDTHS[WIDTHS.length - 1];
+  const widths = WIDTHS.filter((w) => w < width && w < largest);
+  widths.push(Math.min(width, largest));
+  return widths;
+}
+
+/**
+ * What a page needs to show a photo: `src` (a middle version), `srcset`,
+ * `full` (the largest version, for the lightbox) and `original`.
+ */
+function photoSources(photo) {
+  const url = (w) => `${GALLERY_URL}/sizes/${photo.name}-${w}.webp`;
+  const widths = photo.widths || [];
+  const src = widths.find((w) => w >= 640) || widths[widths.length - 1];
+  return {
+    src: url(src),
+    srcset: widths.map((w) => `${url(w)} ${w}w`).join(", "),
+    full: url(widths[widths.length - 1]),
+    original: `${GALLERY_URL}/${photo.original}`,
+  };
+}
+
+/**
+ * Write the WebP versions of an image (a buffer or a file path), turned
+ * upright by its EXIF orientation.  Should one fail, those already
+ * written are deleted again.
+ *
+ * @returns {Promise<{widths: number[], width: number, height: number}>}
+ */
+async function makeVersions(input, name) {
+  // Every frame of an animation; `pageHeight` is the height of one
+  const meta = await sharp(input, { animated: true }).metadata();
+  const frameHeight = meta.pageHeight || meta.height;
+  const turned = (meta.orientation || 1) >= 5;
+  const width = turned ? frameHeight : meta.width;
+  const height = turned ? meta.width : frameHeight;
+
+  await fs.promises.mkdir(SIZES_DIR, { recursive: true });
+  const image = sharp(input, { animated: true }).rotate();
+  const widths = versionWidths(width);
+  const written = [];
+  try {
+    for (const w of widths) {
+      await image
+        .clone()
+        .resize({ width: w })
+        .webp({ quality: 80 })
+        .toFile(path.join(SIZES_DIR, `${name}-${w}.webp`));
+      written.push(w);
+    }
+  } catch (err) {
+    await deletePhotoFiles({ name, widths: written });
+    throw err;
+  }
+  return { widths, width, height };
+}
+
+/**
+ * Delete a photo's original and versions.  Files already gone are
+ * ignored; other failures are only logged.
+ */
+async function deletePhotoFiles(photo) {
+  const files = [
+    ...(photo.original ? [path.join(GALLERY_DIR, photo.original)] : []),
+    ...(photo.widths || []).map((w) =>
+      path.join(SIZES_DIR, `${photo.name}-${w}.webp`)
+    ),
+  ];
+  for (const file of files) {
+    await fs.promises.unlink(file).catch((err) => {
+      if (err.code !== "ENOENT") {
+        console.error(`Could not delete gallery file ${file}:`, err.message);
+      }
+    });
+  }
+}
+
+/** Helper: the position after the last photo */
+async function nextPosition() {
+  const last = await Photo.findOne().sort({ position: -1 }).lean();
+  return last ? last.position + 1 : 1;
+}
+
+/** Helper: the album an `album` form value names (null for none) */
+async function findAlbum(value) {
+  if (!norm(value)) return { ok: true, album: null };
+  const album = await Album.findById(norm(value)).catch(() => null);
+  return album ? { ok: true, album } : { ok: false, msg: "Album not found." };
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_PHOTO_MB * 1024 * 1024, files: MAX_PHOTOS },
+}).array("photos", MAX_PHOTOS);
+
+/**
+ * Middleware for the upload form: the `photos` files are kept in memory
+ * as `req.files` until uploadPhotos() has checked them.  Too large or
+ * too many files are reported there instead of ending in an error page.
+ */
+function photoUpload(req, res, next) {
+  upload(req, res, (err) => {
+    if (err && err.code === "LIMIT_FILE_SIZE") {
+      req.galleryError = `Each photo must be at most ${MAX_PHOTO_MB} MB.`;
+      return next();
+    }
+    if (
+      err &&
+      (err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE")
+    ) {
+      req.galleryError = `Upload at most ${MAX_PHOTOS} photos at a time.`;
+      return next();
+    }
+    next(err);
+  });
+}
+
+/**
+ * Add uploaded photos to the end of the gallery, all with the caption,
+ * tags and album given with them.  Nothing is added unless every file is
+ * a JPEG, PNG, WebP or GIF image.
+ */
+async function uploadPhotos(req) {
+  if (req.galleryError) return { ok: false, msg: req.galleryError };
+  const files = req.files || [];
+  if (!files.length) return { ok: false, msg: "Choose the photos to upload." };
+
+  const formats = [];
+  for (const file of files) {
+    const meta = await sharp(file.buffer)
+      .metadata()
+      .catch(() => null);
+    if (!meta || !FORMATS[meta.format]) {
+      return {
+        ok: false,
+        msg: `${file.originalname} is not a JPEG, PNG, WebP or GIF image.`,
+      };
+    }
+    formats.push(meta.format);
+  }
+  const found = await findAlbum(req.body.album);
+  if (!found.ok) return found;
+
+  await fs.promises.mkdir(GALLERY_DIR, { recursive: true });
+  let position = await nextPosition();
+  const stamp = Date.now().toString(36);
+  for (const [i, file] of files.entries()) {
+    const name = `${slug(file.originalname)}-${stamp}${i}`;
+    const original = name + FORMATS[formats[i]];
+    let versions = { widths: WIDTHS };
+    let photo;
+    try {
+      await fs.promises.writeFile(
+        path.join(GALLERY_DIR, original),
+        file.buffer
+      );
+      versions = await makeVersions(file.buffer, name);
+      photo = await Photo.create({
+        name,
+        original,
+        ...versions,
+        caption: norm(req.body.caption) || undefined,
+        tags: parseTags(req.body.tags),
+        album: found.album ? found.album._id : null,
+        position: position++,
+        uploadedBy: req.librarian ? req.librarian.username : undefined,
+      });
+    } catch (err) {
+      await deletePhotoFiles({ name, original, widths: versions.widths });
+      throw err;
+    }
+    await audit(req, "photo.create", { type: "Photo", after: photo });
+  }
+  return { ok: true, msg: `${files.length} photo(s) added to the gallery.` };
+}
+
+/** Change a photo's caption, tags and album */
+async function savePhoto(photo, body, { req = null } = {}) {
+  const found = await findAlbum(body.album);
+  if (!found.ok) return found;
+
+  const before = photo.toObject();
+  photo.set({
+    caption: norm(body.caption) || undefined,
+    tags: parseTags(body.tags),
+    album: found.album ? found.album._id : null,
+  });
+  await photo.save();
+  await audit(req, "photo.update", { type: "Photo", before, after: photo });
+  return { ok: true, msg: `${photo.original} saved.` };
+}
+
+/** Remove a photo from the gallery and delete its files */
+async function deletePhoto(photo, { req = null } = {}) {
+  await Photo.deleteOne({ _id: photo._id });
+  await deletePhotoFiles(photo);
+  await audit(req, "photo.delete", { type: "Photo", before: photo });
+  return { ok: true, msg: `${photo.original} deleted.` };
+}
+
+/**
+ * Put photos in a new order.  `order` maps photo _ids to the place each
+ * should take (1, 2, …); the photos swap the positions they already hold
+ * among themselves, so reordering one album leaves the rest of the
+ * gallery where it was.  Ties keep their current order.
+ */
+async function reorderPhotos(order, { req = null } = {}) {
+  const ids = Object.keys(order || {});
+  const photos = await Photo.find({ _id: { $in: ids } })
+    .sort({ position: 1 })
+    .catch(() => []);
+  if (!photos.length) return { ok: false, msg: "No photos to reorder." };
+
+  const positions = photos.map((p) => p.position).sort((a, b) => a - b);
+  const place = (p) => {
+    const n = Number(order[p.id]);
+    return Number.isFinite(n) ? n : Infinity;
+  };
+  const sorted = photos
+    .map((p, i) => ({ p, i }))
+    .sort((a, b) => place(a.p) - place(b.p) || a.i - b.i)
+    .map(({ p }) => p);
+
+  let moved = 0;
+  for (const [i, photo] of sorted.entries()) {
+    if (photo.position === positions[i]) continue;
+    const before = photo.toObject();
+    photo.position = positions[i];
+    await photo.save();
+    await audit(req, "photo.update", {
+      type: "Photo",
+      before,
+      after: photo,
+      note: "Reordered",
+    });
+    moved += 1;
+  }
+  return {
+    ok: true,
+    msg: moved ? "Gallery order saved." : "The order is unchanged.",
+  };
+}
+
+/** Albums in gallery order, each with its number of photos (`photos`) */
+async function listAlbums() {
+  const [albums, counts] = await Promise.all([
+    Album.find()
+      .collation({ locale: "en", numericOrdering: true })
+      .sort({ position: 1, name: 1 })
+      .lean(),
+    Photo.aggregate([{ $group: { _id: "$album", photos: { $sum: 1 } } }]),
+  ]);
+  const byAlbum = new Map(counts.map((c) => [String(c._id), c.photos]));
+  return albums.map((a) => ({ ...a, photos: byAlbum.get(String(a._id)) || 0 }));
+}
+
+/** Add an album (`album` null) or change one */
+async function saveAlbum(album, body, { req = null } = {}) {
+  const name = norm(body.name);
+  if (!name) return { ok: false, msg: "Give the album a name." };
+
+  let position;
+  if (norm(body.position) !== "") {
+    position = Number(body.position);
+    if (!Number.isInteger(position)) {
+      return { ok: false, msg: "Order must be a whole number." };
+    }
+  } else if (!album) {
+    position = (await Album.countDocuments()) + 1;
+  }
+
+  const clash = await Album.findOne({
+    name,
+    ...(album && { _id: { $ne: album._id } }),
+  })
+    .collation({ locale: "en", strength: 2 })
+    .lean();
+  if (clash) return { ok: false, msg: `There is already an album ${name}.` };
+
+  const before = album ? album.toObject() : null;
+  const doc = album || new Album();
+  doc.set({ name, description: norm(body.description) || undefined });
+  if (position !== undefined) doc.position = position;
+  await doc.save();
+
+  await audit(req, before ? "album.update" : "album.create", {
+    type: "Album",
+    before,
+    after: doc,
+  });
+  return { ok: true, msg: before ? `${name} saved.` : `Album ${name} added.` };
+}
+
+/** Remove an album; its photos stay in the gallery, in no album */
+async function deleteAlbum(album, { req = null } = {}) {
+  const result = await Photo.updateMany(
+    { album: album._id },
+    { $set: { album: null } }
+  );
+  await Album.deleteOne({ _id: album._id });
+  const kept = result.modifiedCount;
+  await audit(req, "album.delete", {
+    type: "Album",
+    before: album,
+    note: kept ? `${kept} photo(s) left in no album` : undefined,
+  });
+  return { ok: true, msg: `Album ${album.name} removed.` };
+}
+
+/**
+ * Add the images in the gallery folder that are not in the gallery yet
+ * (copied there by hand, or there before the gallery was managed) to its
+ * end, in file name order, making their versions.  With `dryRun` nothing
+ * is written.
+ *
+ * @returns {Promise<string[]>} the file names added
+ */
+async function addMissingPhotos({ dryRun = false } = {}) {
+  await fs.promises.mkdir(GALLERY_DIR, { recursive: true });
+  const [entries, known, names] = await Promise.all([
+    fs.promises.readdir(GALLERY_DIR, { withFileTypes: true }),
+    Photo.distinct("original"),
+    Photo.distinct("name"),
+  ]);
+  const registered = new Set(known);
+  const taken = new Set(names);
+  const files = entries
+    .filter((e) => e.isFile() && IMAGE_FILE.test(e.name))
+    .map((e) => e.name)
+    .filter((f) => !registered.has(f))
+    .sort((a, b) => a.localeCompare(b, "en", { numeric: true }));
+  if (dryRun) return files;
+
+  const added = [];
+  let position = await nextPosition();
+  for (const original of files) {
+    // "photo.jpg" next to a "photo.png" already added: "photo-2", …
+    const base = slug(original);
+    let name = base;
+    for (let n = 2; taken.has(name); n += 1) name = `${base}-${n}`;
+    let versions = null;
+    try {
+      versions = await makeVersions(path.join(GALLERY_DIR, original), name);
+      await Photo.create({ name, original, ...versions, position: position++ });
+    } catch (err) {
+      // The original is left where it was found; only its versions go
+      if (versions) await deletePhotoFiles({ name, widths: versions.widths });
+      console.error(`Could not add ${original} to the gallery:`, err.message);
+      continue;
+    }
+    taken.add(name);
+    added.push(original);
+  }
+  return added;
+}
+
+module.exports = {
+  GALLERY_DIR,
+  SIZES_DIR,
+  WIDTHS,
+  MAX_PHOTOS,
+  photoSources,
+  makeVersions,
+  photoUpload,
+  uploadPhotos,
+  savePhoto,
+  deletePhoto,
+  reorderPhotos,
+  listAlbums,
+  saveAlbum,
+  deleteAlbum,
+  addMissingPhotos,
+};
@@ -0,0 +1,153 @@
+// utils/holds.js
+const Book = require("../models/Book");
+const Hold = require("../models/Hold");
+const { HOLD_PICKUP_DAYS } = require("../config/loanPolicy");
+const { addDays } = require("./dates");
+
+// Holds still in the queue (not yet fulfilled, cancelled or expired)
+const ACTIVE = ["waiting", "ready"];
+
+/**
+ * Bring the hold queue of a book up to date: expire "ready" holds whose
+ * pickup window has passed, then hand every free copy (available copies
+ * not already set aside) to the next waiting member in line.
+ *
+ * Called on every issue and return and when the holds page is viewed, so
+ * the queue never needs a background job to stay correct.
+ *
+ * @returns {Promise<object[]>} Holds that have just become ready
+ */
+async function refreshHolds(bookId) {
+  const now = new Date();
+  await Hold.updateMany(
+    { book: bookId, status: "ready", expiresAt: { $lte: now } },
+    { status: "expired", closedAt: now }
+  );
+
+  const book = await Book.findById(bookId);
+  if (!book) return [];
+
+  const ready = await Hold.countDocuments({ book: bookId, status: "ready" });
+  const free = (book.availableCopies || 0) - ready;
+  if (free <= 0) return [];
+
+  const waiting = await Hold.find({ book: bookId, status: "waiting" })
+    .sort({ position: 1, createdAt: 1 })
+    .limit(free);
+
+  const promoted = [];
+  for (const hold of waiting) {
+    const updated = await Hold.findOneAndUpdate(
+      { _id: hold._id, status: "waiting" },
+      {
+        status: "ready",
+        readyAt: now,
+        expiresAt: addDays(now, HOLD_PICKUP_DAYS),
+      },
+      { new: true }
+    );
+    if (updated) promoted.push(updated);
+  }
+  return promoted;
+}
+
+/** Active holds of a book in queue order */
+async function queueFor(bookId) {
+  return Hold.find({ book: bookId, status: { $in: ACTIVE } }).sort({
+    position: 1,
+    createdAt: 1,
+  });
+}
+
+/**
+ * Add `member` to the end of the hold queue for `book`.  Refused when the
+ * book or member is in the trash, the member already has an active hold
+ * on it, or a copy is free to be issued straight away.
+ *
+ * @returns {Promise<{ok: boolean, msg?: string, hold?: object, rank?: number}>}
+ */
+async function placeHold(book, member, { placedBy } = {}) {
+  if (book.archivedAt) {
+    return { ok: false, msg: "This book has been deleted." };
+  }
+  if (member.archivedAt) {
+    return { ok: false, msg: `${member.fullName} has been deleted.` };
+  }
+
+  const queue = await queueFor(book._id);
+
+  const existing = queue.findIndex(
+    (h) => String(h.member) === String(member._id)
+  );
+  if (existing !== -1) {
+    return {
+      ok: false,
+      msg: `${member.fullName} is already in the hold queue (position ${existing + 1}).`,
+    };
+  }
+
+  const ready = queue.filter((h) => h.status === "ready").length;
+  if ((book.availableCopies || 0) - ready > 0) {
+    return {
+      ok: false,
+      msg: "A copy is available. Issue the book instead of placing a hold.",
+    };
+  }
+
+  const last = queue[queue.length - 1];
+  const hold = await Hold.create({
+    book: book._id,
+    member: member._id,
+    placedBy,
+    position: last ? last.position + 1 : 1,
+  });
+  return { ok: true, hold, rank: queue.length + 1 };
+}
+
+/** Cancel an active hold and pass any copy it reserved to the next member */
+async function cancelHold(hold) {
+  if (!ACTIVE.includes(hold.status)) return false;
+  hold.status = "cancelled";
+  hold.closedAt = new Date();
+  await hold.save();
+  await refreshHolds(hold.book);
+  return true;
+}
+
+/**
+ * Move a waiting hold one place up or down its book's queue by swapping
+ * positions with its neighbour.  Ready holds stay where they are, ahead
+ * of the waiting ones: their copy is already set aside for that member.
+ *
+ * @returns {Promise<{ok: boolean, msg: string}>}
+ */
+async function moveHold(hold, direction) {
+  if (hold.status !== "waiting") {
+    return { ok: false, msg: "Only waiting holds can be moved." };
+  }
+  const queue = await queueFor(hold.book);
+  const idx = queue.findIndex((h) => String(h._id) === String(hold._id));
+  const other = queue[direction === "up" ? idx - 1 : idx + 1];
+  if (idx === -1 || !other) {
+    return { ok: false, msg: "Hold is already at the end." };
+  }
+  if (other.status !== "waiting") {
+    return {
+      ok: false,
+      msg: "A hold with a copy set aside stays ahead of the waiting ones.",
+    };
+  }
+
+  await Hold.updateOne({ _id: hold._id }, { position: other.position });
+  await Hold.updateOne({ _id: other._id }, { position: queue[idx].position });
+  return { ok: true, msg: "Queue updated." };
+}
+
+module.exports = {
+  ACTIVE,
+  refreshHolds,
+  queueFor,
+  placeHold,
+  cancelHold,
+  moveHold,
+};
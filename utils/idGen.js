@@ -1,5 +1,7 @@
 // utils/idGen.js
+const Book = require("../models/Book");
 const User = require("../models/User");
+const Copy = require("../models/Copy");
 const Counter = require("../models/Counter");
 
 /**
@@ -38,4 +40,73 @@ async function generateBookID(prefix = "AIPSLIB", width = 6) {
   return getNextSequence(prefix, width);
 }
 
-module.exports = { generateMemberID, generateBookID };
+/**
+ * Generate the accession number of a new physical copy ("ACC" and six
+ * digits by default).  Copies of every book share one sequence.
+ *
+ * @param {string} prefix
+ * @param {number} width
+ */
+async function generateAccessionNo(prefix = "ACC", width = 6) {
+  return getNextSequence(prefix, width);
+}
+
+// Each sequence above and the field of the IDs it numbers
+const SEQUENCES = [
+  { prefix: "AIPSLIB", model: Book, field: "BookID" },
+  { prefix: "AIPSMEM", model: User, field: "memberID" },
+  { prefix: "ACC", model: Copy, field: "accessionNo" },
+];
+
+/**
+ * Where each sequence stands: its counter and the highest number already
+ * used by an ID with its prefix, whatever the width (AIPSLIB0042 and
+ * AIPSLIB000042 both count as 42).  IDs created outside the counter —
+ * seed data, imports — can leave the counter behind.
+ *
+ * @returns {Promise<{prefix: string, seq: number, highest: number}[]>}
+ */
+async function sequenceStatus() {
+  const out = [];
+  for (const { prefix, model, field } of SEQUENCES) {
+    const pattern = new RegExp(`^${prefix}(\\d+)$`);
+    const [ids, counter] = await Promise.all([
+      model.collection.distinct(field, { [field]: pattern }),
+      Counter.findById(prefix).lean(),
+    ]);
+    const highest = ids.reduce(
+      (max, id) => Math.max(max, Number(pattern.exec(id)[1])),
+      0
+    );
+    out.push({ prefix, seq: counter ? counter.seq : 0, highest });
+  }
+  return out;
+}
+
+/**
+ * Move every counter that is behind past the highest ID in use, so new
+ * IDs never repeat an existing number.  Counters only ever go up.
+ *
+ * @returns {Promise<{prefix: string, from: number, to: number}[]>} Counters moved
+ */
+async function advanceCounters() {
+  const moved = [];
+  for (const { prefix, seq, highest } of await sequenceStatus()) {
+    if (seq >= highest) continue;
+    await Counter.updateOne(
+      { _id: prefix },
+      { $max: { seq: highest } },
+      { upsert: true }
+    );
+    moved.push({ prefix, from: seq, to: highest });
+  }
+  return moved;
+}
+
+module.exports = {
+  generateMemberID,
+  generateBookID,
+  generateAccessionNo,
+  sequenceStatus,
+  advanceCounters,
+};
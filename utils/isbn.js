@@ -0,0 +1,110 @@
+// utils/isbn.js
+const Book = require("../models/Book");
+
+/**
+ * ISBN helpers.  A book stores its ISBN-13 (ISBN13) and, for 978-
+ * numbers, the matching ISBN-10 (ISBN10), both without hyphens.  Either
+ * form is accepted wherever an ISBN is typed or imported; they are
+ * converted so the same book always ends up with the same ISBN13, which
+ * is what uniqueness is checked on.
+ */
+
+/** Helper: an ISBN as typed with its hyphens and spaces removed */
+const compact = (v) =>
+  (v === null || v === undefined ? "" : String(v))
+    .toUpperCase()
+    .replace(/[\s-]/g, "");
+
+/** Check digit of the first nine digits of an ISBN-10 ("X" for 10) */
+function isbn10CheckDigit(nine) {
+  let sum = 0;
+  for (let i = 0; i < 9; i += 1) sum += (10 - i) * Number(nine[i]);
+  const check = (11 - (sum % 11)) % 11;
+  return check === 10 ? "X" : String(check);
+}
+
+/** Check digit of the first twelve digits of an ISBN-13 */
+function isbn13CheckDigit(twelve) {
+  let sum = 0;
+  for (let i = 0; i < 12; i += 1) sum += Number(twelve[i]) * (i % 2 ? 3 : 1);
+  return String((10 - (sum % 10)) % 10);
+}
+
+/** "0306406152" → "9780306406157" (the input is assumed valid) */
+const toIsbn13 = (isbn10) => {
+  const twelve = "978" + isbn10.slice(0, 9);
+  return twelve + isbn13CheckDigit(twelve);
+};
+
+/** "9780306406157" → "0306406152"; 979- numbers have no ISBN-10 (null) */
+const toIsbn10 = (isbn13) => {
+  if (!isbn13.startsWith("978")) return null;
+  const nine = isbn13.slice(3, 12);
+  return nine + isbn10CheckDigit(nine);
+};
+
+/**
+ * Read an ISBN-10 or ISBN-13 as typed ("0-306-40615-2", "978 0 306
+ * 40615 7") and check its check digit.
+ *
+ * @returns {{ok: true, isbn13: string, isbn10: string|null} | {ok: false, msg: string}}
+ */
+function parseIsbn(value) {
+  const s = compact(value);
+  if (/^\d{9}[\dX]$/.test(s)) {
+    if (isbn10CheckDigit(s) !== s[9]) {
+      return { ok: false, msg: `ISBN ${value} has a wrong check digit.` };
+    }
+    return { ok: true, isbn13: toIsbn13(s), isbn10: s };
+  }
+  if (/^97[89]\d{10}$/.test(s)) {
+    if (isbn13CheckDigit(s) !== s[12]) {
+      return { ok: false, msg: `ISBN ${value} has a wrong check digit.` };
+    }
+    return { ok: true, isbn13: s, isbn10: toIsbn10(s) };
+  }
+  return {
+    ok: false,
+    msg: `${value} is not an ISBN: it needs 10 digits, or 13 starting with 978 or 979.`,
+  };
+}
+
+/** True when `value` reads as a valid ISBN */
+const isIsbn = (value) => parseIsbn(value).ok;
+
+/**
+ * Validate an ISBN from a form or API request and make sure no other
+ * book (`book` is the one being edited, if any) already has it.  An
+ * empty value is fine and sets nothing.
+ *
+ * @returns {Promise<{ok: boolean, msg?: string, ISBN13?: string, ISBN10?: string|null}>}
+ */
+async function checkIsbn(value, book = null) {
+  if (!compact(value)) return { ok: true };
+  const parsed = parseIsbn(value);
+  if (!parsed.ok) return parsed;
+
+  const owner = await Book.findOne({
+    ISBN13: parsed.isbn13,
+    ...(book && { _id: { $ne: book._id } }),
+  }).lean();
+  if (owner) {
+    return {
+      ok: false,
+      msg: owner.archivedAt
+        ? `ISBN ${parsed.isbn13} belongs to ${owner.BookID} (in the trash).`
+        : `ISBN ${parsed.isbn13} belongs to ${owner.BookID}, ${owner.Title}.`,
+    };
+  }
+  return { ok: true, ISBN13: parsed.isbn13, ISBN10: parsed.isbn10 };
+}
+
+module.exports = {
+  isbn10CheckDigit,
+  isbn13CheckDigit,
+  toIsbn13,
+  toIsbn10,
+  parseIsbn,
+  isIsbn,
+  checkIsbn,
+};
@@ -0,0 +1,338 @@
+// utils/labels.js
+const bwipjs = require("bwip-js");
+const PDFDocument = require("pdfkit");
+
+/**
+ * Printable label sheets: spine labels for books and ID cards for
+ * members.  Each label shows a Code128 or QR code for an ID and a few
+ * lines of text, placed on one of the standard sheet layouts below.
+ * Sheets are drawn as PDF (all sheets in one file) or SVG (one sheet at
+ * a time), both from the same geometry so they print identically.
+ */
+
+// Points per millimetre / inch; PDF and the SVG viewBox both use points
+const MM = 72 / 25.4;
+const IN = 72;
+const A4 = [210 * MM, 297 * MM];
+const LETTER = [8.5 * IN, 11 * IN];
+
+/**
+ * Standard label-sheet layouts.  `left`/`top` are the page margins to the
+ * first label and `hgap`/`vgap` the gaps between labels.
+ */
+const LAYOUTS = {
+  l7160: {
+    name: "A4, 21 labels (63.5 × 38.1 mm), Avery L7160",
+    page: A4,
+    cols: 3,
+    rows: 7,
+    width: 63.5 * MM,
+    height: 38.1 * MM,
+    left: 7.2 * MM,
+    top: 15.15 * MM,
+    hgap: 2.5 * MM,
+    vgap: 0,
+  },
+  l7163: {
+    name: "A4, 14 labels (99.1 × 38.1 mm), Avery L7163",
+    page: A4,
+    cols: 2,
+    rows: 7,
+    width: 99.1 * MM,
+    height: 38.1 * MM,
+    left: 4.65 * MM,
+    top: 15.15 * MM,
+    hgap: 2.5 * MM,
+    vgap: 0,
+  },
+  l7651: {
+    name: "A4, 65 labels (38.1 × 21.2 mm), Avery L7651",
+    page: A4,
+    cols: 5,
+    rows: 13,
+    width: 38.1 * MM,
+    height: 21.2 * MM,
+    left: 4.7 * MM,
+    top: 10.7 * MM,
+    hgap: 2.5 * MM,
+    vgap: 0,
+  },
+  5160: {
+    name: "Letter, 30 labels (2⅝ × 1 in), Avery 5160",
+    page: LETTER,
+    cols: 3,
+    rows: 10,
+    width: 2.625 * IN,
+    height: 1 * IN,
+    left: 0.1875 * IN,
+    top: 0.5 * IN,
+    hgap: 0.125 * IN,
+    vgap: 0,
+  },
+  "cards-a4": {
+    name: "A4, 10 ID cards (85.6 × 54 mm)",
+    page: A4,
+    cols: 2,
+    rows: 5,
+    width: 85.6 * MM,
+    height: 54 * MM,
+    left: 16.9 * MM,
+    top: 13.5 * MM,
+    hgap: 5 * MM,
+    vgap: 0,
+  },
+  5371: {
+    name: "Letter, 10 cards (3½ × 2 in), Avery 5371",
+    page: LETTER,
+    cols: 2,
+    rows: 5,
+    width: 3.5 * IN,
+    height: 2 * IN,
+    left: 0.75 * IN,
+    top: 0.5 * IN,
+    hgap: 0,
+    vgap: 0,
+  },
+};
+
+const SYMBOLOGIES = { code128: "Code128", qrcode: "QR code" };
+
+/**
+ * Position of every label on its sheet, in points.  `skip` leaves the
+ * first labels of the first sheet empty so part-used sheets can be
+ * printed on again.
+ *
+ * @returns {{sheet: number, x: number, y: number, w: number, h: number}[]}
+ */
+function slots(layout, count, skip = 0) {
+  const perSheet = layout.cols * layout.rows;
+  const out = [];
+  for (let i = skip; i < skip + count; i++) {
+    const n = i % perSheet;
+    const col = n % layout.cols;
+    const row = Math.floor(n / layout.cols);
+    out.push({
+      sheet: Math.floor(i / perSheet),
+      x: layout.left + col * (layout.width + layout.hgap),
+      y: layout.top + row * (layout.height + layout.vgap),
+      w: layout.width,
+      h: layout.height,
+    });
+  }
+  return out;
+}
+
+/** Helper: cut `text` to what fits in `width` at `size` (Helvetica) */
+function fit(text, width, size) {
+  const s = String(text || "");
+  const max = Math.max(1, Math.floor(width / (size * 0.52)));
+  return s.length <= max ? s : s.slice(0, max - 3) + "...";
+}
+
+/**
+ * Where the code and the text lines of one label go.  Code128 runs
+ * across the top with the text below it; a QR code sits on the left
+ * with the text beside it.  The first line is printed in bold.
+ */
+function arrange(item, box, symbology) {
+  const pad = Math.min(6, box.h * 0.08);
+  const size = Math.max(5, Math.min(10, box.h / 7));
+  const lead = size * 1.25;
+  const own = (item.lines || [])
+    .filter(Boolean)
+    .map((text, i) => ({ text, bold: i === 0 }));
+  let code;
+  let lines;
+  let tx = box.x + pad;
+  let ty;
+  let tw;
+
+  if (symbology === "qrcode") {
+    // Name/title first, the code in plain text last
+    const side = Math.min(box.h - 2 * pad, box.w * 0.45);
+    code = { x: box.x + pad, y: box.y + (box.h - side) / 2, w: side, h: side };
+    tx = code.x + side + pad;
+    tw = box.x + box.w - pad - tx;
+    ty = box.y + pad;
+    lines = [...own, { text: item.code }];
+  } else {
+    // The code in plain text right under the bars, then the rest
+    code = {
+      x: box.x + pad,
+      y: box.y + pad,
+      w: box.w - 2 * pad,
+      h: box.h * 0.42,
+    };
+    tw = box.w - 2 * pad;
+    ty = code.y + code.h + size * 0.3;
+    lines = [{ text: item.code, center: true }, ...own];
+  }
+
+  const room = Math.max(1, Math.floor((box.y + box.h - pad - ty) / lead));
+  return {
+    code,
+    texts: lines.slice(0, room).map((l, i) => ({
+      ...l,
+      x: tx,
+      y: ty + i * lead,
+      width: tw,
+      size,
+      text: fit(l.text, tw, size),
+    })),
+  };
+}
+
+/** bwip-js options for a code */
+const barcodeOptions = (symbology, text) =>
+  symbology === "qrcode"
+    ? { bcid: "qrcode", text, eclevel: "M" }
+    : { bcid: "code128", text, height: 10 };
+
+/** Helper: escape text for SVG markup */
+const xml = (s) =>
+  String(s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+/** Helper: a point value rounded for SVG output */
+const pt = (n) => Math.round(n * 100) / 100;
+
+/**
+ * Draw one sheet of labels as an SVG document sized to the real page.
+ * `sheet` is 0-based; labels on other sheets are left out.
+ *
+ * @param {{code: string, lines: string[]}[]} items
+ * @param {{layout: object, symbology: string, skip?: number, sheet?: number, outline?: boolean}} options
+ * @returns {string}
+ */
+function renderSVG(items, { layout, symbology, skip = 0, sheet = 0, outline }) {
+  const [pw, ph] = layout.page;
+  const parts = [];
+  const boxes = slots(layout, items.length, skip);
+
+  items.forEach((item, i) => {
+    const box = boxes[i];
+    if (box.sheet !== sheet) return;
+    if (outline) {
+      parts.push(
+        `<rect x="${pt(box.x)}" y="${pt(box.y)}" width="${pt(
+          box.w
+        )}" height="${pt(
+          box.h
+        )}" rx="4" fill="none" stroke="#bbb" stroke-width="0.5"/>`
+      );
+    }
+
+    const { code, texts } = arrange(item, box, symbology);
+    const svg = bwipjs.toSVG(barcodeOptions(symbology, item.code));
+    const viewBox = /viewBox="([^"]+)"/.exec(svg)[1];
+    const inner = svg.slice(svg.indexOf(">") + 1, svg.lastIndexOf("</svg>"));
+    parts.push(
+      `<svg x="${pt(code.x)}" y="${pt(code.y)}" width="${pt(
+        code.w
+      )}" height="${pt(code.h)}" viewBox="${viewBox}" preserveAspectRatio="${
+        symbology === "qrcode" ? "xMidYMid meet" : "none"
+      }">${inner}</svg>`
+    );
+
+    for (const t of texts) {
+      const x = t.center ? t.x + t.width / 2 : t.x;
+      parts.push(
+        `<text x="${pt(x)}" y="${pt(
+          t.y + t.size
+        )}" font-family="Helvetica, Arial, sans-serif" font-size="${pt(
+          t.size
+        )}"${t.bold ? ' font-weight="bold"' : ""}${
+          t.center ? ' text-anchor="middle"' : ""
+        }>${xml(t.text)}</text>`
+      );
+    }
+  });
+
+  return [
+    `<?xml version="1.0" encoding="UTF-8"?>`,
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${pt(
+      pw / MM
+    )}mm" height="${pt(ph / MM)}mm" viewBox="0 0 ${pt(pw)} ${pt(ph)}">`,
+    ...parts,
+    `</svg>`,
+    "",
+  ].join("\n");
+}
+
+/**
+ * Stream every sheet of labels to `stream` (usually the response) as one
+ * PDF.  Codes are rendered as PNG images at print resolution.
+ *
+ * @returns {Promise<void>} Resolves once the PDF has been written
+ */
+async function renderPDF(
+  stream,
+  items,
+  { layout, symbology, skip = 0, outline }
+) {
+  const doc = new PDFDocument({
+    size: layout.page,
+    margin: 0,
+    autoFirstPage: false,
+  });
+  const done = new Promise((resolve, reject) => {
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+  });
+  doc.pipe(stream);
+
+  const boxes = slots(layout, items.length, skip);
+  let current = -1;
+  for (let i = 0; i < items.length; i++) {
+    const box = boxes[i];
+    while (current < box.sheet) {
+      doc.addPage({ size: layout.page, margin: 0 });
+      current += 1;
+    }
+    if (outline) {
+      doc
+        .roundedRect(box.x, box.y, box.w, box.h, 4)
+        .lineWidth(0.5)
+        .stroke("#bbbbbb");
+    }
+
+    const { code, texts } = arrange(items[i], box, symbology);
+    const png = await bwipjs.toBuffer({
+      ...barcodeOptions(symbology, items[i].code),
+      scale: 4,
+    });
+    doc.image(png, code.x, code.y, { width: code.w, height: code.h });
+
+    doc.fillColor("#000000");
+    for (const t of texts) {
+      doc
+        .font(t.bold ? "Helvetica-Bold" : "Helvetica")
+        .fontSize(t.size)
+        .text(t.text, t.x, t.y, {
+          width: t.width,
+          align: t.center ? "center" : "left",
+          lineBreak: false,
+        });
+    }
+  }
+  if (current < 0) doc.addPage({ size: layout.page, margin: 0 });
+
+  doc.end();
+  await done;
+}
+
+/** Number of sheets `count` labels take on `layout` */
+const sheetCount = (layout, count, skip = 0) =>
+  Math.max(1, Math.ceil((count + skip) / (layout.cols * layout.rows)));
+
+module.exports = {
+  LAYOUTS,
+  SYMBOLOGIES,
+  slots,
+  sheetCount,
+  renderSVG,
+  renderPDF,
+};
@@ -0,0 +1,320 @@
+// utils/locations.js
+const Book = require("../models/Book");
+const Location = require("../models/Location");
+const { findBookByParam } = require("./lookup");
+const { audit } = require("./audit");
+
+/**
+ * The library's rooms, racks and shelves (models/Location.js).  Books keep
+ * their place as text in Shelf (the rack) and ShelfNo (the shelf); the
+ * helpers here make sure that text always names a listed shelf, spelled
+ * the way the list spells it.
+ *
+ * Functions that change data return `{ ok, msg }` like the circulation
+ * helpers.
+ */
+
+// Room given to shelves found on books before rooms were recorded
+const DEFAULT_ROOM = "Main Library";
+
+/** Helper: trimmed text of a form value */
+const norm = (v) => (v === null || v === undefined ? "" : String(v)).trim();
+
+/** "ShelfA / A-01" */
+const locationLabel = (l) => `${l.rack} / ${l.shelfNo}`;
+
+/** Every shelf, ordered by room, rack and shelf (A-2 before A-10) */
+const listLocations = () =>
+  Location.find()
+    .collation({ locale: "en", numericOrdering: true })
+    .sort({ room: 1, rack: 1, shelfNo: 1 })
+    .lean();
+
+/**
+ * Where a book from a form or API request goes: a location `_id`
+ * (`location`), or the rack and shelf as text (`shelf`, `shelfNo`),
+ * matched however they are capitalised, spaced or punctuated.  Nothing
+ * given means no shelf.
+ *
+ * @returns {Promise<{ok: boolean, msg?: string, Shelf?: string, ShelfNo?: string}>}
+ *   Shelf and ShelfNo as the location spells them
+ */
+async function resolveShelf({ location, shelf, shelfNo }) {
+  let found = null;
+  if (location) {
+    found = await Location.findById(location)
+      .lean()
+      .catch(() => null);
+    if (!found) return { ok: false, msg: "Choose a shelf from the list." };
+  } else if (shelf || shelfNo) {
+    if (!shelf || !shelfNo) {
+      return { ok: false, msg: "Give both the shelf and the shelf number." };
+    }
+    found = await Location.findOne({
+      key: Location.keyOf(shelf, shelfNo),
+    }).lean();
+    if (!found) {
+      return {
+        ok: false,
+        msg: `${shelf} / ${shelfNo} is not a listed shelf. Add it under Shelves first.`,
+      };
+    }
+  }
+  return found
+    ? { ok: true, Shelf: found.rack, ShelfNo: found.shelfNo }
+    : { ok: true };
+}
+
+/**
+ * Titles, copies and categories of the books on each shelf (trash left
+ * out), keyed like Location.key.  `match` narrows the books counted.
+ *
+ * @returns {Promise<Map<string, {titles: number, copies: number, categories: {name: string, titles: number}[]}>>}
+ */
+async function shelfUsage(match = {}) {
+  const rows = await Book.aggregate([
+    { $match: { archivedAt: null, ...match } },
+    {
+      $group: {
+        _id: { rack: "$Shelf", shelfNo: "$ShelfNo", category: "$Category" },
+        titles: { $sum: 1 },
+        copies: { $sum: { $ifNull: ["$TotalCopies", 0] } },
+      },
+    },
+  ]);
+
+  const usage = new Map();
+  for (const r of rows) {
+    const key = Location.keyOf(r._id.rack, r._id.shelfNo);
+    const u = usage.get(key) || { titles: 0, copies: 0, categories: [] };
+    usage.set(key, u);
+    u.titles += r.titles;
+    u.copies += r.copies;
+    if (r._id.category) {
+      u.categories.push({ name: r._id.category, titles: r.titles });
+    }
+  }
+  for (const u of usage.values()) {
+    u.categories.sort((a, b) => b.titles - a.titles);
+  }
+  return usage;
+}
+
+/**
+ * Add a shelf (`location` null) or change one.  Renaming a shelf moves
+ * its books with it.  `categories` may be a list or comma-separated text.
+ */
+async function saveLocation(location, body, { req = null } = {}) {
+  const room = norm(body.room);
+  const rack = norm(body.rack);
+  const shelfNo = norm(body.shelfNo);
+  if (!room || !rack || !shelfNo) {
+    return { ok: false, msg: "Room, rack and shelf number are required." };
+  }
+
+  let capacity;
+  if (norm(body.capacity) !== "") {
+    capacity = Number(body.capacity);
+    if (!Number.isInteger(capacity) || capacity < 0) {
+      return { ok: false, msg: "Capacity must be a whole number of copies." };
+    }
+  }
+  const categories = (
+    Array.isArray(body.categories)
+      ? body.categories
+      : norm(body.categories).split(",")
+  ).map(norm);
+
+  const clash = await Location.findOne({
+    key: Location.keyOf(rack, shelfNo),
+    ...(location && { _id: { $ne: location._id } }),
+  }).lean();
+  if (clash) {
+    return { ok: false, msg: `${locationLabel(clash)} is already listed.` };
+  }
+
+  const before = location ? location.toObject() : null;
+  const doc = location || new Location();
+  doc.set({
+    room,
+    rack,
+    shelfNo,
+    capacity,
+    categories,
+    notes: norm(body.notes) || undefined,
+  });
+  await doc.save();
+
+  // Books on a renamed shelf follow it, each audited like moveBooks()
+  let moved = 0;
+  if (before && (before.rack !== rack || before.shelfNo !== shelfNo)) {
+    const books = await Book.find({
+      Shelf: before.rack,
+      ShelfNo: before.shelfNo,
+    });
+    for (const book of books) {
+      const was = book.toObject();
+      book.Shelf = rack;
+      book.ShelfNo = shelfNo;
+      await book.save();
+      await audit(req, "book.update", {
+        type: "Book",
+        before: was,
+        after: book,
+        note: `Shelf ${locationLabel(before)} renamed to ${locationLabel(doc)}`,
+      });
+    }
+    moved = books.length;
+  }
+
+  await audit(req, before ? "location.update" : "location.create", {
+    type: "Location",
+    before,
+    after: doc,
+    note: moved ? `${moved} book(s) moved with it` : undefined,
+  });
+  return {
+    ok: true,
+    location: doc,
+    msg: before
+      ? `${locationLabel(doc)} saved.`
+      : `${locationLabel(doc)} added.`,
+  };
+}
+
+/** Remove a shelf from the list.  Refused while books are on it. */
+async function deleteLocation(location, { req = null } = {}) {
+  const books = await Book.countDocuments({
+    archivedAt: null,
+    Shelf: location.rack,
+    ShelfNo: location.shelfNo,
+  });
+  if (books) {
+    const label = locationLabel(location);
+    return {
+      ok: false,
+      msg: `${label} still has ${books} book(s). Move them first.`,
+    };
+  }
+  await Location.deleteOne({ _id: location._id });
+  await audit(req, "location.delete", { type: "Location", before: location });
+  return { ok: true, msg: `${locationLabel(location)} removed.` };
+}
+
+/**
+ * Move books to the shelf `to` (a location _id): the ones listed in
+ * `bookIds` (BookIDs separated by spaces, commas or new lines) or else
+ * every book on the shelf `from`, optionally only those of `category`.
+ * Each book is audited; the message warns when the shelf is then over
+ * its capacity.
+ */
+async function moveBooks({ from, to, category, bookIds }, { req = null } = {}) {
+  const target = to && (await Location.findById(to).catch(() => null));
+  if (!target) return { ok: false, msg: "Choose the shelf to move to." };
+
+  let books = [];
+  const codes = norm(bookIds)
+    .split(/[\s,;]+/)
+    .filter(Boolean);
+  if (codes.length) {
+    const unknown = [];
+    for (const code of codes) {
+      const book = await findBookByParam(code);
+      if (book && !book.archivedAt) books.push(book);
+      else unknown.push(code);
+    }
+    if (unknown.length) {
+      return { ok: false, msg: `Books not found: ${unknown.join(", ")}.` };
+    }
+  } else {
+    const source = from && (await Location.findById(from).catch(() => null));
+    if (!source) {
+      return {
+        ok: false,
+        msg: "Choose the shelf to move from, or list the books to move.",
+      };
+    }
+    books = await Book.find({
+      archivedAt: null,
+      Shelf: source.rack,
+      ShelfNo: source.shelfNo,
+      ...(norm(category) && { Category: norm(category) }),
+    });
+  }
+
+  books = books.filter(
+    (b) => b.Shelf !== target.rack || b.ShelfNo !== target.shelfNo
+  );
+  if (!books.length) {
+    return { ok: false, msg: `No books to move to ${locationLabel(target)}.` };
+  }
+
+  for (const book of books) {
+    const before = book.toObject();
+    book.Shelf = target.rack;
+    book.ShelfNo = target.shelfNo;
+    await book.save();
+    await audit(req, "book.update", {
+      type: "Book",
+      before,
+      after: book,
+      note: `Moved to ${locationLabel(target)}`,
+    });
+  }
+
+  let msg = `${books.length} book(s) moved to ${locationLabel(target)}.`;
+  if (target.capacity !== undefined && target.capacity !== null) {
+    const usage = await shelfUsage({
+      Shelf: target.rack,
+      ShelfNo: target.shelfNo,
+    });
+    const copies = (usage.get(target.key) || { copies: 0 }).copies;
+    if (copies > target.capacity) {
+      msg += ` It now holds ${copies} copies, over its capacity of ${target.capacity}.`;
+    }
+  }
+  return { ok: true, msg, moved: books.length };
+}
+
+/**
+ * List every rack and shelf that books name but the list does not yet
+ * have, in DEFAULT_ROOM.  With `dryRun` nothing is written.
+ *
+ * @returns {Promise<{rack: string, shelfNo: string}[]>} the shelves added
+ */
+async function addMissingLocations({ dryRun = false } = {}) {
+  const [pairs, listed] = await Promise.all([
+    Book.aggregate([
+      {
+        $match: { Shelf: { $nin: [null, ""] }, ShelfNo: { $nin: [null, ""] } },
+      },
+      { $group: { _id: { rack: "$Shelf", shelfNo: "$ShelfNo" } } },
+    ]),
+    Location.distinct("key"),
+  ]);
+
+  const known = new Set(listed);
+  const added = [];
+  for (const { _id } of pairs) {
+    const key = Location.keyOf(_id.rack, _id.shelfNo);
+    if (known.has(key)) continue;
+    known.add(key);
+    added.push({ rack: _id.rack, shelfNo: _id.shelfNo });
+  }
+  if (!dryRun && added.length) {
+    await Location.create(added.map((a) => ({ ...a, room: DEFAULT_ROOM })));
+  }
+  return added;
+}
+
+module.exports = {
+  DEFAULT_ROOM,
+  locationLabel,
+  listLocations,
+  resolveShelf,
+  shelfUsage,
+  saveLocation,
+  deleteLocation,
+  moveBooks,
+  addMissingLocations,
+};
@@ -0,0 +1,74 @@
+// utils/lookup.js
+const Book = require("../models/Book");
+const User = require("../models/User");
+const {
+  Types: { ObjectId },
+} = require("mongoose");
+const { parseIsbn } = require("./isbn");
+
+/** Helper: normalize strings */
+const norm = (v) => (v === null || v === undefined ? "" : String(v)).trim();
+
+/** Helper: find by Mongo _id OR by bookID/BookID (AIPSLIB code), ISBN or numeric tail */
+async function findBookByParam(idOrCode) {
+  const raw = norm(idOrCode);
+
+  // 1) Mongo ObjectId
+  if (ObjectId.isValid(raw)) {
+    const byId = await Book.findById(raw);
+    if (byId) return byId;
+  }
+
+  // 2) Exact AIPSLIB code match (bookID/BookID)
+  const exact = await Book.findOne({ $or: [{ bookID: raw }, { BookID: raw }] });
+  if (exact) return exact;
+
+  // 3) An ISBN-10 or ISBN-13, with or without hyphens
+  const isbn = parseIsbn(raw);
+  if (isbn.ok) {
+    const byIsbn = await Book.findOne({ ISBN13: isbn.isbn13 });
+    if (byIsbn) return byIsbn;
+  }
+
+  // 4) If the param is all digits (e.g., "2"), try padded and regex variants
+  if (/^\d+$/.test(raw)) {
+    const padded = `AIPSLIB${String(Number(raw)).padStart(6, "0")}`;
+
+    // Try exact padded first
+    const byPadded = await Book.findOne({
+      $or: [{ bookID: padded }, { BookID: padded }],
+    });
+    if (byPadded) return byPadded;
+
+    // Try regex that matches any AIPSLIB with zero-padded or non-padded tail equal to these digits
+    const tailRegex = new RegExp(`^AIPSLIB0*${Number(raw)}$`, "i");
+    const byRegex = await Book.findOne({
+      $or: [{ bookID: tailRegex }, { BookID: tailRegex }],
+    });
+    if (byRegex) return byRegex;
+  }
+
+  // 5) As a last resort, try case-insensitive match on bookID fields
+  const ci = await Book.findOne({
+    $or: [
+      { bookID: { $regex: `^${raw}$`, $options: "i" } },
+      { BookID: { $regex: `^${raw}$`, $options: "i" } },
+    ],
+  });
+  return ci || null;
+}
+
+/** Helper: find a member by Mongo _id OR by memberID (e.g., AIPSMEM0001) */
+async function findMemberByParam(idOrCode) {
+  const raw = norm(idOrCode);
+  if (!raw) return null;
+
+  if (ObjectId.isValid(raw)) {
+    const byId = await User.findById(raw);
+    if (byId) return byId;
+  }
+
+  return User.findOne({ memberID: raw.toUpperCase() });
+}
+
+module.exports = { findBookByParam, findMemberByParam };
@@ -0,0 +1,28 @@
+// utils/mailer.js
+const nodemailer = require("nodemailer");
+const { SMTP, MAIL_FROM } = require("../config/reminders");
+
+// Created on first use so the app starts without a mail server
+let transport = null;
+
+/** Is an SMTP server configured? */
+const mailEnabled = () => Boolean(SMTP.host);
+
+/**
+ * Send a plain-text email from MAIL_FROM over the configured SMTP server.
+ * Rejects if no server is configured or the server refuses the message.
+ */
+async function sendMail({ to, subject, text }) {
+  if (!mailEnabled()) throw new Error("No SMTP server is configured.");
+  if (!transport) {
+    transport = nodemailer.createTransport({
+      host: SMTP.host,
+      port: SMTP.port,
+      secure: SMTP.secure,
+      auth: SMTP.user ? { user: SMTP.user, pass: SMTP.pass } : undefined,
+    });
+  }
+  return transport.sendMail({ from: MAIL_FROM, to, subject, text });
+}
+
+module.exports = { mailEnabled, sendMail };
@@ -0,0 +1,485 @@
+// utils/marc.js
+const path = require("path");
+const { SaxesParser } = require("saxes");
+const { MARC_ORG_CODE, LANGUAGES } = require("../config/marc");
+const { parseIsbn } = require("./isbn");
+const { write } = require("./exporter");
+
+/**
+ * MARC21 bibliographic records, for exchanging catalog data with other
+ * libraries as ISO 2709 binary (.mrc) or MARCXML (.xml).  Only the
+ * fields the catalog keeps are read and written:
+ *
+ *   001, 003      BookID, and the organization code (MARC_ORG_CODE)
+ *   008           year (07-10) and language (35-37)
+ *   020 $a        ISBN
+ *   041 $a        language
+ *   100 $a        author
+ *   245 $a $b     title
+ *   250 $a        edition
+ *   264 $b $c     publisher and year (or 260)
+ *   653 $a        category (or 650 $a)
+ *   852 $b $c     shelf and shelf number
+ *
+ * A record is `{ leader, fields }`; control fields (001-009) are
+ * `{ tag, value }` and data fields `{ tag, ind1, ind2, subfields }` with
+ * subfields `{ code, value }`.
+ */
+
+const FIELD_END = "\x1e";
+const RECORD_END = "\x1d";
+const SUBFIELD = "\x1f";
+const MARCXML_NS = "http://www.loc.gov/MARC21/slim";
+
+// Leader of exported records: new, language material, monograph, UTF-8,
+// minimal level.  Length and base address are filled in when written.
+const LEADER = "00000nam a22000007u 4500";
+
+// Content type and file extension of each export format
+const MARC_FORMATS = {
+  marc: { type: "application/marc", ext: "mrc" },
+  marcxml: { type: "application/marcxml+xml; charset=utf-8", ext: "xml" },
+};
+
+// Import file extensions, by the reader for them
+const MARC_EXTENSIONS = {
+  ".mrc": "iso2709",
+  ".marc": "iso2709",
+  ".xml": "xml",
+};
+
+/** Helper: 001-009 hold a plain value, the rest indicators and subfields */
+const isControl = (tag) => tag < "010";
+
+/** Helper: number zero-padded to `width` digits */
+const pad = (n, width) => String(n).padStart(width, "0");
+
+/** Helper: XML text with its special characters escaped */
+const xml = (v) =>
+  String(v)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+// ------------------ ISO 2709 ------------------
+
+/** Helper: one field of a record from its tag and bytes */
+function readField(tag, bytes) {
+  if (isControl(tag)) return { tag, value: bytes.toString("utf8") };
+  const [, ...parts] = bytes.subarray(2).toString("utf8").split(SUBFIELD);
+  return {
+    tag,
+    ind1: String.fromCharCode(bytes[0] || 0x20),
+    ind2: String.fromCharCode(bytes[1] || 0x20),
+    subfields: parts
+      .filter(Boolean)
+      .map((p) => ({ code: p[0], value: p.slice(1) })),
+  };
+}
+
+/** Helper: one record from its bytes; `n` numbers it in error messages */
+function readRecord(bytes, n) {
+  const leader = bytes.toString("latin1", 0, 24);
+  const base = Number(leader.slice(12, 17));
+  if (!Number.isInteger(base) || base < 25 || base > bytes.length) {
+    throw new Error(`Record ${n} has a damaged leader.`);
+  }
+  // Leader/09 "a" means UTF-8; MARC-8 is only read when it is plain ASCII
+  if (leader[9] !== "a" && bytes.some((b) => b > 0x7f)) {
+    throw new Error(
+      `Record ${n} is in MARC-8. Export it as UTF-8 MARC21 and try again.`
+    );
+  }
+
+  const fields = [];
+  for (let d = 24; d + 12 < base; d += 12) {
+    const entry = bytes.toString("latin1", d, d + 12);
+    const length = Number(entry.slice(3, 7));
+    const start = base + Number(entry.slice(7, 12));
+    if (
+      !Number.isInteger(length) ||
+      !Number.isInteger(start) ||
+      start + length > bytes.length
+    ) {
+      throw new Error(`Record ${n} has a damaged directory.`);
+    }
+    let data = bytes.subarray(start, start + length);
+    if (data[data.length - 1] === FIELD_END.charCodeAt(0)) {
+      data = data.subarray(0, -1);
+    }
+    fields.push(readField(entry.slice(0, 3), data));
+  }
+  return { leader, fields };
+}
+
+/**
+ * Read the records of an ISO 2709 (binary MARC21) file.  Each record
+ * starts with its length, so line breaks some systems put between
+ * records are skipped.
+ *
+ * @param {Buffer} buffer
+ * @returns {object[]} records
+ */
+function parseIso2709(buffer) {
+  const records = [];
+  let pos = 0;
+  while (pos < buffer.length) {
+    if ([0x0a, 0x0d, 0x20].includes(buffer[pos])) {
+      pos += 1;
+      continue;
+    }
+    const n = records.length + 1;
+    const length = Number(buffer.toString("latin1", pos, pos + 5));
+    if (!Number.isInteger(length) || length < 25) {
+      throw new Error(`Record ${n} has a damaged leader.`);
+    }
+    if (pos + length > buffer.length) {
+      throw new Error(`Record ${n} is cut off.`);
+    }
+    records.push(readRecord(buffer.subarray(pos, pos + length), n));
+    pos += length;
+  }
+  return records;
+}
+
+/** Write a record as ISO 2709, with its lengths and addresses worked out */
+function writeIso2709({ leader, fields }) {
+  const chunks = fields.map((f) => {
+    const body = isControl(f.tag)
+      ? f.value
+      : f.ind1 +
+        f.ind2 +
+        f.subfields.map((s) => SUBFIELD + s.code + s.value).join("");
+    return Buffer.from(body + FIELD_END, "utf8");
+  });
+
+  let start = 0;
+  let directory = "";
+  chunks.forEach((chunk, i) => {
+    directory += fields[i].tag + pad(chunk.length, 4) + pad(start, 5);
+    start += chunk.length;
+  });
+  directory += FIELD_END;
+
+  const base = 24 + directory.length;
+  const head =
+    pad(base + start + 1, 5) +
+    leader.slice(5, 12) +
+    pad(base, 5) +
+    leader.slice(17);
+  return Buffer.concat([
+    Buffer.from(head + directory, "latin1"),
+    ...chunks,
+    Buffer.from(RECORD_END, "latin1"),
+  ]);
+}
+
+// ------------------ MARCXML ------------------
+
+/**
+ * Read the records of a MARCXML file (a <collection> of <record>s, or a
+ * single <record>).  Elements are matched by local name, so prefixed
+ * ("marc:record") files work too.
+ *
+ * @param {string} text
+ * @returns {object[]} records
+ */
+function parseMarcXml(text) {
+  const parser = new SaxesParser({ xmlns: true });
+  const attr = (node, name) =>
+    node.attributes[name] ? node.attributes[name].value : "";
+
+  const records = [];
+  let record = null;
+  let field = null;
+  let subfield = null;
+  let chars = null;
+
+  parser.on("opentag", (node) => {
+    if (node.local === "record") {
+      record = { leader: LEADER, fields: [] };
+    } else if (!record) {
+      return;
+    } else if (node.local === "leader") {
+      chars = "";
+    } else if (node.local === "controlfield") {
+      field = { tag: attr(node, "tag") };
+      chars = "";
+    } else if (node.local === "datafield") {
+      field = {
+        tag: attr(node, "tag"),
+        ind1: attr(node, "ind1") || " ",
+        ind2: attr(node, "ind2") || " ",
+        subfields: [],
+      };
+    } else if (node.local === "subfield" && field) {
+      subfield = { code: attr(node, "code") };
+      chars = "";
+    }
+  });
+  parser.on("text", (t) => {
+    if (chars !== null) chars += t;
+  });
+  parser.on("cdata", (t) => {
+    if (chars !== null) chars += t;
+  });
+  parser.on("closetag", (node) => {
+    if (!record) return;
+    if (node.local === "leader") {
+      record.leader = chars.padEnd(24).slice(0, 24);
+    } else if (node.local === "controlfield" && field) {
+      record.fields.push({ ...field, value: chars });
+      field = null;
+    } else if (node.local === "subfield" && subfield) {
+      field.subfields.push({ ...subfield, value: chars });
+      subfield = null;
+    } else if (node.local === "datafield" && field) {
+      record.fields.push(field);
+      field = null;
+    } else if (node.local === "record") {
+      records.push(record);
+      record = null;
+    }
+    chars = null;
+  });
+
+  parser.write(text.replace(/^\uFEFF/, "")).close();
+  return records;
+}
+
+/** Write a record as a MARCXML <record> element */
+function writeMarcXml({ leader, fields }) {
+  const lines = [`  <record>`, `    <leader>${xml(leader)}</leader>`];
+  for (const f of fields) {
+    if (isControl(f.tag)) {
+      lines.push(
+        `    <controlfield tag="${f.tag}">${xml(f.value)}</controlfield>`
+      );
+      continue;
+    }
+    const indicators = `ind1="${xml(f.ind1)}" ind2="${xml(f.ind2)}"`;
+    lines.push(`    <datafield tag="${f.tag}" ${indicators}>`);
+    for (const s of f.subfields) {
+      lines.push(
+        `      <subfield code="${xml(s.code)}">${xml(s.value)}</subfield>`
+      );
+    }
+    lines.push(`    </datafield>`);
+  }
+  lines.push(`  </record>`);
+  return lines.join("\n") + "\n";
+}
+
+// ------------------ Books ↔ records ------------------
+
+/** MARC code of a language name or code ("English" → "eng"), or null */
+function languageCode(language) {
+  const v = String(language || "")
+    .trim()
+    .toLowerCase();
+  if (LANGUAGES[v]) return v;
+  const known = Object.keys(LANGUAGES).find(
+    (code) => LANGUAGES[code].toLowerCase() === v
+  );
+  return known || (/^[a-z]{3}$/.test(v) ? v : null);
+}
+
+/** Helper: 008 of a book — date entered, year and language */
+function fixedField(book) {
+  const entered = new Date(book.createdAt || Date.now())
+    .toISOString()
+    .slice(2, 10)
+    .replace(/-/g, "");
+  const dates = book.Year ? `s${pad(book.Year, 4)}` : "nuuuu";
+  const language = languageCode(book.Language) || "   ";
+  return `${entered}${dates}    xx ${" ".repeat(17)}${language} d`;
+}
+
+/**
+ * The MARC21 record of a book.  Empty subfields are left out, and data
+ * fields with none left are dropped.
+ */
+function bookToRecord(book) {
+  const fields = [];
+  const control = (tag, value) => {
+    if (value) fields.push({ tag, value: String(value) });
+  };
+  const data = (tag, ind1, ind2, pairs) => {
+    const subfields = pairs
+      .filter(([, value]) => value !== undefined && value !== null)
+      .filter(([, value]) => String(value).trim() !== "")
+      .map(([code, value]) => ({ code, value: String(value) }));
+    if (subfields.length) fields.push({ tag, ind1, ind2, subfields });
+  };
+  const language = languageCode(book.Language);
+  const author = book.Author || "";
+
+  control("001", book.BookID);
+  control("003", MARC_ORG_CODE);
+  control("008", fixedField(book));
+  data("020", " ", " ", [["a", book.ISBN13]]);
+  data("020", " ", " ", [["a", book.ISBN10]]);
+  data("041", "0", " ", [["a", language]]);
+  // First indicator: "1" for an inverted name ("Iqbal, Muhammad")
+  data("100", author.includes(",") ? "1" : "0", " ", [["a", author]]);
+  data("245", author ? "1" : "0", "0", [["a", book.Title]]);
+  data("250", " ", " ", [["a", book.Edition]]);
+  data("264", " ", "1", [
+    ["b", book.Publisher],
+    ["c", book.Year],
+  ]);
+  data("653", " ", " ", [["a", book.Category]]);
+  if (book.Shelf) {
+    data("852", " ", " ", [
+      ["a", MARC_ORG_CODE],
+      ["b", book.Shelf],
+      ["c", book.ShelfNo],
+    ]);
+  }
+  return { leader: LEADER, fields };
+}
+
+/** Helper: text without the ISBD punctuation that ends MARC subfields */
+const clean = (v) =>
+  String(v || "")
+    .trim()
+    .replace(/\s*[/:;,=]$/, "")
+    .replace(/([^\s.]{2})\.$/, "$1")
+    .trim();
+
+/**
+ * The import columns (see COLUMNS in utils/bookImport.js) of a record.
+ * BookID and shelf are only taken from our own records (003 is
+ * MARC_ORG_CODE); a shelf elsewhere means nothing here.
+ *
+ * @returns {object} column name → text, for the fields the record has
+ */
+function recordToValues({ fields }) {
+  const control = (tag) => (fields.find((f) => f.tag === tag) || {}).value;
+  const all = (tag, code) =>
+    fields
+      .filter((f) => f.tag === tag && f.subfields)
+      .flatMap((f) => f.subfields.filter((s) => s.code === code))
+      .map((s) => s.value.trim())
+      .filter(Boolean);
+  const first = (tag, code) => all(tag, code)[0] || "";
+  const fixed = control("008") || "";
+  const own = (control("003") || "").trim() === MARC_ORG_CODE;
+
+  // The first ISBN that checks out; failing that the first given, so the
+  // import reports it
+  const isbns = all("020", "a").map((a) => a.split(/[\s(]/)[0]);
+  const isbn = isbns.find((a) => parseIsbn(a).ok) || isbns[0];
+
+  const published =
+    fields.find((f) => f.tag === "264" && f.ind2 === "1") ||
+    fields.find((f) => f.tag === "260") ||
+    fields.find((f) => f.tag === "264");
+  const publishedBy = (code) =>
+    published
+      ? (published.subfields.find((s) => s.code === code) || {}).value
+      : "";
+  const year =
+    (String(publishedBy("c") || "").match(/\d{4}/) || [])[0] ||
+    (/^\d{4}$/.test(fixed.slice(7, 11)) ? fixed.slice(7, 11) : "");
+
+  const code = (first("041", "a").slice(0, 3) || fixed.slice(35, 38))
+    .trim()
+    .toLowerCase();
+  const language = /^[a-z]{3}$/.test(code) ? LANGUAGES[code] || code : "";
+
+  const values = {
+    BookID: own ? (control("001") || "").trim() : "",
+    Title: [clean(first("245", "a")), clean(first("245", "b"))]
+      .filter(Boolean)
+      .join(": "),
+    Author: clean(first("100", "a") || first("110", "a")),
+    Category: clean(first("653", "a") || first("650", "a")),
+    Year: year,
+    ISBN: isbn || "",
+    Publisher: clean(publishedBy("b")),
+    Edition: clean(first("250", "a")),
+    Language: language,
+    Shelf: own ? first("852", "b") : "",
+    ShelfNo: own ? first("852", "c") : "",
+  };
+  for (const key of Object.keys(values)) {
+    if (!values[key]) delete values[key];
+  }
+  return values;
+}
+
+/**
+ * Read a .mrc or .xml file into rows for planImport(), numbered by
+ * record (the `line` of each row).
+ *
+ * @returns {{headers: string[], rows: {line: number, values: object}[]}}
+ */
+function parseMarcFile(buffer, filename) {
+  const reader = MARC_EXTENSIONS[path.extname(filename || "").toLowerCase()];
+  const records =
+    reader === "xml"
+      ? parseMarcXml(buffer.toString("utf8"))
+      : parseIso2709(buffer);
+
+  const headers = new Set();
+  const rows = [];
+  records.forEach((record, i) => {
+    const values = recordToValues(record);
+    Object.keys(values).forEach((h) => headers.add(h));
+    if (Object.keys(values).length) rows.push({ line: i + 1, values });
+  });
+  return { headers: [...headers], rows };
+}
+
+/**
+ * Stream the books of a Mongoose query cursor to the response as MARC21
+ * ("marc") or MARCXML ("marcxml"), like streamExport() does for tables.
+ *
+ * @returns {Promise<boolean>} false when the format is not a MARC one
+ */
+async function streamMarc(res, format, { filename, cursor }) {
+  const spec = Object.hasOwn(MARC_FORMATS, format) && MARC_FORMATS[format];
+  if (!spec) {
+    await cursor.close();
+    return false;
+  }
+
+  res.setHeader("Content-Type", spec.type);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filename}.${spec.ext}"`
+  );
+
+  if (format === "marcxml") {
+    await write(
+      res,
+      `<?xml version="1.0" encoding="UTF-8"?>\n<collection xmlns="${MARCXML_NS}">\n`
+    );
+  }
+  for await (const book of cursor) {
+    const record = bookToRecord(book);
+    await write(
+      res,
+      format === "marc" ? writeIso2709(record) : writeMarcXml(record)
+    );
+  }
+  if (format === "marcxml") await write(res, "</collection>\n");
+  res.end();
+  return true;
+}
+
+module.exports = {
+  MARC_FORMATS,
+  MARC_EXTENSIONS,
+  parseIso2709,
+  writeIso2709,
+  parseMarcXml,
+  writeMarcXml,
+  languageCode,
+  bookToRecord,
+  recordToValues,
+  parseMarcFile,
+  streamMarc,
+};
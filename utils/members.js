@@ -0,0 +1,131 @@
+// utils/members.js
+const User = require("../models/User");
+const Loan = require("../models/Loan");
+const Hold = require("../models/Hold");
+const Session = require("../models/Session");
+const { ACTIVE: ACTIVE_HOLDS, cancelHold } = require("./holds");
+const { addMonths } = require("./dates");
+const { audit } = require("./audit");
+const { MEMBERSHIP_MONTHS } = require("../config/loanPolicy");
+
+/** Last day of a membership that starts (or is renewed) on `from` */
+const membershipEnd = (from = new Date()) => addMonths(from, MEMBERSHIP_MONTHS);
+
+/**
+ * Extend a membership by one period.  A membership that is still running
+ * is extended from its current end date, so renewing early loses
+ * nothing; an expired one (or one without an end date) runs from today.
+ *
+ * @returns {Promise<object>} The updated member
+ */
+async function renewMembership(member, { req = null } = {}) {
+  const before = member.toObject();
+  const now = new Date();
+  const from =
+    member.expiresAt && member.expiresAt > now ? member.expiresAt : now;
+  member.expiresAt = membershipEnd(from);
+  await member.save();
+  await audit(req, "member.renew", { type: "User", before, after: member });
+  return member;
+}
+
+/**
+ * Merge `duplicate` into `member`: its loans (open and returned, with
+ * their fines) and holds move over, contact details `member` lacks are
+ * copied, and the later membership end date is kept.  The duplicate is
+ * then moved to the trash with `mergedInto` pointing at `member`, and
+ * its portal sessions are signed out.
+ *
+ * The duplicate is marked first so nothing new can be issued to it while
+ * its records move.  Where both had an active hold on the same book,
+ * the duplicate's is cancelled.
+ *
+ * @returns {Promise<{ok: boolean, msg: string}>}
+ */
+async function mergeMembers(member, duplicate, { req = null } = {}) {
+  if (String(member._id) === String(duplicate._id)) {
+    return { ok: false, msg: "A member cannot be merged with itself." };
+  }
+  if (member.archivedAt) {
+    return { ok: false, msg: `${member.memberID} is in the trash.` };
+  }
+  if (duplicate.archivedAt) {
+    return { ok: false, msg: `${duplicate.memberID} is in the trash.` };
+  }
+
+  const dupBefore = duplicate.toObject();
+  const marked = await User.findOneAndUpdate(
+    { _id: duplicate._id, archivedAt: null },
+    {
+      archivedAt: new Date(),
+      archivedBy: req && req.librarian ? req.librarian.username : undefined,
+      mergedInto: member._id,
+    },
+    { new: true }
+  );
+  if (!marked) {
+    return { ok: false, msg: `${duplicate.memberID} is in the trash.` };
+  }
+
+  const loans = await Loan.updateMany(
+    { member: duplicate._id },
+    { member: member._id }
+  );
+
+  // Active holds move unless `member` already waits for the same book;
+  // closed holds move as history
+  const kept = await Hold.distinct("book", {
+    member: member._id,
+    status: { $in: ACTIVE_HOLDS },
+  });
+  const clashes = await Hold.find({
+    member: duplicate._id,
+    status: { $in: ACTIVE_HOLDS },
+    book: { $in: kept },
+  });
+  for (const hold of clashes) await cancelHold(hold);
+  const holds = await Hold.updateMany(
+    { member: duplicate._id },
+    { member: member._id }
+  );
+
+  await Session.updateMany(
+    { member: duplicate._id, revokedAt: null },
+    { revokedAt: new Date() }
+  );
+
+  const before = member.toObject();
+  if (!member.phone && duplicate.phone) member.phone = duplicate.phone;
+  if (!member.email && duplicate.email) member.email = duplicate.email;
+  if (
+    member.expiresAt &&
+    duplicate.expiresAt &&
+    duplicate.expiresAt > member.expiresAt
+  ) {
+    member.expiresAt = duplicate.expiresAt;
+  }
+  await member.save();
+
+  const summary = `${loans.modifiedCount} loan(s) and ${holds.modifiedCount} hold(s) moved`;
+  await audit(req, "member.merge", {
+    type: "User",
+    before,
+    after: member,
+    note: `Merged ${duplicate.memberID} into this member: ${summary}`,
+  });
+  await audit(req, "member.merge", {
+    type: "User",
+    before: dupBefore,
+    after: marked,
+    note: `Merged into ${member.memberID}: ${summary}`,
+  });
+
+  return {
+    ok: true,
+    msg: `${duplicate.memberID} merged into ${member.memberID}: ${summary}.${
+      clashes.length ? ` ${clashes.length} duplicate hold(s) cancelled.` : ""
+    }`,
+  };
+}
+
+module.exports = { membershipEnd, renewMembership, mergeMembers };
@@ -0,0 +1,96 @@
+// utils/migrations.js
+const fs = require("fs");
+const path = require("path");
+const Migration = require("../models/Migration");
+
+/**
+ * Versioned data migrations.  Each file in migrations/ is named
+ * "<number>-<name>.js"; that name without ".js" is its id, recorded in
+ * the Migration collection once applied.  It exports:
+ *
+ *   description – one line for the report
+ *   up(ctx)     – does the work.  `ctx.dryRun` says whether it may
+ *                 write; it reports each change with `ctx.change()` and
+ *                 anything it left alone with `ctx.note()`, both taking
+ *                 `{ collection, label, field, from, to, note }`.
+ *                 `ctx.options` holds the command line flags.
+ *
+ * Migrations run in file-name order, and each must be safe to run again:
+ * a second run finds nothing left to change.
+ */
+
+const DIR = path.join(__dirname, "..", "migrations");
+
+/** Every migration, in order */
+function loadMigrations() {
+  return fs
+    .readdirSync(DIR)
+    .filter((f) => /^\d+-[\w-]+\.js$/.test(f))
+    .sort()
+    .map((f) => ({ ...require(path.join(DIR, f)), id: f.slice(0, -3) }));
+}
+
+/** Every migration with when it was last applied (null if never) */
+async function migrationStatus() {
+  const applied = await Migration.find().lean();
+  return loadMigrations().map((m) => {
+    const record = applied.find((a) => a._id === m.id);
+    return {
+      id: m.id,
+      description: m.description,
+      appliedAt: record ? record.appliedAt : null,
+    };
+  });
+}
+
+/**
+ * Run the migrations not applied yet, or only the one whose id (or
+ * number) is `only`, applied or not.  In a dry run nothing is written
+ * or recorded; later migrations then see the data as earlier ones left
+ * it unchanged.
+ *
+ * @returns {Promise<{id: string, description: string, changes: object[], notes: object[]}[]>}
+ */
+async function runMigrations({
+  dryRun = true,
+  only = null,
+  options = {},
+} = {}) {
+  const all = loadMigrations();
+  let todo;
+  if (only) {
+    todo = all.filter((m) => m.id === only || m.id.split("-")[0] === only);
+    if (!todo.length) throw new Error(`No migration "${only}".`);
+  } else {
+    const applied = await Migration.distinct("_id");
+    todo = all.filter((m) => !applied.includes(m.id));
+  }
+
+  const results = [];
+  for (const m of todo) {
+    const changes = [];
+    const notes = [];
+    await m.up({
+      dryRun,
+      options,
+      change: (c) => changes.push(c),
+      note: (n) => notes.push(n),
+    });
+    if (!dryRun) {
+      await Migration.updateOne(
+        { _id: m.id },
+        {
+          description: m.description,
+          appliedAt: new Date(),
+          changes: changes.length,
+          $inc: { runs: 1 },
+        },
+        { upsert: true }
+      );
+    }
+    results.push({ id: m.id, description: m.description, changes, notes });
+  }
+  return results;
+}
+
+module.exports = { loadMigrations, migrationStatus, runMigrations };
@@ -0,0 +1,36 @@
+// utils/password.js
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with scrypt and a random salt.  The result is stored as
+ * "scrypt$<salt>$<hash>" (hex) so the salt travels with the hash.
+ *
+ * @param {string} password Plain-text password
+ * @returns {Promise<string>}
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const key = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt}$${key.toString("hex")}`;
+}
+
+/**
+ * Check a password against a hash produced by hashPassword.  Uses a
+ * constant-time comparison so timing does not reveal how much matched.
+ *
+ * @returns {Promise<boolean>}
+ */
+async function verifyPassword(password, stored) {
+  const [scheme, salt, hex] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hex) return false;
+
+  const expected = Buffer.from(hex, "hex");
+  const key = await scrypt(String(password), salt, expected.length);
+  return crypto.timingSafeEqual(key, expected);
+}
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,293 @@
+// utils/reminders.js
+const Loan = require("../models/Loan");
+const Hold = require("../models/Hold");
+const Notice = require("../models/Notice");
+const MailTemplate = require("../models/MailTemplate");
+const { DAY_MS, addDays } = require("./dates");
+const { mailEnabled, sendMail } = require("./mailer");
+const {
+  KINDS,
+  KIND_NAMES,
+  LIBRARY_NAME,
+  MAX_ATTEMPTS,
+  OVERDUE_REPEAT_DAYS,
+  REMINDER_DAYS_BEFORE,
+  REMINDER_INTERVAL_MINUTES,
+} = require("../config/reminders");
+
+/**
+ * Email reminders: "due soon" a few days before a loan is due, "overdue"
+ * once it is late (repeated every OVERDUE_REPEAT_DAYS), and "hold ready"
+ * when a reserved copy is set aside.  A scheduler inside the app runs
+ * them every REMINDER_INTERVAL_MINUTES; librarians can also run them
+ * from /admin/reminders.
+ *
+ * Every reminder is recorded as a Notice whose unique `key` names the
+ * occasion, so a member hears about each due date, overdue period or
+ * ready hold once, however often the job runs.  A member gets one email
+ * per kind per run, listing all their books.  Members without an email
+ * address, or in the trash, are skipped.
+ */
+
+/** Helper: a date as it reads in an email, e.g. "19 October 2026" */
+const longDate = (d) =>
+  new Date(d).toLocaleDateString("en-GB", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+
+/** Replace {{name}} placeholders; unknown ones are left as written */
+const fill = (template, vars) =>
+  template.replace(/\{\{\s*(\w+)\s*\}\}/g, (m, name) =>
+    vars[name] === undefined ? m : String(vars[name])
+  );
+
+/** The template of every kind: the edited one if any, else the default */
+async function loadTemplates() {
+  const edited = await MailTemplate.find().lean();
+  const out = {};
+  for (const kind of KIND_NAMES) {
+    const { subject, body, item } = KINDS[kind];
+    out[kind] = edited.find((t) => t.kind === kind) || {
+      kind,
+      subject,
+      body,
+      item,
+    };
+  }
+  return out;
+}
+
+/** Helper: may `member` be emailed? */
+const reachable = (member) =>
+  member && !member.archivedAt && member.email && member.email.trim();
+
+/**
+ * Every reminder that is due at `now`, whether or not it was sent
+ * already: `{ kind, key, member, book, loan|hold, vars }`.
+ */
+async function findDue(now) {
+  // Loans due by the end of the day REMINDER_DAYS_BEFORE days from now
+  // (today, when it is 0)
+  const soonUntil = addDays(now, REMINDER_DAYS_BEFORE);
+  soonUntil.setHours(23, 59, 59, 999);
+  const [soon, late, ready] = await Promise.all([
+    Loan.find({ status: "issued", dueDate: { $gte: now, $lte: soonUntil } })
+      .populate("book member")
+      .lean(),
+    Loan.find({ status: "issued", dueDate: { $lt: now } })
+      .populate("book member")
+      .lean(),
+    Hold.find({ status: "ready", expiresAt: { $gt: now } })
+      .populate("book member")
+      .lean(),
+  ]);
+
+  const bookVars = (book) => ({
+    title: (book && book.Title) || "Untitled",
+    bookID: (book && book.BookID) || "",
+  });
+  const due = [];
+
+  for (const loan of soon) {
+    due.push({
+      kind: "due-soon",
+      key: `due-soon:${loan._id}:${loan.dueDate.toISOString()}`,
+      loan,
+      vars: { ...bookVars(loan.book), dueDate: longDate(loan.dueDate) },
+    });
+  }
+  for (const loan of late) {
+    // One notice per OVERDUE_REPEAT_DAYS late: on day 1, day 1 + n, …
+    // (only the first when it is 0)
+    const days = Math.ceil((now - loan.dueDate) / DAY_MS);
+    const round = OVERDUE_REPEAT_DAYS
+      ? Math.floor((days - 1) / OVERDUE_REPEAT_DAYS)
+      : 0;
+    due.push({
+      kind: "overdue",
+      key: `overdue:${loan._id}:${loan.dueDate.toISOString()}:${round}`,
+      loan,
+      vars: {
+        ...bookVars(loan.book),
+        dueDate: longDate(loan.dueDate),
+        daysOverdue: days,
+      },
+    });
+  }
+  for (const hold of ready) {
+    due.push({
+      kind: "hold-ready",
+      key: `hold-ready:${hold._id}:${new Date(
+        hold.readyAt || hold.updatedAt
+      ).toISOString()}`,
+      hold,
+      vars: { ...bookVars(hold.book), pickupBy: longDate(hold.expiresAt) },
+    });
+  }
+
+  return due.map((d) => {
+    const record = d.loan || d.hold;
+    return { ...d, member: record.member, book: record.book };
+  });
+}
+
+/**
+ * Claim the notice for a reminder, or return null if it was sent
+ * already, is being sent, or failed too often.  The unique key makes
+ * the claim safe when two runs overlap.  A notice still "pending" after
+ * a whole REMINDER_INTERVAL_MINUTES was left by a run that died or hung
+ * while sending, and is claimed again like a failed one.
+ */
+async function claim(item, now = new Date()) {
+  const stale = new Date(now - REMINDER_INTERVAL_MINUTES * 60 * 1000);
+  try {
+    return await Notice.findOneAndUpdate(
+      {
+        key: item.key,
+        attempts: { $lt: MAX_ATTEMPTS },
+        $or: [
+          { status: "failed" },
+          { status: "pending", updatedAt: { $lt: stale } },
+        ],
+      },
+      {
+        $set: { status: "pending", email: item.member.email.trim() },
+        $inc: { attempts: 1 },
+        $setOnInsert: {
+          kind: item.kind,
+          member: item.member._id,
+          loan: item.loan ? item.loan._id : undefined,
+          hold: item.hold ? item.hold._id : undefined,
+          book: item.book ? item.book._id : undefined,
+        },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    if (err.code === 11000) return null; // already has a notice
+    throw err;
+  }
+}
+
+/**
+ * Send every reminder that is due and not yet sent.
+ *
+ * @returns {Promise<{sent: number, failed: number, skipped: number}>}
+ *   emails sent and failed, and reminders skipped for lack of an address
+ */
+async function sendReminders(now = new Date()) {
+  const templates = await loadTemplates();
+  const due = await findDue(now);
+  const result = { sent: 0, failed: 0, skipped: 0 };
+
+  // One email per member and kind
+  const batches = new Map();
+  for (const item of due) {
+    if (!reachable(item.member)) {
+      result.skipped += 1;
+      continue;
+    }
+    const notice = await claim(item, now);
+    if (!notice) continue;
+    const id = `${item.kind}:${item.member._id}`;
+    if (!batches.has(id)) batches.set(id, []);
+    batches.get(id).push({ ...item, notice });
+  }
+
+  for (const items of batches.values()) {
+    const { kind, member } = items[0];
+    const template = templates[kind];
+    const vars = {
+      name: member.fullName,
+      memberID: member.memberID,
+      library: LIBRARY_NAME,
+    };
+    const lines = items.map((i) => fill(template.item, { ...vars, ...i.vars }));
+    const ids = items.map((i) => i.notice._id);
+    try {
+      await sendMail({
+        to: member.email.trim(),
+        subject: fill(template.subject, vars),
+        text: fill(template.body, { ...vars, items: lines.join("\n") }),
+      });
+      await Notice.updateMany(
+        { _id: { $in: ids } },
+        { status: "sent", sentAt: new Date(), $unset: { error: 1 } }
+      );
+      result.sent += 1;
+    } catch (err) {
+      await Notice.updateMany(
+        { _id: { $in: ids } },
+        { status: "failed", error: String(err.message || err) }
+      );
+      result.failed += 1;
+    }
+  }
+  return result;
+}
+
+// ------------------ Scheduler ------------------
+
+let timer = null;
+let running = null;
+let lastRun = null;
+
+/**
+ * Run the reminders once.  A run already in progress is joined rather
+ * than started again.  The outcome is kept for the admin page.
+ *
+ * @returns {Promise<{at: Date, sent: number, failed: number, skipped: number, error?: string}>}
+ */
+function runReminders() {
+  if (running) return running;
+  const at = new Date();
+  running = sendReminders(at)
+    .then((result) => ({ at, ...result }))
+    .catch((err) => {
+      console.error("reminders failed:", err);
+      return { at, sent: 0, failed: 0, skipped: 0, error: err.message };
+    })
+    .then((run) => {
+      lastRun = run;
+      running = null;
+      return run;
+    });
+  return running;
+}
+
+/**
+ * Start sending reminders every REMINDER_INTERVAL_MINUTES, the first run
+ * a minute after start-up.  Does nothing (and returns false) when no
+ * SMTP server is configured.
+ */
+function startReminderScheduler() {
+  if (timer) return true;
+  if (!mailEnabled()) {
+    console.log("Email reminders are off: SMTP_HOST is not set.");
+    return false;
+  }
+  // unref: the scheduler never keeps the process alive on its own
+  timer = setInterval(runReminders, REMINDER_INTERVAL_MINUTES * 60 * 1000);
+  timer.unref();
+  setTimeout(runReminders, 60 * 1000).unref();
+  return true;
+}
+
+/** Scheduler state for the admin page */
+const schedulerStatus = () => ({
+  enabled: Boolean(timer),
+  running: Boolean(running),
+  lastRun,
+  intervalMinutes: REMINDER_INTERVAL_MINUTES,
+});
+
+module.exports = {
+  fill,
+  loadTemplates,
+  sendReminders,
+  runReminders,
+  startReminderScheduler,
+  schedulerStatus,
+};
@@ -0,0 +1,298 @@
+// utils/stats.js
+const Book = require("../models/Book");
+const Loan = require("../models/Loan");
+const { DAY_MS, addDays, addMonths } = require("./dates");
+
+/**
+ * Aggregations behind the circulation statistics (GET /api/v1/stats/…
+ * and the charts on the admin dashboard).  Date ranges are `{ from, to }`
+ * Dates, `to` excluded; days and months are counted in the server's time
+ * zone, like the rest of the app.
+ */
+
+const TIME_ZONE = Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+// "YYYY-MM-DD" / "YYYY-MM" keys, as $dateToString writes them
+const FORMATS = { day: "%Y-%m-%d", month: "%Y-%m" };
+
+/** Helper: the key of `date` for `interval`, in local time */
+function periodKey(date, interval) {
+  const y = date.getFullYear();
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  if (interval === "month") return `${y}-${m}`;
+  return `${y}-${m}-${String(date.getDate()).padStart(2, "0")}`;
+}
+
+/** Helper: every period key from `from` to `to`, so gaps chart as zero */
+function periods({ from, to }, interval) {
+  const keys = [];
+  let d = new Date(from.getFullYear(), from.getMonth(), from.getDate());
+  if (interval === "month") d.setDate(1);
+  while (d < to) {
+    keys.push(periodKey(d, interval));
+    d = interval === "month" ? addMonths(d, 1) : addDays(d, 1);
+  }
+  return keys;
+}
+
+/** Helper: `{ $gte, $lt }` for a range */
+const within = ({ from, to }) => ({ $gte: from, $lt: to });
+
+/**
+ * Loans issued and returned per day or month of the range.
+ *
+ * @param {{from: Date, to: Date}} range
+ * @param {"day"|"month"} interval
+ * @returns {Promise<{period: string, issued: number, returned: number}[]>}
+ */
+async function loansOverTime(range, interval = "day") {
+  const count = (field) =>
+    Loan.aggregate([
+      { $match: { [field]: within(range) } },
+      {
+        $group: {
+          _id: {
+            $dateToString: {
+              format: FORMATS[interval],
+              date: `$${field}`,
+              timezone: TIME_ZONE,
+            },
+          },
+          count: { $sum: 1 },
+        },
+      },
+    ]);
+  const [issued, returned] = await Promise.all([
+    count("issueDate"),
+    count("returnDate"),
+  ]);
+
+  const byKey = (rows) => new Map(rows.map((r) => [r._id, r.count]));
+  const i = byKey(issued);
+  const r = byKey(returned);
+  return periods(range, interval).map((period) => ({
+    period,
+    issued: i.get(period) || 0,
+    returned: r.get(period) || 0,
+  }));
+}
+
+/**
+ * The most borrowed titles: loans issued in the range, per book.
+ *
+ * @returns {Promise<{book: object, loans: number}[]>}
+ */
+async function topTitles(range, limit = 10) {
+  const rows = await Loan.aggregate([
+    { $match: { issueDate: within(range) } },
+    { $group: { _id: "$book", loans: { $sum: 1 } } },
+    { $sort: { loans: -1, _id: 1 } },
+    { $limit: limit },
+    {
+      $lookup: {
+        from: Book.collection.name,
+        localField: "_id",
+        foreignField: "_id",
+        as: "book",
+      },
+    },
+  ]);
+  return rows.map((r) => ({
+    book: r.book[0] || { _id: r._id },
+    loans: r.loans,
+  }));
+}
+
+/**
+ * The most borrowed categories: loans issued in the range, per category
+ * of the book, with how many different titles were borrowed.
+ *
+ * @returns {Promise<{category: string|null, loans: number, titles: number}[]>}
+ */
+async function topCategories(range, limit = 10) {
+  const rows = await Loan.aggregate([
+    { $match: { issueDate: within(range) } },
+    {
+      $lookup: {
+        from: Book.collection.name,
+        localField: "book",
+        foreignField: "_id",
+        as: "b",
+      },
+    },
+    { $unwind: { path: "$b", preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: { $ifNull: ["$b.Category", null] },
+        loans: { $sum: 1 },
+        titles: { $addToSet: "$book" },
+      },
+    },
+    { $sort: { loans: -1, _id: 1 } },
+    { $limit: limit },
+  ]);
+  return rows.map((r) => ({
+    category: r._id || null,
+    loans: r.loans,
+    titles: r.titles.length,
+  }));
+}
+
+/**
+ * Borrowing in the range by member type and by gender: loans issued and
+ * the number of different members who borrowed.
+ *
+ * @returns {Promise<{byType: object[], byGender: object[]}>}
+ */
+async function memberActivity(range) {
+  const group = (field) => [
+    {
+      $group: {
+        _id: `$m.${field}`,
+        loans: { $sum: 1 },
+        borrowers: { $addToSet: "$member" },
+      },
+    },
+    { $sort: { loans: -1, _id: 1 } },
+  ];
+  const [result] = await Loan.aggregate([
+    { $match: { issueDate: within(range) } },
+    {
+      $lookup: {
+        from: "users",
+        localField: "member",
+        foreignField: "_id",
+        as: "m",
+      },
+    },
+    { $unwind: "$m" },
+    { $facet: { byType: group("memberType"), byGender: group("gender") } },
+  ]);
+  const shape = (key) => (r) => ({
+    [key]: r._id || null,
+    loans: r.loans,
+    borrowers: r.borrowers.length,
+  });
+  return {
+    byType: result.byType.map(shape("memberType")),
+    byGender: result.byGender.map(shape("gender")),
+  };
+}
+
+// How long loans have been overdue, in days: 1–7, 8–30, 31–90, over 90
+const OVERDUE_AGES = [
+  { label: "1-7 days", upTo: 7 },
+  { label: "8-30 days", upTo: 30 },
+  { label: "31-90 days", upTo: 90 },
+  { label: "over 90 days", upTo: Infinity },
+];
+
+/**
+ * Open loans past their due date at `now`: how many, how late, and for
+ * which member types.
+ *
+ * @returns {Promise<{overdue: number, open: number, byAge: object[], byType: object[]}>}
+ */
+async function overdueSummary(now = new Date()) {
+  const [open, late] = await Promise.all([
+    Loan.countDocuments({ status: "issued" }),
+    Loan.aggregate([
+      { $match: { status: "issued", dueDate: { $lt: now } } },
+      {
+        $lookup: {
+          from: "users",
+          localField: "member",
+          foreignField: "_id",
+          as: "m",
+        },
+      },
+      {
+        $project: {
+          memberType: { $arrayElemAt: ["$m.memberType", 0] },
+          days: {
+            $ceil: { $divide: [{ $subtract: [now, "$dueDate"] }, DAY_MS] },
+          },
+        },
+      },
+    ]),
+  ]);
+
+  const byAge = OVERDUE_AGES.map((a) => ({ age: a.label, loans: 0 }));
+  const byType = new Map();
+  for (const l of late) {
+    const i = OVERDUE_AGES.findIndex((a) => l.days <= a.upTo);
+    byAge[i].loans += 1;
+    const type = l.memberType || null;
+    byType.set(type, (byType.get(type) || 0) + 1);
+  }
+  return {
+    open,
+    overdue: late.length,
+    byAge,
+    byType: [...byType]
+      .map(([memberType, loans]) => ({ memberType, loans }))
+      .sort((a, b) => b.loans - a.loans),
+  };
+}
+
+/**
+ * Size of the collection (books not in the trash) by category and by
+ * shelf: titles, copies and copies on the shelf.
+ *
+ * @returns {Promise<{totals: object, byCategory: object[], byShelf: object[]}>}
+ */
+async function collectionSummary() {
+  const group = (field) => [
+    {
+      $group: {
+        _id: `$${field}`,
+        titles: { $sum: 1 },
+        copies: { $sum: "$TotalCopies" },
+        available: { $sum: "$AvailableCopies" },
+      },
+    },
+    { $sort: { copies: -1, _id: 1 } },
+  ];
+  const [result] = await Book.aggregate([
+    { $match: { archivedAt: null } },
+    {
+      $facet: {
+        totals: group("_none"),
+        byCategory: group("Category"),
+        byShelf: group("Shelf"),
+      },
+    },
+  ]);
+  const shape = (key) => (r) => ({
+    [key]: r._id || null,
+    titles: r.titles,
+    copies: r.copies,
+    available: r.available,
+  });
+  const totals = result.totals[0] || { titles: 0, copies: 0, available: 0 };
+  return {
+    totals: {
+      titles: totals.titles,
+      copies: totals.copies,
+      available: totals.available,
+    },
+    byCategory: result.byCategory.map(shape("category")),
+    byShelf: result.byShelf.map(shape("shelf")),
+  };
+}
+
+/** Filter for books in the catalog that have never been lent out */
+async function neverBorrowedFilter() {
+  return { archivedAt: null, _id: { $nin: await Loan.distinct("book") } };
+}
+
+module.exports = {
+  TIME_ZONE,
+  loansOverTime,
+  topTitles,
+  topCategories,
+  memberActivity,
+  overdueSummary,
+  collectionSummary,
+  neverBorrowedFilter,
+};
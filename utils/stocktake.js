@@ -0,0 +1,426 @@
+// utils/stocktake.js
+const Book = require("../models/Book");
+const Copy = require("../models/Copy");
+const Stocktake = require("../models/Stocktake");
+const { ensureCopies, syncCopyCounts } = require("./copies");
+const { refreshHolds } = require("./holds");
+const { findBookByParam } = require("./lookup");
+const { audit } = require("./audit");
+
+/**
+ * Stock-take: counting a shelf and reconciling the count with the
+ * catalog.  Scans name a book by its BookID (one copy of it) or a copy
+ * by its barcode or accession number.  The report lists
+ *
+ *   missing    – copies the catalog has on the shelf (not on loan, lost
+ *                or withdrawn) that were not found
+ *   misplaced  – books found here that the catalog puts on another shelf
+ *   unexpected – codes matching nothing, books in the trash, copies
+ *                recorded as on loan or lost, and more copies of a book
+ *                than the catalog has
+ *
+ * Functions return `{ ok, msg }` like the circulation helpers.
+ */
+
+// Copy statuses of copies that should be standing on their shelf
+const ON_SHELF = ["available", "damaged"];
+
+// Why a found copy with this status is unexpected
+const STATUS_REASONS = {
+  on_loan: "Recorded as on loan",
+  lost: "Recorded as lost",
+  withdrawn: "Recorded as withdrawn",
+};
+
+/** Helper: the signed-in librarian's username, if any */
+const staff = (req) =>
+  req && req.librarian ? req.librarian.username : undefined;
+
+/** "ShelfA / A-01" for messages */
+const shelfLabel = ({ shelf, shelfNo }) =>
+  shelfNo ? `${shelf} / ${shelfNo}` : shelf;
+
+/** Filter for the books the catalog puts on the counted shelf */
+const shelfFilter = ({ shelf, shelfNo }) => ({
+  archivedAt: null,
+  Shelf: shelf,
+  ...(shelfNo && { ShelfNo: shelfNo }),
+});
+
+/** Helper: does the catalog put `book` on the counted shelf? */
+const belongsHere = ({ shelf, shelfNo }, book) =>
+  book.Shelf === shelf && (!shelfNo || book.ShelfNo === shelfNo);
+
+/** Helper: the parts of a book or copy kept in a report */
+const brief = (b) => ({
+  _id: String(b._id),
+  BookID: b.BookID,
+  Title: b.Title,
+  Shelf: b.Shelf,
+  ShelfNo: b.ShelfNo,
+});
+const briefCopy = (c) => ({
+  _id: String(c._id),
+  barcode: c.barcode,
+  status: c.status,
+});
+
+/**
+ * Start counting a shelf.  Refused while the same shelf is being counted.
+ * Books on the shelf that only have counters get their Copy documents
+ * first, so missing copies can be named.
+ */
+async function startStocktake({ shelf, shelfNo }, { req = null } = {}) {
+  shelf = String(shelf || "").trim();
+  shelfNo = String(shelfNo || "").trim() || undefined;
+  if (!shelf) return { ok: false, msg: "Choose a shelf to count." };
+  const where = { shelf, shelfNo };
+
+  if (
+    await Stocktake.exists({ shelf, shelfNo: shelfNo || null, status: "open" })
+  ) {
+    return { ok: false, msg: `${shelfLabel(where)} is already being counted.` };
+  }
+  const books = await Book.find(shelfFilter(where));
+  if (!books.length) {
+    return {
+      ok: false,
+      msg: `The catalog has no books on ${shelfLabel(where)}.`,
+    };
+  }
+  for (const book of books) await ensureCopies(book);
+
+  const session = await Stocktake.create({
+    shelf,
+    shelfNo,
+    startedBy: staff(req),
+  });
+  return { ok: true, session, msg: `Counting ${shelfLabel(where)}.` };
+}
+
+/** Helper: the book (and copy) a scanned code names, if any */
+async function resolveCode(code) {
+  const copy = await Copy.findOne({
+    $or: [{ barcode: code }, { accessionNo: code.toUpperCase() }],
+  }).lean();
+  if (copy) return { book: copy.book, copy: copy._id };
+  const book = await findBookByParam(code);
+  return book ? { book: book._id } : {};
+}
+
+/**
+ * Record scanned or typed codes (several may be given, separated by
+ * spaces or new lines).  A copy barcode counts once; a BookID counts one
+ * copy each time it is scanned.
+ */
+async function addScans(session, text, { req = null } = {}) {
+  if (session.status !== "open") {
+    return { ok: false, msg: "This count is closed." };
+  }
+  const codes = String(text || "")
+    .split(/[\s,;]+/)
+    .filter(Boolean);
+  if (!codes.length) return { ok: false, msg: "Scan or type a code." };
+
+  const counted = new Set(session.scans.map((s) => String(s.copy)));
+  const scans = [];
+  const repeated = [];
+  let unknown = 0;
+  for (const code of codes) {
+    const found = await resolveCode(code);
+    if (found.copy && counted.has(String(found.copy))) {
+      repeated.push(code);
+      continue;
+    }
+    if (found.copy) counted.add(String(found.copy));
+    if (!found.book) unknown += 1;
+    scans.push({ code, ...found, by: staff(req), at: new Date() });
+  }
+
+  if (scans.length) {
+    const saved = await Stocktake.updateOne(
+      { _id: session._id, status: "open" },
+      { $push: { scans: { $each: scans } } }
+    );
+    if (!saved.matchedCount) return { ok: false, msg: "This count is closed." };
+  }
+
+  let msg = `${scans.length} scanned.`;
+  if (unknown) msg += ` ${unknown} not in the catalog.`;
+  if (repeated.length) msg += ` Already counted: ${repeated.join(", ")}.`;
+  return { ok: true, msg };
+}
+
+/** Take back a scan made by mistake */
+async function removeScan(session, scanId) {
+  const removed = await Stocktake.updateOne(
+    { _id: session._id, status: "open" },
+    { $pull: { scans: { _id: scanId } } }
+  );
+  return removed.modifiedCount
+    ? { ok: true, msg: "Scan removed." }
+    : { ok: false, msg: "This count is closed or the scan is gone." };
+}
+
+/**
+ * Compare the scans with what the catalog expects on the shelf.
+ *
+ * @returns {Promise<object>} `{ generatedAt, totals, books, missing,
+ *   misplaced, unexpected }`; books are `{ book, expected, found }` for
+ *   each book catalogued on the shelf
+ */
+async function buildReport(session) {
+  const scans = session.scans || [];
+  const resolved = scans.filter((s) => s.book);
+  const scannedIds = resolved.map((s) => s.book);
+  const [shelved, scanned] = await Promise.all([
+    Book.find(shelfFilter(session)).sort({ BookID: 1 }).lean(),
+    Book.find({ _id: { $in: scannedIds } }).lean(),
+  ]);
+  const books = new Map();
+  for (const b of [...shelved, ...scanned]) books.set(String(b._id), b);
+
+  const copies = await Copy.find({ book: { $in: [...books.keys()] } })
+    .select("book barcode status")
+    .lean();
+  const group = (items, key) => {
+    const out = new Map();
+    for (const item of items) {
+      const k = String(item[key]);
+      if (!out.has(k)) out.set(k, []);
+      out.get(k).push(item);
+    }
+    return out;
+  };
+  const copiesOf = group(copies, "book");
+  const scansOf = group(resolved, "book");
+
+  const report = {
+    generatedAt: new Date(),
+    books: [],
+    missing: [],
+    misplaced: [],
+    unexpected: scans
+      .filter((s) => !s.book)
+      .map((s) => ({ code: s.code, reason: "Not in the catalog" })),
+  };
+
+  for (const [id, book] of books) {
+    const found = scansOf.get(id) || [];
+    const all = copiesOf.get(id) || [];
+    const onShelf = all.filter((c) => ON_SHELF.includes(c.status));
+    const seen = new Set(found.map((s) => String(s.copy)));
+
+    if (book.archivedAt) {
+      for (const s of found) {
+        report.unexpected.push({
+          code: s.code,
+          book: brief(book),
+          reason: "In the trash",
+        });
+      }
+      continue;
+    }
+
+    // Copies found that the catalog says are elsewhere or gone
+    for (const c of all) {
+      if (seen.has(String(c._id)) && STATUS_REASONS[c.status]) {
+        report.unexpected.push({
+          code: c.barcode,
+          book: brief(book),
+          copy: briefCopy(c),
+          reason: STATUS_REASONS[c.status],
+        });
+      }
+    }
+
+    if (!belongsHere(session, book)) {
+      report.misplaced.push({
+        book: brief(book),
+        found: found.length,
+        codes: found.map((s) => s.code),
+      });
+      continue;
+    }
+
+    const counted =
+      found.filter((s) => !s.copy).length +
+      onShelf.filter((c) => seen.has(String(c._id))).length;
+    report.books.push({
+      book: brief(book),
+      expected: onShelf.length,
+      found: counted,
+    });
+    if (counted < onShelf.length) {
+      report.missing.push({
+        book: brief(book),
+        count: onShelf.length - counted,
+        // Candidates: copies on the shelf not found by barcode.  When
+        // some were counted by BookID the librarian picks which are gone.
+        copies: onShelf.filter((c) => !seen.has(String(c._id))).map(briefCopy),
+      });
+    } else if (counted > onShelf.length) {
+      const extra = counted - onShelf.length;
+      report.unexpected.push({
+        code: book.BookID,
+        book: brief(book),
+        reason: `${extra} more than the catalog has on the shelf`,
+      });
+    }
+  }
+
+  report.totals = {
+    expected: report.books.reduce((n, b) => n + b.expected, 0),
+    scanned: scans.length,
+    missing: report.missing.reduce((n, m) => n + m.count, 0),
+    misplaced: report.misplaced.reduce((n, m) => n + m.found, 0),
+    unexpected: report.unexpected.length,
+  };
+  return report;
+}
+
+/** Finish the count and keep its report as it stands */
+async function closeStocktake(session, { req = null } = {}) {
+  const report = await buildReport(session);
+  const closed = await Stocktake.findOneAndUpdate(
+    { _id: session._id, status: "open" },
+    {
+      status: "closed",
+      closedAt: new Date(),
+      closedBy: staff(req),
+      report,
+    },
+    { new: true }
+  );
+  if (!closed) return { ok: false, msg: "This count is already closed." };
+  const { missing, misplaced, unexpected } = report.totals;
+  return {
+    ok: true,
+    msg: `Count closed: ${missing} missing, ${misplaced} misplaced, ${unexpected} unexpected.`,
+  };
+}
+
+/** Helper: note an action on the count's record */
+const recordAction = (session, action, { book, copy }, req) =>
+  Stocktake.updateOne(
+    { _id: session._id },
+    {
+      $push: {
+        actions: {
+          action,
+          book,
+          copy,
+          by: staff(req),
+        },
+      },
+    }
+  );
+
+/** Helper: change a copy's status as a result of the count */
+async function setCopyStatus(session, copy, status, note, req) {
+  const saved = await Copy.findOneAndUpdate(
+    { _id: copy._id, status: copy.status },
+    { status },
+    { new: true }
+  );
+  if (!saved) return null;
+  await audit(req, "copy.update", {
+    type: "Copy",
+    before: copy,
+    after: saved,
+    note: `Stock-take of ${shelfLabel(session)}: ${note}`,
+  });
+  await syncCopyCounts(copy.book);
+  await refreshHolds(copy.book);
+  return saved;
+}
+
+/** Mark a copy that was not found as lost */
+async function markLost(session, copyId, { req = null } = {}) {
+  const copy = await Copy.findById(copyId).catch(() => null);
+  if (!copy) return { ok: false, msg: "Copy not found." };
+  if (session.scans.some((s) => String(s.copy) === String(copy._id))) {
+    return { ok: false, msg: `Copy ${copy.barcode} was found in this count.` };
+  }
+  if (!ON_SHELF.includes(copy.status)) {
+    const status = copy.status.replace("_", " ");
+    return {
+      ok: false,
+      msg: `Copy ${copy.barcode} is ${status}, not on the shelf.`,
+    };
+  }
+  const saved = await setCopyStatus(session, copy, "lost", "not found", req);
+  if (!saved) {
+    return { ok: false, msg: "This copy has just changed. Try again." };
+  }
+  await recordAction(session, "lost", copy, req);
+  return { ok: true, msg: `Copy ${copy.barcode} marked lost.` };
+}
+
+/** Put a copy recorded as lost that turned up back in circulation */
+async function markFound(session, copyId, { req = null } = {}) {
+  const copy = await Copy.findById(copyId).catch(() => null);
+  if (!copy) return { ok: false, msg: "Copy not found." };
+  if (!session.scans.some((s) => String(s.copy) === String(copy._id))) {
+    return {
+      ok: false,
+      msg: `Copy ${copy.barcode} was not found in this count.`,
+    };
+  }
+  if (copy.status !== "lost") {
+    return { ok: false, msg: `Copy ${copy.barcode} is not recorded as lost.` };
+  }
+  const saved = await setCopyStatus(session, copy, "available", "found", req);
+  if (!saved) {
+    return { ok: false, msg: "This copy has just changed. Try again." };
+  }
+  await recordAction(session, "found", copy, req);
+  return { ok: true, msg: `Copy ${copy.barcode} is back on the shelf.` };
+}
+
+/** Catalog a misplaced book on the shelf where it was found */
+async function moveBook(session, bookId, { req = null } = {}) {
+  const book = await Book.findById(bookId).catch(() => null);
+  if (!book || book.archivedAt) return { ok: false, msg: "Book not found." };
+  if (!session.scans.some((s) => String(s.book) === String(book._id))) {
+    return { ok: false, msg: `${book.BookID} was not found in this count.` };
+  }
+  if (belongsHere(session, book)) {
+    return { ok: false, msg: `${book.BookID} is already on this shelf.` };
+  }
+  // A count of a whole rack does not say which of its shelves to use
+  if (!session.shelfNo) {
+    return {
+      ok: false,
+      msg: `Move ${book.BookID} from the Shelves page: this count covers the whole of ${session.shelf}.`,
+    };
+  }
+
+  const before = book.toObject();
+  book.Shelf = session.shelf;
+  book.ShelfNo = session.shelfNo;
+  await book.save();
+  await audit(req, "book.update", {
+    type: "Book",
+    before,
+    after: book,
+    note: `Stock-take: found on ${shelfLabel(session)}`,
+  });
+  await recordAction(session, "moved", { book: book._id }, req);
+  return {
+    ok: true,
+    msg: `${book.BookID} moved to ${shelfLabel(session)}.`,
+  };
+}
+
+module.exports = {
+  shelfLabel,
+  startStocktake,
+  addScans,
+  removeScan,
+  buildReport,
+  closeStocktake,
+  markLost,
+  markFound,
+  moveBook,
+};
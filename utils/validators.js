@@ -0,0 +1,8 @@
+// utils/validators.js
+// Format checks shared by the member form and the JSON API.
+
+const isPhone = (s) => /^(\+?\d[\d\s-]{6,})$/.test(s || "");
+const isEmail = (s) =>
+  /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test((s || "").toLowerCase());
+
+module.exports = { isPhone, isEmail };